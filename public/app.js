@@ -67,24 +67,174 @@ const API_BASE = "/api"; // ✅ Works on both localhost and Render
             return `${id.substring(0, 4)}...${id.substring(id.length - 4)}`;
         }
 
+        // --- Session Management Functions ---
+
+        const SESSION_STORAGE_KEY = 'bloodsave_session';
+        const STAFF_ROLES = ['admin', 'lab_technician', 'front_desk'];
+
+        /**
+         * Reads the stored login session ({ user, accessToken, refreshToken }).
+         * @returns {object|null} The session or null when logged out.
+         */
+        function getSession() {
+            try {
+                return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+            } catch (error) {
+                return null;
+            }
+        }
+
+        function saveSession(session) {
+            localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+        }
+
+        function clearSession() {
+            localStorage.removeItem(SESSION_STORAGE_KEY);
+        }
+
+        /**
+         * Checks whether the logged-in user has one of the given roles.
+         * @param {...string} roles - Allowed role names.
+         * @returns {boolean} True if the current user's role is in the list.
+         */
+        function hasRole(...roles) {
+            const session = getSession();
+            return !!(session && session.user && roles.includes(session.user.role));
+        }
+
+        /**
+         * Hides any element carrying a data-roles="role1,role2" attribute that the current user may not use.
+         */
+        function applyRoleVisibility() {
+            document.querySelectorAll('[data-roles]').forEach(element => {
+                const allowedRoles = element.dataset.roles.split(',');
+                element.style.display = hasRole(...allowedRoles) ? '' : 'none';
+            });
+
+            const session = getSession();
+            document.getElementById('userBar').style.display = session ? 'flex' : 'none';
+            document.getElementById('currentUserName').textContent = session ? `${session.user.name} (${session.user.role.replace('_', ' ')})` : '';
+        }
+
+        function showLoginScreen() {
+            disconnectLiveUpdates();
+            applyRoleVisibility();
+            showModal('loginModal');
+        }
+
+        /**
+         * Exchanges the stored refresh token for a new access token.
+         * @returns {Promise<boolean>} True if the session was refreshed.
+         */
+        async function refreshSession() {
+            const session = getSession();
+            if (!session || !session.refreshToken) return false;
+
+            try {
+                const response = await fetch(`${API_BASE}/auth/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken: session.refreshToken })
+                });
+                if (!response.ok) return false;
+                const result = await response.json();
+                saveSession(result.data);
+                return true;
+            } catch (error) {
+                console.error('Session refresh failed:', error);
+                return false;
+            }
+        }
+
+        /**
+         * Returns the first tab the current user is allowed to see.
+         * @returns {string} Tab name.
+         */
+        function defaultTabForRole() {
+            return hasRole(...STAFF_ROLES) ? 'dashboard' : 'requests';
+        }
+
+        async function logout() {
+            await apiCall('/auth/logout', 'POST', {});
+            clearSession();
+            showLoginScreen();
+        }
+
+        /**
+         * Escapes text for HTML built from template strings, attribute values included. Donors register themselves
+         * through the portal, so anything they typed must go through this before it reaches innerHTML.
+         * @param {*} value - Text to escape; null and undefined become ''.
+         * @returns {string} Escaped text.
+         */
+        function escapeHtml(value) {
+            const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+            return (value === null || value === undefined ? '' : String(value)).replace(/[&<>"']/g, character => entities[character]);
+        }
+
+        /**
+         * Renders a donor's eligibility as a status badge.
+         * @param {object} eligibility - { eligible, nextEligibleDate, reasons } from the API.
+         * @returns {string} Badge HTML.
+         */
+        function formatEligibility(eligibility) {
+            if (!eligibility) return 'N/A';
+            if (eligibility.eligible) {
+                return '<span class="status available">Eligible</span>';
+            }
+            const label = eligibility.nextEligibleDate ? `From ${formatReadableDate(eligibility.nextEligibleDate)}` : 'Permanently deferred';
+            return `<span class="status critical" title="${escapeHtml(eligibility.reasons.join('; '))}">${label}</span>`;
+        }
+
+        // Short labels for blood components, matching the component keys used by the API
+        const COMPONENT_LABELS = {
+            whole_blood: 'Whole Blood',
+            red_cells: 'Red Cells',
+            plasma: 'Plasma',
+            platelets: 'Platelets'
+        };
+
+        // Discard reasons, matching the reason codes used by the API
+        const DISCARD_REASON_LABELS = {
+            expired: 'Expired',
+            broken_bag: 'Broken bag',
+            failed_screening: 'Failed screening',
+            temperature_excursion: 'Temperature excursion',
+            returned_unused: 'Returned unused'
+        };
+
+        /**
+         * Returns the display label for a component; units recorded before components existed are whole blood.
+         * @param {string} component - Component key from the API.
+         * @returns {string} Label.
+         */
+        function formatComponent(component) {
+            return COMPONENT_LABELS[component || 'whole_blood'] || component;
+        }
+
         // --- API Communication Functions ---
 
         /**
          * Makes an asynchronous call to the backend API.
          * This version expects the API to return a JSON object with a 'success' boolean
          * and a 'data' array/object for successful responses, or 'error'/'message' for failures.
+         * Sends the stored access token, and on a 401 refreshes it once before showing the login screen.
          * @param {string} endpoint - The API endpoint relative to API_BASE.
          * @param {string} method - HTTP method (GET, POST, PUT, DELETE).
          * @param {object|null} data - Request body data (for POST/PUT).
+         * @param {boolean} retryOnAuthFailure - Whether to refresh the session and retry after a 401.
          * @returns {Promise<object|null>} The parsed JSON response or null on network/parsing error.
          */
-        async function apiCall(endpoint, method = 'GET', data = null) {
+        async function apiCall(endpoint, method = 'GET', data = null, retryOnAuthFailure = true) {
             const options = {
                 method,
                 headers: {
                     'Content-Type': 'application/json',
                 },
             };
+            const session = getSession();
+            if (session && session.accessToken) {
+                options.headers.Authorization = `Bearer ${session.accessToken}`;
+            }
             if (data) {
                 options.body = JSON.stringify(data);
             }
@@ -92,13 +242,27 @@ const API_BASE = "/api"; // ✅ Works on both localhost and Render
             try {
                 console.log(`Attempting ${method} ${API_BASE}${endpoint}`); // Debugging
                 const response = await fetch(`${API_BASE}${endpoint}`, options);
+
+                // Expired or missing session: try a silent refresh, otherwise ask the user to log in again
+                if (response.status === 401 && !endpoint.startsWith('/auth/')) {
+                    if (retryOnAuthFailure && await refreshSession()) {
+                        return apiCall(endpoint, method, data, false);
+                    }
+                    clearSession();
+                    showLoginScreen();
+                    return null;
+                }
+
                 const result = await response.json(); // Always attempt to parse JSON
 
                 if (!response.ok) {
                     // If the response was not OK (e.g., 400, 500 status)
-                    const errorMessage = result.error || result.message || `API Error: ${response.status} ${response.statusText}`;
+                    let errorMessage = result.error || result.message || `API Error: ${response.status} ${response.statusText}`;
+                    if (Array.isArray(result.details) && result.details.length > 0) {
+                        errorMessage += `: ${result.details.map(detail => detail.msg).join('; ')}`; // Include express-validator messages
+                    }
                     console.error('API Error Response:', result); // Log full error details
-                    showAlert(errorMessage, 'error', endpoint.includes('/donors') ? 'donorModalAlert' : endpoint.includes('/inventory') ? 'bloodModalAlert' : endpoint.includes('/requests') ? 'requestModalAlert' : null);
+                    showAlert(errorMessage, 'error', endpoint.startsWith('/auth/') ? 'loginModalAlert' : endpoint.includes('/donors') ? 'donorModalAlert' : endpoint.includes('/inventory') ? 'bloodModalAlert' : endpoint.includes('/requests') ? 'requestModalAlert' : null);
                     return null; // Return null to indicate failure
                 }
                 
@@ -111,6 +275,39 @@ const API_BASE = "/api"; // ✅ Works on both localhost and Render
             }
         }
 
+        /**
+         * Fetches an API endpoint with the stored access token and returns the raw Response, for downloads and
+         * file uploads that apiCall's JSON handling does not cover. Refreshes the session once on a 401.
+         * @param {string} endpoint - The API endpoint relative to API_BASE.
+         * @param {object} options - fetch options; an Authorization header is added.
+         * @param {boolean} retryOnAuthFailure - Whether to refresh the session and retry after a 401.
+         * @returns {Promise<Response|null>} The response, or null if the user has to log in again or the network failed.
+         */
+        async function authorizedFetch(endpoint, options = {}, retryOnAuthFailure = true) {
+            const session = getSession();
+            const headers = { ...(options.headers || {}) };
+            if (session && session.accessToken) {
+                headers.Authorization = `Bearer ${session.accessToken}`;
+            }
+
+            try {
+                const response = await fetch(`${API_BASE}${endpoint}`, { ...options, headers });
+                if (response.status === 401) {
+                    if (retryOnAuthFailure && await refreshSession()) {
+                        return authorizedFetch(endpoint, options, false);
+                    }
+                    clearSession();
+                    showLoginScreen();
+                    return null;
+                }
+                return response;
+            } catch (error) {
+                console.error('Network Error:', error);
+                showAlert('Network error. Please check your internet connection or if the server is running.', 'error');
+                return null;
+            }
+        }
+
         // --- Tab Management Functions ---
 
         /**
@@ -150,6 +347,26 @@ const API_BASE = "/api"; // ✅ Works on both localhost and Render
                     case 'requests':
                     loadRequests();
                     break;
+                case 'hospitals':
+                    loadHospitals();
+                    loadHospitalReport();
+                    break;
+                case 'branches':
+                    loadBranches();
+                    loadTransfers();
+                    break;
+                case 'campaigns':
+                    loadCampaigns();
+                    break;
+                case 'recalls':
+                    loadRecallLists();
+                    break;
+                case 'reports':
+                    loadReports();
+                    break;
+                case 'audit':
+                    loadAuditLog();
+                    break;
                 case 'about':
                     // Static content, no API call needed
                     console.log('About tab activated. No dynamic data to load.');
@@ -157,6 +374,70 @@ const API_BASE = "/api"; // ✅ Works on both localhost and Render
             }
         }
 
+        // --- Live Updates ---
+
+        // Tabs whose data goes stale for each kind of server event (the part of the type before the dot)
+        const LIVE_EVENT_TABS = {
+            inventory: ['dashboard', 'inventory', 'branches'],
+            request: ['dashboard', 'requests', 'hospitals'],
+            alert: ['dashboard'],
+            threshold: ['dashboard'],
+            donor: ['dashboard', 'donors'],
+            hospital: ['hospitals'],
+            branch: ['branches'],
+            transfer: ['dashboard', 'inventory', 'branches'],
+            campaign: ['campaigns'],
+            appointment: ['campaigns', 'recalls'],
+            recall: ['recalls']
+        };
+        const LIVE_REFRESH_DELAY_MS = 500; // Bursts of events (e.g. a reservation touching several batches) cause one reload
+
+        let liveEventSource = null;
+        let liveRefreshTimer = null;
+        const staleTabs = new Set();
+
+        /**
+         * Subscribes to the server's event stream so other users' changes show up without reloading.
+         * An expired access token closes the stream; the session is then refreshed and the stream reopened.
+         */
+        function connectLiveUpdates() {
+            disconnectLiveUpdates();
+            const session = getSession();
+            if (!session || typeof EventSource === 'undefined') return;
+
+            liveEventSource = new EventSource(`${API_BASE}/events?token=${encodeURIComponent(session.accessToken)}`);
+            liveEventSource.onmessage = (message) => {
+                const event = JSON.parse(message.data);
+                (LIVE_EVENT_TABS[event.type.split('.')[0]] || []).forEach(tab => staleTabs.add(tab));
+                clearTimeout(liveRefreshTimer);
+                liveRefreshTimer = setTimeout(refreshStaleTab, LIVE_REFRESH_DELAY_MS);
+            };
+            liveEventSource.onerror = async () => {
+                if (!liveEventSource || liveEventSource.readyState !== EventSource.CLOSED) return; // The browser is retrying by itself
+                disconnectLiveUpdates();
+                const result = await apiCall('/auth/me'); // Refreshes the access token if it expired
+                if (result && result.success) setTimeout(connectLiveUpdates, LIVE_REFRESH_DELAY_MS);
+            };
+        }
+
+        function disconnectLiveUpdates() {
+            if (liveEventSource) {
+                liveEventSource.close();
+                liveEventSource = null;
+            }
+            clearTimeout(liveRefreshTimer);
+            staleTabs.clear();
+        }
+
+        // Reloads the visible tab if an event made it stale; other tabs load fresh data when they are opened
+        function refreshStaleTab() {
+            const activeTab = document.querySelector('.tab-content.active');
+            if (activeTab && staleTabs.has(activeTab.id)) {
+                loadTabData(activeTab.id);
+            }
+            staleTabs.clear();
+        }
+
         // --- Modal Management Functions ---
 
         function showModal(modalId) {
@@ -172,7 +453,7 @@ const API_BASE = "/api"; // ✅ Works on both localhost and Render
 
         // Close modal when clicking outside content
         window.onclick = function(event) {
-            if (event.target.classList.contains('modal')) {
+            if (event.target.classList.contains('modal') && event.target.id !== 'loginModal') { // Login cannot be dismissed
                 event.target.style.display = 'none';
                 const modalAlertDiv = event.target.querySelector('[id$="ModalAlert"]');
                 if (modalAlertDiv) modalAlertDiv.innerHTML = '';
@@ -182,85 +463,219 @@ const API_BASE = "/api"; // ✅ Works on both localhost and Render
         // --- Specific Data Loading and Rendering Functions ---
 
         async function loadDashboard() {
-            // Fetch all required data in parallel
-            const statsRes = await apiCall('/stats');
-            const inventoryRes = await apiCall('/inventory');
-
-            // Ensure all calls were successful and have data
+            const branchId = document.getElementById('dashboardBranch').value;
+            const [statsRes, forecastRes] = await Promise.all([
+                apiCall(`/stats${branchId ? `?branchId=${branchId}` : ''}`),
+                apiCall('/inventory/forecast'),
+                loadBranchOptions('dashboardBranch', 'All Branches')
+            ]);
+
+            // Ensure the call was successful and has data
             const stats = statsRes ? statsRes.data : {};
-            const inventory = inventoryRes ? inventoryRes.data : [];
+            const forecastByType = {};
+            (forecastRes ? forecastRes.data : []).forEach(item => { forecastByType[item.bloodType] = item; }); // Covers all branches, so hidden for one branch
 
             // Update Dashboard Stats
             document.getElementById('totalDonors').textContent = stats.totalDonors || 0;
             document.getElementById('totalUnits').textContent = stats.totalUnits || 0;
             document.getElementById('pendingRequests').textContent = stats.pendingRequests || 0;
+            document.getElementById('reservedUnits').textContent = stats.reservedUnits || 0;
             document.getElementById('criticalLevels').textContent = stats.criticalLevels || 0;
 
-            // Calculate Inventory Overview Table (re-using inventory data from stats call)
-            const bloodTypes = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
-            const bloodTypeUnits = {}; 
-
-            bloodTypes.forEach(type => bloodTypeUnits[type] = 0); // Initialize
-
-            inventory.forEach(item => {
-                if (item.status === 'available' && bloodTypes.includes(item.bloodType)) {
-                    bloodTypeUnits[item.bloodType] += item.units;
-                }
-            });
+            // Inventory Overview Table: levels are classified on the server against the configured thresholds
+            const levelLabels = { critical: 'Critical', low: 'Low', ok: 'Available' };
+            const levelClasses = { critical: 'critical', low: 'low', ok: 'available' };
 
             const inventoryOverviewTbody = document.getElementById('inventoryOverview');
             inventoryOverviewTbody.innerHTML = ''; // Clear previous data
 
-            bloodTypes.forEach(type => {
-                const units = bloodTypeUnits[type];
-                let status = 'Available';
-                let statusClass = 'available';
-
-                if (units <= 2) {
-                    status = 'Critical';
-                    statusClass = 'critical';
-                } else if (units <= 5) {
-                    status = 'Low';
-                    statusClass = 'low';
-                }
-
+            (stats.bloodTypeLevels || []).forEach(({ bloodType, units, components, level, threshold }) => {
                 const row = `
                     <tr>
-                        <td><span class="blood-type">${type}</span></td>
+                        <td><span class="blood-type">${bloodType}</span></td>
                         <td>${units}</td>
-                        <td><span class="status ${statusClass}">${status}</span></td>
+                        <td>${formatDaysOfSupply(branchId ? undefined : forecastByType[bloodType])}</td>
+                        ${Object.keys(COMPONENT_LABELS).map(component => `<td>${components ? components[component] : 0}</td>`).join('')}
+                        <td><span class="status ${levelClasses[level]}">${levelLabels[level]}</span></td>
+                        <td>${threshold.minimum} / ${threshold.low} / ${threshold.target}</td>
                         <td>${formatReadableDate(new Date())}</td>
+                        <td>
+                            ${hasRole('admin') ? `<button class="btn btn-secondary" onclick="openThresholdModal('${bloodType}', ${threshold.minimum}, ${threshold.low}, ${threshold.target})">Edit Levels</button>` : ''}
+                            ${level !== 'ok' && hasRole('admin', 'front_desk') ? `<button class="btn btn-danger" onclick="startRecall('${bloodType}')">Recall Donors</button>` : ''}
+                        </td>
                     </tr>
                 `;
                 inventoryOverviewTbody.insertAdjacentHTML('beforeend', row);
             });
+
+            loadRequestQueue();
+            loadStockAlerts();
+            loadExpiringUnits();
+        }
+
+        /**
+         * Formats a blood type's forecast as days of supply, with the date stock is projected to fall below its low level.
+         * @param {object|undefined} forecast - { daysOfSupply, averageDailyUse, belowSafeLevelDate, expiringUnits } from the API.
+         * @returns {string} Cell HTML.
+         */
+        function formatDaysOfSupply(forecast) {
+            if (!forecast) return 'N/A';
+            const days = forecast.daysOfSupply === null ? 'No recent use' : `${forecast.daysOfSupply} days`;
+            const title = `Average use ${forecast.averageDailyUse}/day; ${forecast.expiringUnits} unit(s) projected to expire unused`;
+            const warning = forecast.belowSafeLevelDate ?
+                `<br><small class="status low">Below safe level ${formatReadableDate(forecast.belowSafeLevelDate)}</small>` : '';
+            return `<span title="${title}">${days}</span>${warning}`;
+        }
+
+        /**
+         * Formats a wait in minutes as "45m", "3h 10m" or "2d 4h".
+         * @param {number} minutes - Minutes waited.
+         * @returns {string} Short duration.
+         */
+        function formatWaitingTime(minutes) {
+            if (minutes < 60) return `${minutes}m`;
+            if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+            return `${Math.floor(minutes / (24 * 60))}d ${Math.floor((minutes % (24 * 60)) / 60)}h`;
+        }
+
+        async function loadRequestQueue() {
+            const tbody = document.getElementById('requestQueue');
+            const result = await apiCall('/requests/queue');
+            if (!result || !result.success) {
+                tbody.innerHTML = '<tr><td colspan="7" class="alert alert-error" style="text-align: center;">Failed to load the request queue.</td></tr>';
+                return;
+            }
+
+            document.getElementById('queueSla').textContent = result.slaBreaches > 0 ?
+                `— ${result.slaBreaches} Critical request(s) waiting over ${result.slaMinutes} minutes` :
+                '';
+
+            if (result.data.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="7" class="alert alert-info" style="text-align: center;">No requests are waiting.</td></tr>';
+                return;
+            }
+
+            tbody.innerHTML = result.data.map(request => `
+                <tr>
+                    <td>${request.position}</td>
+                    <td><span class="status ${request.priority.toLowerCase()}">${request.priority}</span></td>
+                    <td>${request.patientName}<br><small>${request.hospital}</small></td>
+                    <td><span class="blood-type">${request.bloodType}</span><br><small>${formatComponent(request.component)}</small></td>
+                    <td>${request.units}</td>
+                    <td>
+                        ${formatWaitingTime(request.waitingMinutes)}
+                        ${request.slaBreached ? '<br><span class="status critical">SLA breached</span>' : ''}
+                    </td>
+                    <td>
+                        ${hasRole('admin', 'lab_technician') ? `<button class="btn" onclick="advanceRequest('${request._id}', 'reserve')">Reserve</button>` : ''}
+                    </td>
+                </tr>
+            `).join('');
+        }
+
+        async function loadStockAlerts() {
+            const tbody = document.getElementById('stockAlerts');
+            const result = await apiCall('/alerts');
+            if (!result || !result.success) {
+                tbody.innerHTML = '<tr><td colspan="4" class="alert alert-error" style="text-align: center;">Failed to load alerts.</td></tr>';
+                return;
+            }
+
+            if (result.data.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="4" class="alert alert-info" style="text-align: center;">No active stock alerts.</td></tr>';
+                return;
+            }
+
+            tbody.innerHTML = result.data.map(alert => `
+                <tr>
+                    <td><span class="status ${alert.level}">${alert.level}</span></td>
+                    <td>${alert.message}</td>
+                    <td>${formatReadableDate(alert.createdAt)}${alert.status === 'acknowledged' ? `<br><small>Acknowledged by ${alert.acknowledgedBy}</small>` : ''}</td>
+                    <td>
+                        ${alert.status === 'open' ? `<button class="btn btn-secondary" onclick="updateStockAlert('${alert._id}', 'acknowledge')">Acknowledge</button>` : ''}
+                        ${hasRole('admin', 'lab_technician') ? `<button class="btn" onclick="updateStockAlert('${alert._id}', 'resolve')">Resolve</button>` : ''}
+                    </td>
+                </tr>
+            `).join('');
+        }
+
+        async function updateStockAlert(id, action) {
+            const result = await apiCall(`/alerts/${id}/${action}`, 'PUT', {});
+            if (result && result.success) {
+                showAlert(result.message, 'success');
+                loadDashboard();
+            }
+        }
+
+        function openThresholdModal(bloodType, minimum, low, target) {
+            document.getElementById('thresholdBloodType').value = bloodType;
+            document.getElementById('thresholdModalTitle').textContent = `Stock Levels for ${bloodType}`;
+            document.getElementById('thresholdMinimum').value = minimum;
+            document.getElementById('thresholdLow').value = low;
+            document.getElementById('thresholdTarget').value = target;
+            showModal('thresholdModal');
+        }
+
+        async function loadExpiringUnits() {
+            const tbody = document.getElementById('expiringUnits');
+            const days = document.getElementById('expiringWindow').value;
+            const result = await apiCall(`/inventory/expiring?days=${days}`);
+            if (!result || !result.success) {
+                tbody.innerHTML = '<tr><td colspan="5" class="alert alert-error" style="text-align: center;">Failed to load expiring units.</td></tr>';
+                return;
+            }
+
+            if (result.data.length === 0) {
+                tbody.innerHTML = `<tr><td colspan="5" class="alert alert-info" style="text-align: center;">No units expire in the next ${days} days.</td></tr>`;
+                return;
+            }
+
+            tbody.innerHTML = result.data.map(item => {
+                const daysLeft = Math.ceil((new Date(item.expiryDate) - new Date()) / (24 * 60 * 60 * 1000));
+                return `
+                    <tr>
+                        <td><span class="blood-type">${item.bloodType}</span></td>
+                        <td>${item.units}</td>
+                        <td>${item.donorId ? escapeHtml(item.donorId.name) : 'N/A'}</td>
+                        <td>${formatReadableDate(item.expiryDate)}</td>
+                        <td><span class="status ${daysLeft <= 3 ? 'critical' : 'low'}">${daysLeft} day${daysLeft === 1 ? '' : 's'}</span></td>
+                    </tr>
+                `;
+            }).join('');
         }
 
         async function loadDonors() {
             const tbody = document.getElementById('donorsTable');
-            tbody.innerHTML = '<tr><td colspan="7" class="alert alert-info" style="text-align: center;">Loading donors...</td></tr>';
-            const result = await apiCall('/donors');
+            tbody.innerHTML = '<tr><td colspan="8" class="alert alert-info" style="text-align: center;">Loading donors...</td></tr>';
+            const result = await apiCall(`/donors${buildListQuery('donors')}`);
             if (!result || !result.success) {
-                tbody.innerHTML = '<tr><td colspan="7" class="alert alert-error" style="text-align: center;">Failed to load donors. Please check the server and try again.</td></tr>';
+                tbody.innerHTML = '<tr><td colspan="8" class="alert alert-error" style="text-align: center;">Failed to load donors. Please check the server and try again.</td></tr>';
                 return;
             }
             const donors = result.data; // Access the 'data' property
+            renderPagination('donors', result.pagination);
 
             if (donors.length === 0) {
-                tbody.innerHTML = '<tr><td colspan="7" class="alert alert-info" style="text-align: center;">No donors registered yet. Click "Add New Donor" to begin!</td></tr>';
+                tbody.innerHTML = '<tr><td colspan="8" class="alert alert-info" style="text-align: center;">No donors found. Adjust the filters or click "Add New Donor" to begin!</td></tr>';
                 return;
             }
 
             tbody.innerHTML = donors.map(donor => `
                 <tr>
                     <td><small>${shortenId(donor._id)}</small></td>
-                    <td>${donor.name}</td>
+                    <td>${escapeHtml(donor.name)}${donor.isActive ? '' : ' <span class="status used">Inactive</span>'}</td>
                     <td><span class="blood-type">${donor.bloodType}</span></td>
-                    <td>${donor.phone}</td>
-                    <td>${donor.email}</td>
+                    <td>${escapeHtml(donor.phone)}</td>
+                    <td>${escapeHtml(donor.email)}</td>
                     <td>${formatReadableDate(donor.lastDonation)}</td>
+                    <td>${formatEligibility(donor.eligibility)}</td>
                     <td>
-                        <button class="btn btn-danger" onclick="deleteDonor('${donor._id}')">Delete</button>
+                        ${donor.isActive && hasRole('admin', 'front_desk') ? `<button class="btn" onclick="editDonor('${donor._id}')">Edit</button>` : ''}
+                        <button class="btn btn-secondary" onclick="showDonorHistory('${donor._id}')">History</button>
+                        ${donor.isActive && hasRole('admin', 'front_desk') ? `<button class="btn btn-secondary" onclick="inviteDonorToPortal('${donor._id}')">Portal Invite</button>` : ''}
+                        ${donor.isActive && hasRole('admin') ? `<button class="btn btn-danger" onclick="deleteDonor('${donor._id}')">Delete</button>` : ''}
+                        ${!donor.isActive && hasRole('admin') ? `<button class="btn" onclick="restoreDonor('${donor._id}')">Restore</button>` : ''}
+                        ${hasRole('admin', 'lab_technician') ? `<button class="btn btn-secondary" onclick="showDonorRecipients('${donor._id}')">Recipients</button>` : ''}
                     </td>
                 </tr>
             `).join('');
@@ -268,28 +683,39 @@ const API_BASE = "/api"; // ✅ Works on both localhost and Render
 
         async function loadInventory() {
             const tbody = document.getElementById('inventoryTable');
-            tbody.innerHTML = '<tr><td colspan="7" class="alert alert-info" style="text-align: center;">Loading inventory...</td></tr>';
-            const result = await apiCall('/inventory');
+            tbody.innerHTML = '<tr><td colspan="10" class="alert alert-info" style="text-align: center;">Loading inventory...</td></tr>';
+            loadBranchOptions('inventoryBranchFilter', 'All Branches');
+            const result = await apiCall(`/inventory${buildListQuery('inventory')}`);
             if (!result || !result.success) {
-                tbody.innerHTML = '<tr><td colspan="7" class="alert alert-error" style="text-align: center;">Failed to load inventory. Please check the server and try again.</td></tr>';
+                tbody.innerHTML = '<tr><td colspan="10" class="alert alert-error" style="text-align: center;">Failed to load inventory. Please check the server and try again.</td></tr>';
                 return;
             }
             const inventory = result.data; // Access the 'data' property
+            renderPagination('inventory', result.pagination);
 
             if (inventory.length === 0) {
-                tbody.innerHTML = '<tr><td colspan="7" class="alert alert-info" style="text-align: center;">No blood units in inventory. Add some using "Add Blood Unit".</td></tr>';
+                tbody.innerHTML = '<tr><td colspan="10" class="alert alert-info" style="text-align: center;">No blood units match. Adjust the filters or add some using "Add Blood Unit".</td></tr>';
                 return;
             }
 
             tbody.innerHTML = inventory.map(item => `
                 <tr>
+                    <td><small style="white-space: nowrap;">${item.dinLabel || 'N/A'}</small></td>
                     <td><span class="blood-type">${item.bloodType}</span></td>
+                    <td>${formatComponent(item.component)}</td>
                     <td>${item.units}</td>
-                    <td>${item.donorId ? item.donorId.name : 'N/A'}</td> <td>${formatReadableDate(item.collectionDate)}</td>
+                    <td>${item.donorId ? escapeHtml(item.donorId.name) : 'N/A'}</td> <td>${formatReadableDate(item.collectionDate)}</td>
                     <td>${formatReadableDate(item.expiryDate)}</td>
-                    <td><span class="status ${item.status.toLowerCase()}">${item.status}</span></td>
+                    <td>${item.branchId ? `<span title="${item.branchId.name}">${item.branchId.code}</span>` : 'N/A'}</td>
+                    <td><span class="status ${item.status.toLowerCase()}">${item.status.replace('_', ' ')}</span></td>
                     <td>
-                        <button class="btn btn-danger" onclick="deleteBloodUnit('${item._id}')">Delete</button>
+                        ${item.status === 'available' && (item.component || 'whole_blood') === 'whole_blood' && hasRole('admin', 'lab_technician') ?
+                            `<button class="btn btn-secondary" onclick="processBloodUnit('${item._id}')">Separate</button>` :
+                            ''
+                        }
+                        ${discardButtonFor(item)}
+                        ${item.din ? `<button class="btn btn-secondary" onclick="downloadUnitLabel('${item._id}')">Label</button>` : ''}
+                        ${item.status === 'discarded' ? `<small>${[DISCARD_REASON_LABELS[item.discardReason], item.discardNotes].filter(Boolean).join(': ')}</small>` : ''}
                     </td>
                 </tr>
             `).join('');
@@ -298,114 +724,749 @@ const API_BASE = "/api"; // ✅ Works on both localhost and Render
         async function loadRequests() {
             const tbody = document.getElementById('requestsTable');
             tbody.innerHTML = '<tr><td colspan="7" class="alert alert-info" style="text-align: center;">Loading requests...</td></tr>';
-            const result = await apiCall('/requests');
+            const [result] = await Promise.all([
+                apiCall(`/requests${buildListQuery('requests')}`),
+                hasRole('admin', 'lab_technician') ? loadBranchOptions('reserveBranch', 'Reserve from any branch') : null
+            ]);
             if (!result || !result.success) {
                 tbody.innerHTML = '<tr><td colspan="7" class="alert alert-error" style="text-align: center;">Failed to load requests. Please check the server and try again.</td></tr>';
                 return;
             }
             const requests = result.data; // Access the 'data' property
+            renderPagination('requests', result.pagination);
 
             if (requests.length === 0) {
-                tbody.innerHTML = '<tr><td colspan="7" class="alert alert-info" style="text-align: center;">No pending blood requests. Click "New Request" to add one.</td></tr>';
+                tbody.innerHTML = '<tr><td colspan="7" class="alert alert-info" style="text-align: center;">No blood requests match. Adjust the filters or click "New Request" to add one.</td></tr>';
                 return;
             }
 
             tbody.innerHTML = requests.map(request => `
                 <tr>
                     <td>${request.patientName}</td>
-                    <td><span class="blood-type">${request.bloodType}</span></td>
-                    <td>${request.units}</td>
+                    <td><span class="blood-type">${request.bloodType}</span><br><small>${formatComponent(request.component)}</small></td>
+                    <td>
+                        ${request.units}
+                        ${request.issuedBloodTypes && request.issuedBloodTypes.length > 0 ?
+                            `<br><small>Issued: ${request.issuedBloodTypes.map(issued => `${issued.bloodType} × ${issued.units}`).join(', ')}</small>` :
+                            ''
+                        }
+                    </td>
                     <td>${request.hospital}</td>
                     <td><span class="status ${request.priority.toLowerCase()}">${request.priority}</span></td>
-                    <td><span class="status ${request.status.toLowerCase()}">${request.status}</span></td>
                     <td>
-                        ${request.status === 'pending' ?
-                            `<button class="btn" onclick="fulfillRequest('${request._id}')">Fulfill</button>` :
+                        <span class="status ${request.status.toLowerCase()}">${request.status}</span>
+                        ${request.holdExpiresAt && ['reserved', 'crossmatched'].includes(request.status) ?
+                            `<br><small>Held until ${new Date(request.holdExpiresAt).toLocaleString()}</small>` :
+                            ''
+                        }
+                        ${request.status === 'pending' && request.releaseReason ? `<br><small>${request.releaseReason}</small>` : ''}
+                    </td>
+                    <td>
+                        ${renderRequestActions(request)}
+                        ${['issued', 'fulfilled'].includes(request.status) && hasRole(...STAFF_ROLES) ?
+                            `<button class="btn btn-secondary" onclick="showRequestAllocations('${request._id}')">Trace</button>` :
+                            ''
+                        }
+                        ${['pending', 'reserved', 'crossmatched'].includes(request.status) && hasRole('admin') ?
+                            `<button class="btn btn-danger" onclick="deleteRequest('${request._id}')">Cancel</button>` :
                             ''
                         }
-                        <button class="btn btn-danger" onclick="deleteRequest('${request._id}')">Delete</button>
+                        ${request.status === 'cancelled' && request.cancellationReason ? `<small>${request.cancellationReason}</small>` : ''}
+                        ${request.status === 'rejected' && request.rejectionReason ? `<small>${request.rejectionReason}</small>` : ''}
                     </td>
                 </tr>
             `).join('');
         }
 
-        // --- Form Submission Handlers ---
-
-        document.getElementById('donorForm').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const donorData = {
-                name: document.getElementById('donorName').value.trim(),
-                age: parseInt(document.getElementById('donorAge').value), // Added age
-                bloodType: document.getElementById('donorBloodType').value,
-                phone: document.getElementById('donorPhone').value.trim(),
-                email: document.getElementById('donorEmail').value.trim().toLowerCase(),
-                address: document.getElementById('donorAddress').value.trim()
-            };
-            const result = await apiCall('/donors', 'POST', donorData);
-            if (result && result.success) {
-                showAlert('Donor added successfully!', 'success');
-                closeModal('donorModal');
-                document.getElementById('donorForm').reset();
-                loadDonors();
-                loadDashboard();
-            } else if (result && result.error) {
-                showAlert(result.error, 'error', 'donorModalAlert');
-            } else {
-                showAlert('Failed to add donor. Please try again.', 'error', 'donorModalAlert');
+        /**
+         * Loads the audit log (admin only). Each row shows the fields that changed between the before and after snapshots.
+         */
+        async function loadAuditLog() {
+            const tbody = document.getElementById('auditTable');
+            tbody.innerHTML = '<tr><td colspan="5" class="alert alert-info" style="text-align: center;">Loading audit log...</td></tr>';
+            const result = await apiCall(`/audit${buildListQuery('audit')}`);
+            if (!result || !result.success) {
+                tbody.innerHTML = '<tr><td colspan="5" class="alert alert-error" style="text-align: center;">Failed to load the audit log. Please try again.</td></tr>';
+                return;
             }
-        });
+            renderPagination('audit', result.pagination);
 
-        document.getElementById('bloodForm').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const bloodData = {
-                bloodType: document.getElementById('bloodType').value,
-                units: parseInt(document.getElementById('bloodUnits').value),
-                donorId: document.getElementById('donorSelect').value,
-                collectionDate: document.getElementById('collectionDate').value,
-                expiryDate: document.getElementById('expiryDate').value
-            };
-            const result = await apiCall('/inventory', 'POST', bloodData);
-            if (result && result.success) {
-                showAlert('Blood unit added successfully!', 'success');
-                closeModal('bloodModal');
-                document.getElementById('bloodForm').reset();
-                loadInventory();
-                loadDashboard();
-            } else if (result && result.error) {
-                showAlert(result.error, 'error', 'bloodModalAlert');
-            } else {
-                showAlert('Failed to add blood unit. Please try again.', 'error', 'bloodModalAlert');
+            if (result.data.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="5" class="alert alert-info" style="text-align: center;">No audit entries match the filters.</td></tr>';
+                return;
             }
-        });
 
-        document.getElementById('requestForm').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const requestData = {
-                patientName: document.getElementById('patientName').value.trim(),
-                bloodType: document.getElementById('requestBloodType').value,
-                units: parseInt(document.getElementById('unitsNeeded').value),
-                priority: document.getElementById('priority').value,
-                hospital: document.getElementById('hospital').value.trim()
-            };
-            const result = await apiCall('/requests', 'POST', requestData);
-            if (result && result.success) {
-                showAlert('Request submitted successfully!', 'success');
-                closeModal('requestModal');
-                document.getElementById('requestForm').reset();
-                loadRequests();
-                loadDashboard();
-            } else if (result && result.error) {
-                showAlert(result.error, 'error', 'requestModalAlert');
-            } else {
-                showAlert('Failed to submit request. Please try again.', 'error', 'requestModalAlert');
-            }
-        });
+            tbody.innerHTML = result.data.map(entry => `
+                <tr>
+                    <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                    <td>${escapeHtml(entry.actor.name)}${entry.actor.role ? `<br><small>${entry.actor.role}</small>` : ''}</td>
+                    <td>${entry.action}</td>
+                    <td>${entry.entityType}<br><small>${entry.entityId || ''}</small></td>
+                    <td><small>${describeAuditChanges(entry)}</small></td>
+                </tr>
+            `).join('');
+        }
 
-        // --- Action Handlers (Delete, Fulfill) ---
+        /**
+         * Summarises which top-level fields differ between an audit entry's before and after snapshots.
+         * @param {object} entry - Audit log entry.
+         * @returns {string} Comma-separated "field: old → new" pairs.
+         */
+        function describeAuditChanges(entry) {
+            if (!entry.before) return 'Created';
+            if (!entry.after) return 'Removed';
+            const format = value => value === undefined || value === null ? '—' :
+                (typeof value === 'object' ? JSON.stringify(value) : String(value));
+            const ignored = ['updatedAt', '__v'];
+            const fields = new Set([...Object.keys(entry.before), ...Object.keys(entry.after)]);
+            const changes = [...fields]
+                .filter(field => !ignored.includes(field) && format(entry.before[field]) !== format(entry.after[field]))
+                .map(field => `${field}: ${format(entry.before[field])} → ${format(entry.after[field])}`);
+            return changes.length > 0 ? changes.join(', ') : 'No field changes';
+        }
 
-        async function deleteDonor(id) {
-            if (confirm('Are you sure you want to delete this donor? This action cannot be undone.')) {
-                const result = await apiCall(`/donors/${id}`, 'DELETE');
+        // --- Hospital Registry ---
+
+        let hospitalsById = {}; // Last loaded hospitals, for opening the edit modal
+        let editingHospitalId = null; // Set while the hospital modal is editing an existing hospital
+
+        async function loadHospitals() {
+            const tbody = document.getElementById('hospitalsTable');
+            const result = await apiCall(`/hospitals${hasRole('admin') ? '?includeInactive=true' : ''}`);
+            if (!result || !result.success) {
+                tbody.innerHTML = '<tr><td colspan="7" class="alert alert-error" style="text-align: center;">Failed to load hospitals.</td></tr>';
+                return;
+            }
+            hospitalsById = {};
+            result.data.forEach(hospital => { hospitalsById[hospital._id] = hospital; });
+
+            if (result.data.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="7" class="alert alert-info" style="text-align: center;">No hospitals registered yet.</td></tr>';
+                return;
+            }
+
+            tbody.innerHTML = result.data.map(hospital => {
+                const contact = hospital.contact || {};
+                const address = hospital.address || {};
+                return `
+                    <tr>
+                        <td>${hospital.name}</td>
+                        <td>${contact.name || 'N/A'}</td>
+                        <td>${contact.phone || 'N/A'}</td>
+                        <td>${contact.email || 'N/A'}</td>
+                        <td>${address.city || 'N/A'}</td>
+                        <td><span class="status ${hospital.isActive ? 'available' : 'used'}">${hospital.isActive ? 'Active' : 'Inactive'}</span></td>
+                        <td>
+                            ${hasRole('admin') ? `<button class="btn btn-secondary" onclick="openHospitalModal('${hospital._id}')">Edit</button>` : ''}
+                            ${hasRole('admin') ? `<button class="btn btn-secondary" onclick="toggleHospitalActive('${hospital._id}', ${!hospital.isActive})">${hospital.isActive ? 'Deactivate' : 'Activate'}</button>` : ''}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        }
+
+        async function loadHospitalReport() {
+            const tbody = document.getElementById('hospitalReport');
+            const params = new URLSearchParams();
+            const from = document.getElementById('hospitalReportFrom').value;
+            const to = document.getElementById('hospitalReportTo').value;
+            if (from) params.set('from', from);
+            if (to) params.set('to', to);
+
+            const result = await apiCall(`/hospitals/report?${params.toString()}`);
+            if (!result || !result.success) {
+                tbody.innerHTML = '<tr><td colspan="7" class="alert alert-error" style="text-align: center;">Failed to load the hospital report.</td></tr>';
+                return;
+            }
+            if (result.data.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="7" class="alert alert-info" style="text-align: center;">No requests from registered hospitals in this period.</td></tr>';
+                return;
+            }
+
+            tbody.innerHTML = result.data.map(row => `
+                <tr>
+                    <td>${row.hospital}</td>
+                    <td>${row.totalRequests}</td>
+                    <td>${row.openRequests}</td>
+                    <td>${row.issuedRequests}</td>
+                    <td>${row.unitsRequested}</td>
+                    <td>${row.unitsIssued}</td>
+                    <td>${row.avgTurnaroundMinutes === null ? 'N/A' : formatWaitingTime(row.avgTurnaroundMinutes)}</td>
+                </tr>
+            `).join('');
+        }
+
+        /**
+         * Opens the hospital modal, either empty for a new hospital or pre-filled for editing.
+         * @param {string|null} id - Hospital to edit, or null to register a new one.
+         */
+        function openHospitalModal(id = null) {
+            const hospital = id ? hospitalsById[id] : null;
+            editingHospitalId = hospital ? hospital._id : null;
+            document.getElementById('hospitalForm').reset();
+            document.getElementById('hospitalModalTitle').textContent = hospital ? 'Edit Hospital' : 'Register Hospital';
+            document.getElementById('hospitalSubmitBtn').textContent = hospital ? 'Save Changes' : 'Register Hospital';
+            if (hospital) {
+                const contact = hospital.contact || {};
+                const address = hospital.address || {};
+                document.getElementById('hospitalName').value = hospital.name;
+                document.getElementById('hospitalContactName').value = contact.name || '';
+                document.getElementById('hospitalContactPhone').value = contact.phone || '';
+                document.getElementById('hospitalContactEmail').value = contact.email || '';
+                document.getElementById('hospitalStreet').value = address.street || '';
+                document.getElementById('hospitalCity').value = address.city || '';
+                document.getElementById('hospitalState').value = address.state || '';
+                document.getElementById('hospitalPostalCode').value = address.postalCode || '';
+            }
+            showModal('hospitalModal');
+        }
+
+        async function toggleHospitalActive(id, isActive) {
+            const result = await apiCall(`/hospitals/${id}`, 'PUT', { isActive });
+            if (result && result.success) {
+                showAlert(isActive ? 'Hospital activated.' : 'Hospital deactivated.', 'success');
+                loadHospitals();
+            } else if (result && result.error) {
+                showAlert(result.error, 'error');
+            }
+        }
+
+        /**
+         * Fills the request modal's hospital dropdown. Hospital users can only request for their own hospital.
+         */
+        async function loadHospitalDropdown() {
+            const select = document.getElementById('hospital');
+            select.innerHTML = '<option value="">Loading Hospitals...</option>';
+            const result = await apiCall('/hospitals');
+            if (!result || !result.success) {
+                select.innerHTML = '<option value="">Failed to load hospitals</option>';
+                return;
+            }
+            const isHospitalUser = hasRole('hospital_requester');
+            select.innerHTML = (isHospitalUser ? '' : '<option value="">Select Hospital</option>') +
+                result.data.map(hospital => `<option value="${hospital._id}">${hospital.name}</option>`).join('');
+            select.disabled = isHospitalUser;
+        }
+
+        // --- Branches and Transfers ---
+
+        let branchesById = {}; // Last loaded branches, for opening the edit modal
+        let editingBranchId = null; // Set while the branch modal is editing an existing branch
+
+        /**
+         * Fills a branch dropdown with the active branches, keeping the current selection if it is still listed.
+         * @param {string} selectId - ID of the select element.
+         * @param {string} emptyLabel - Label of the first option, whose value is empty.
+         * @returns {Promise<Array>} The active branches.
+         */
+        async function loadBranchOptions(selectId, emptyLabel) {
+            const select = document.getElementById(selectId);
+            const result = await apiCall('/branches');
+            if (!result || !result.success) return [];
+            const selected = select.value;
+            select.innerHTML = `<option value="">${emptyLabel}</option>` +
+                result.data.map(branch => `<option value="${branch._id}">${branch.name} (${branch.code})</option>`).join('');
+            if (result.data.some(branch => branch._id === selected)) select.value = selected;
+            return result.data;
+        }
+
+        async function loadBranches() {
+            const tbody = document.getElementById('branchesTable');
+            const [branchesRes, statsRes] = await Promise.all([
+                apiCall(`/branches${hasRole('admin') ? '?includeInactive=true' : ''}`),
+                apiCall('/branches/stats')
+            ]);
+            if (!branchesRes || !branchesRes.success || !statsRes || !statsRes.success) {
+                tbody.innerHTML = '<tr><td colspan="9" class="alert alert-error" style="text-align: center;">Failed to load branches.</td></tr>';
+                return;
+            }
+            branchesById = {};
+            branchesRes.data.forEach(branch => { branchesById[branch._id] = branch; });
+
+            if (statsRes.data.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="9" class="alert alert-info" style="text-align: center;">No branches yet. Add one to start tracking where units are stored.</td></tr>';
+                return;
+            }
+
+            tbody.innerHTML = statsRes.data.map(stats => {
+                const branch = stats.branchId ? branchesById[stats.branchId] : null;
+                const address = (branch && branch.address) || {};
+                const byType = Object.entries(stats.unitsByType)
+                    .filter(([, units]) => units > 0)
+                    .map(([bloodType, units]) => `<span class="blood-type">${bloodType}</span> ${units}`)
+                    .join(' ');
+                return `
+                    <tr>
+                        <td>${stats.name}${stats.code ? `<br><small>${stats.code}</small>` : ''}</td>
+                        <td>${address.city || 'N/A'}</td>
+                        <td>${byType || 'None'}</td>
+                        <td>${stats.availableUnits}</td>
+                        <td>${stats.reservedUnits}</td>
+                        <td>${stats.inTransitUnits}</td>
+                        <td>${stats.incomingUnits}</td>
+                        <td>${stats.branchId ? `<span class="status ${stats.isActive ? 'available' : 'used'}">${stats.isActive ? 'Active' : 'Inactive'}</span>` : ''}</td>
+                        <td>
+                            ${branch && hasRole('admin') ? `<button class="btn btn-secondary" onclick="openBranchModal('${branch._id}')">Edit</button>` : ''}
+                            ${branch && hasRole('admin') ? `<button class="btn btn-secondary" onclick="toggleBranchActive('${branch._id}', ${!branch.isActive})">${branch.isActive ? 'Deactivate' : 'Activate'}</button>` : ''}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        }
+
+        async function loadTransfers() {
+            const tbody = document.getElementById('transfersTable');
+            const status = document.getElementById('transferStatusFilter').value;
+            const result = await apiCall(`/transfers?limit=50${status ? `&status=${status}` : ''}`);
+            if (!result || !result.success) {
+                tbody.innerHTML = '<tr><td colspan="6" class="alert alert-error" style="text-align: center;">Failed to load transfers.</td></tr>';
+                return;
+            }
+            if (result.data.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="6" class="alert alert-info" style="text-align: center;">No transfers match.</td></tr>';
+                return;
+            }
+
+            const canMoveStock = hasRole('admin', 'lab_technician');
+            tbody.innerHTML = result.data.map(transfer => `
+                <tr>
+                    <td>${formatReadableDate(transfer.requestedAt)}<br><small>${transfer.requestedBy || ''}</small></td>
+                    <td>${transfer.fromBranchId ? transfer.fromBranchId.name : 'N/A'}</td>
+                    <td>${transfer.toBranchId ? transfer.toBranchId.name : 'N/A'}</td>
+                    <td>${transfer.items.map(item => `${item.units} × <span class="blood-type">${item.bloodType}</span> ${formatComponent(item.component)}`).join('<br>')}</td>
+                    <td>
+                        <span class="status ${transfer.status}">${transfer.status}</span>
+                        ${transfer.cancellationReason ? `<br><small>${transfer.cancellationReason}</small>` : ''}
+                    </td>
+                    <td>
+                        ${canMoveStock && transfer.status === 'requested' ? `<button class="btn" onclick="dispatchTransfer('${transfer._id}')">Dispatch</button>` : ''}
+                        ${canMoveStock && transfer.status === 'dispatched' ? `<button class="btn" onclick="receiveTransfer('${transfer._id}')">Receive</button>` : ''}
+                        ${canMoveStock && ['requested', 'dispatched'].includes(transfer.status) ? `<button class="btn btn-danger" onclick="cancelTransfer('${transfer._id}')">Cancel</button>` : ''}
+                    </td>
+                </tr>
+            `).join('');
+        }
+
+        /**
+         * Opens the branch modal, either empty for a new branch or pre-filled for editing.
+         * @param {string|null} id - Branch to edit, or null to add a new one.
+         */
+        function openBranchModal(id = null) {
+            const branch = id ? branchesById[id] : null;
+            editingBranchId = branch ? branch._id : null;
+            document.getElementById('branchForm').reset();
+            document.getElementById('branchModalTitle').textContent = branch ? 'Edit Branch' : 'Add Branch';
+            document.getElementById('branchSubmitBtn').textContent = branch ? 'Save Changes' : 'Add Branch';
+            if (branch) {
+                const address = branch.address || {};
+                document.getElementById('branchName').value = branch.name;
+                document.getElementById('branchCode').value = branch.code;
+                document.getElementById('branchPhone').value = branch.phone || '';
+                document.getElementById('branchStreet').value = address.street || '';
+                document.getElementById('branchCity').value = address.city || '';
+                document.getElementById('branchState').value = address.state || '';
+                document.getElementById('branchPostalCode').value = address.postalCode || '';
+            }
+            showModal('branchModal');
+        }
+
+        async function toggleBranchActive(id, isActive) {
+            const result = await apiCall(`/branches/${id}`, 'PUT', { isActive });
+            if (result && result.success) {
+                showAlert(isActive ? 'Branch activated.' : 'Branch deactivated.', 'success');
+                loadBranches();
+            }
+        }
+
+        // One blood type / component / units row of the transfer form
+        function addTransferItemRow() {
+            const bloodTypeOptions = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'].map(type => `<option value="${type}">${type}</option>`).join('');
+            const componentOptions = Object.entries(COMPONENT_LABELS).map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+            document.getElementById('transferItems').insertAdjacentHTML('beforeend', `
+                <div class="form-row transfer-item">
+                    <div class="form-group">
+                        <label>Blood Type</label>
+                        <select data-item="bloodType" required><option value="">Select Blood Type</option>${bloodTypeOptions}</select>
+                    </div>
+                    <div class="form-group">
+                        <label>Component</label>
+                        <select data-item="component">${componentOptions}</select>
+                    </div>
+                    <div class="form-group">
+                        <label>Units</label>
+                        <input type="number" data-item="units" required min="1">
+                    </div>
+                </div>
+            `);
+        }
+
+        async function openTransferModal() {
+            document.getElementById('transferForm').reset();
+            document.getElementById('transferItems').innerHTML = '';
+            addTransferItemRow();
+            showModal('transferModal');
+            await Promise.all([loadBranchOptions('transferFrom', 'Select Branch'), loadBranchOptions('transferTo', 'Select Branch')]);
+        }
+
+        async function dispatchTransfer(id) {
+            if (!confirm('Dispatch this transfer? Units are taken from the sending branch, earliest expiry first.')) return;
+            const result = await apiCall(`/transfers/${id}/dispatch`, 'PUT', {});
+            if (result && result.success) {
+                showAlert(result.message, 'success');
+                loadBranches();
+                loadTransfers();
+            }
+        }
+
+        async function receiveTransfer(id) {
+            const result = await apiCall(`/transfers/${id}/receive`, 'PUT', {});
+            if (result && result.success) {
+                showAlert(result.message, 'success'); // Mentions any request the received units were reserved for
+                loadBranches();
+                loadTransfers();
+            }
+        }
+
+        async function cancelTransfer(id) {
+            const reason = prompt('Why is this transfer being cancelled?');
+            if (reason === null) return;
+            const result = await apiCall(`/transfers/${id}/cancel`, 'PUT', { reason });
+            if (result && result.success) {
+                showAlert(result.message, 'success');
+                loadBranches();
+                loadTransfers();
+            }
+        }
+
+        // --- Donor Edit and History Views ---
+
+        let editingDonorId = null; // Set while the donor modal is editing an existing donor
+
+        /**
+         * Opens the donor modal, either empty for a new donor or pre-filled for editing.
+         * @param {object|null} donor - The donor to edit, or null to add a new one.
+         */
+        function openDonorModal(donor = null) {
+            editingDonorId = donor ? donor._id : null;
+            document.getElementById('donorForm').reset();
+            document.getElementById('donorModalTitle').textContent = donor ? 'Edit Donor' : 'Add New Donor';
+            document.getElementById('donorSubmitBtn').textContent = donor ? 'Save Changes' : 'Add Donor';
+            if (donor) {
+                document.getElementById('donorName').value = donor.name;
+                document.getElementById('donorAge').value = donor.age;
+                document.getElementById('donorBloodType').value = donor.bloodType;
+                document.getElementById('donorPhone').value = donor.phone;
+                document.getElementById('donorEmail').value = donor.email;
+                document.getElementById('donorAddress').value = donor.address;
+                const preferences = donor.notificationPreferences || {};
+                document.getElementById('donorNotifyEmail').checked = preferences.email !== false;
+                document.getElementById('donorNotifySms').checked = preferences.sms !== false;
+            }
+            showModal('donorModal');
+        }
+
+        async function editDonor(id) {
+            const result = await apiCall(`/donors/${id}`);
+            if (result && result.success) {
+                openDonorModal(result.data.donor);
+            }
+        }
+
+        /**
+         * Emails the donor a link to set up their donor portal account.
+         * @param {string} id - Donor ID.
+         */
+        async function inviteDonorToPortal(id) {
+            if (!confirm('Email this donor an invitation to the donor portal?')) return;
+            const result = await apiCall(`/donors/${id}/portal-invite`, 'POST', {});
+            if (result && result.success) {
+                showAlert(result.message, 'success');
+            }
+        }
+
+        async function showDonorHistory(id) {
+            const result = await apiCall(`/donors/${id}`);
+            if (!result || !result.success) return;
+            const { donor, donations } = result.data;
+
+            document.getElementById('donorHistoryTitle').textContent = `${donor.name} — Donation History`;
+            document.getElementById('donorHistoryProfile').innerHTML = `
+                <p><span class="blood-type">${donor.bloodType}</span> Age ${donor.age} • ${escapeHtml(donor.phone)} • ${escapeHtml(donor.email)}</p>
+                <p>${escapeHtml(donor.address)}</p>
+                <p>Last donation: ${formatReadableDate(donor.lastDonation)} • Eligibility: ${formatEligibility(donor.eligibility)}</p>
+            `;
+            document.getElementById('donorHistoryTable').innerHTML = donations.length > 0 ?
+                donations.map(item => `
+                    <tr>
+                        <td>${formatReadableDate(item.collectionDate)}</td>
+                        <td><span class="blood-type">${item.bloodType}</span> ${formatComponent(item.component)}</td>
+                        <td>${item.units}</td>
+                        <td>${formatReadableDate(item.expiryDate)}</td>
+                        <td><span class="status ${item.status.toLowerCase()}">${item.status}</span></td>
+                    </tr>
+                    ${item.components.map(component => `
+                        <tr>
+                            <td></td>
+                            <td>↳ ${formatComponent(component.component)}</td>
+                            <td>${component.units}</td>
+                            <td>${formatReadableDate(component.expiryDate)}</td>
+                            <td><span class="status ${component.status.toLowerCase()}">${component.status}</span></td>
+                        </tr>
+                    `).join('')}
+                `).join('') :
+                '<tr><td colspan="5" class="alert alert-info" style="text-align: center;">No donations recorded for this donor.</td></tr>';
+            showModal('donorHistoryModal');
+        }
+
+        // --- Form Submission Handlers ---
+
+        document.getElementById('donorForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const donorData = {
+                name: document.getElementById('donorName').value.trim(),
+                age: parseInt(document.getElementById('donorAge').value), // Added age
+                bloodType: document.getElementById('donorBloodType').value,
+                phone: document.getElementById('donorPhone').value.trim(),
+                email: document.getElementById('donorEmail').value.trim().toLowerCase(),
+                address: document.getElementById('donorAddress').value.trim(),
+                notificationPreferences: {
+                    email: document.getElementById('donorNotifyEmail').checked,
+                    sms: document.getElementById('donorNotifySms').checked
+                }
+            };
+            const result = editingDonorId ?
+                await apiCall(`/donors/${editingDonorId}`, 'PUT', donorData) :
+                await apiCall('/donors', 'POST', donorData);
+            if (result && result.success) {
+                showAlert(editingDonorId ? 'Donor updated successfully!' : 'Donor added successfully!', 'success');
+                editingDonorId = null;
+                closeModal('donorModal');
+                document.getElementById('donorForm').reset();
+                loadDonors();
+                loadDashboard();
+            } else if (result && result.error) {
+                showAlert(result.error, 'error', 'donorModalAlert');
+            } else {
+                showAlert('Failed to save donor. Please try again.', 'error', 'donorModalAlert');
+            }
+        });
+
+        document.getElementById('bloodForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const bloodData = {
+                bloodType: document.getElementById('bloodType').value,
+                units: parseInt(document.getElementById('bloodUnits').value),
+                donorId: document.getElementById('donorSelect').value,
+                component: document.getElementById('bloodComponent').value,
+                collectionDate: document.getElementById('collectionDate').value,
+                expiryDate: document.getElementById('expiryDate').value, // Empty uses the component's shelf life
+                branchId: document.getElementById('bloodBranch').value,
+                appointmentId: document.getElementById('appointmentId').value // Set when recording a drive collection
+            };
+            const result = await apiCall('/inventory', 'POST', bloodData);
+            if (result && result.success) {
+                showAlert(result.message, 'success'); // Mentions any request the new units were reserved for
+                closeModal('bloodModal');
+                document.getElementById('bloodForm').reset();
+                if (bloodData.appointmentId && selectedCampaignId) showCampaign(selectedCampaignId);
+                document.getElementById('appointmentId').value = '';
+                loadInventory();
+                loadDashboard();
+            } else if (result && result.error) {
+                showAlert(result.error, 'error', 'bloodModalAlert');
+            } else {
+                showAlert('Failed to add blood unit. Please try again.', 'error', 'bloodModalAlert');
+            }
+        });
+
+        document.getElementById('requestForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const requestData = {
+                patientName: document.getElementById('patientName').value.trim(),
+                bloodType: document.getElementById('requestBloodType').value,
+                component: document.getElementById('requestComponent').value,
+                units: parseInt(document.getElementById('unitsNeeded').value),
+                priority: document.getElementById('priority').value,
+                hospitalId: document.getElementById('hospital').value
+            };
+            const result = await apiCall('/requests', 'POST', requestData);
+            if (result && result.success) {
+                showAlert('Request submitted successfully!', 'success');
+                closeModal('requestModal');
+                document.getElementById('requestForm').reset();
+                loadRequests();
+                loadDashboard();
+            } else if (result && result.error) {
+                showAlert(result.error, 'error', 'requestModalAlert');
+            } else {
+                showAlert('Failed to submit request. Please try again.', 'error', 'requestModalAlert');
+            }
+        });
+
+        document.getElementById('hospitalForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const hospitalData = {
+                name: document.getElementById('hospitalName').value.trim(),
+                contact: {
+                    name: document.getElementById('hospitalContactName').value.trim(),
+                    phone: document.getElementById('hospitalContactPhone').value.trim(),
+                    email: document.getElementById('hospitalContactEmail').value.trim().toLowerCase()
+                },
+                address: {
+                    street: document.getElementById('hospitalStreet').value.trim(),
+                    city: document.getElementById('hospitalCity').value.trim(),
+                    state: document.getElementById('hospitalState').value.trim(),
+                    postalCode: document.getElementById('hospitalPostalCode').value.trim()
+                }
+            };
+            const result = editingHospitalId ?
+                await apiCall(`/hospitals/${editingHospitalId}`, 'PUT', hospitalData) :
+                await apiCall('/hospitals', 'POST', hospitalData);
+            if (result && result.success) {
+                showAlert(editingHospitalId ? 'Hospital updated successfully!' : 'Hospital registered successfully!', 'success');
+                editingHospitalId = null;
+                closeModal('hospitalModal');
+                document.getElementById('hospitalForm').reset();
+                loadHospitals();
+            } else if (result && result.error) {
+                showAlert(result.error, 'error', 'hospitalModalAlert');
+            } else {
+                showAlert('Failed to save hospital. Please try again.', 'error', 'hospitalModalAlert');
+            }
+        });
+
+        document.getElementById('branchForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const branchData = {
+                name: document.getElementById('branchName').value.trim(),
+                code: document.getElementById('branchCode').value.trim().toUpperCase(),
+                phone: document.getElementById('branchPhone').value.trim(),
+                address: {
+                    street: document.getElementById('branchStreet').value.trim(),
+                    city: document.getElementById('branchCity').value.trim(),
+                    state: document.getElementById('branchState').value.trim(),
+                    postalCode: document.getElementById('branchPostalCode').value.trim()
+                }
+            };
+            const result = editingBranchId ?
+                await apiCall(`/branches/${editingBranchId}`, 'PUT', branchData) :
+                await apiCall('/branches', 'POST', branchData);
+            if (result && result.success) {
+                showAlert(editingBranchId ? 'Branch updated successfully!' : 'Branch added successfully!', 'success');
+                editingBranchId = null;
+                closeModal('branchModal');
+                document.getElementById('branchForm').reset();
+                loadBranches();
+            } else if (result && result.error) {
+                showAlert(result.error, 'error', 'branchModalAlert');
+            } else {
+                showAlert('Failed to save branch. Please try again.', 'error', 'branchModalAlert');
+            }
+        });
+
+        document.getElementById('transferForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const transferData = {
+                fromBranchId: document.getElementById('transferFrom').value,
+                toBranchId: document.getElementById('transferTo').value,
+                items: [...document.querySelectorAll('#transferItems .transfer-item')].map(row => ({
+                    bloodType: row.querySelector('[data-item="bloodType"]').value,
+                    component: row.querySelector('[data-item="component"]').value,
+                    units: parseInt(row.querySelector('[data-item="units"]').value)
+                })),
+                notes: document.getElementById('transferNotes').value.trim()
+            };
+            const result = await apiCall('/transfers', 'POST', transferData);
+            if (result && result.success) {
+                showAlert(result.message, 'success');
+                closeModal('transferModal');
+                loadTransfers();
+            } else if (result && result.error) {
+                showAlert(result.error, 'error', 'transferModalAlert');
+            } else {
+                showAlert('Failed to request transfer. Please try again.', 'error', 'transferModalAlert');
+            }
+        });
+
+        document.getElementById('thresholdForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const bloodType = document.getElementById('thresholdBloodType').value;
+            const thresholdData = {
+                minimum: parseInt(document.getElementById('thresholdMinimum').value),
+                low: parseInt(document.getElementById('thresholdLow').value),
+                target: parseInt(document.getElementById('thresholdTarget').value)
+            };
+            const result = await apiCall(`/thresholds/${encodeURIComponent(bloodType)}`, 'PUT', thresholdData);
+            if (result && result.success) {
+                showAlert(result.message, 'success');
+                closeModal('thresholdModal');
+                loadDashboard();
+            } else if (result && result.error) {
+                showAlert(result.error, 'error', 'thresholdModalAlert');
+            }
+        });
+
+        document.getElementById('discardForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const id = document.getElementById('discardUnitId').value;
+            const viaScan = document.getElementById('discardViaScan').value === 'true';
+            const data = {
+                reason: document.getElementById('discardReason').value,
+                notes: document.getElementById('discardNotes').value.trim()
+            };
+
+            const result = viaScan
+                ? await apiCall('/inventory/scan/discard', 'POST', { ...data, code: scannedCode, inventoryId: id })
+                : await apiCall(`/inventory/${id}`, 'DELETE', data);
+            if (result && result.success) {
+                showAlert(result.message, 'success');
+                closeModal('discardModal');
+                if (viaScan) {
+                    refreshScannedUnits();
+                } else {
+                    loadInventory();
+                    loadDashboard();
+                }
+            } else if (result && result.error) {
+                showAlert(result.error, 'error', 'discardModalAlert');
+            }
+        });
+
+        // Keyboard-wedge scanners type the label code into the focused box and press Enter
+        document.getElementById('scanForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const input = document.getElementById('scanInput');
+            const code = input.value.trim();
+            input.value = '';
+            if (code) await lookupScannedUnit(code);
+        });
+
+        document.getElementById('loginForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const credentials = {
+                email: document.getElementById('loginEmail').value.trim().toLowerCase(),
+                password: document.getElementById('loginPassword').value
+            };
+            const result = await apiCall('/auth/login', 'POST', credentials);
+            if (result && result.success) {
+                saveSession(result.data);
+                closeModal('loginModal');
+                document.getElementById('loginForm').reset();
+                applyRoleVisibility();
+                switchTab(defaultTabForRole());
+                connectLiveUpdates();
+            } else if (result && result.error) {
+                showAlert(result.error, 'error', 'loginModalAlert');
+            } else {
+                showAlert('Login failed. Please try again.', 'error', 'loginModalAlert');
+            }
+        });
+
+        // --- Action Handlers (Delete, Fulfill) ---
+
+        async function deleteDonor(id) {
+            if (confirm('Are you sure you want to delete this donor? This action cannot be undone.')) {
+                const result = await apiCall(`/donors/${id}`, 'DELETE');
                 if (result && result.success) {
                     showAlert('Donor deleted successfully!', 'success');
                     loadDonors();
@@ -418,92 +1479,415 @@ const API_BASE = "/api"; // ✅ Works on both localhost and Render
             }
         }
 
-        async function deleteBloodUnit(id) {
-            if (confirm('Are you sure you want to delete this blood unit?')) {
-                const result = await apiCall(`/inventory/${id}`, 'DELETE');
+        async function restoreDonor(id) {
+            const result = await apiCall(`/donors/${id}/restore`, 'POST', {});
+            if (result && result.success) {
+                showAlert('Donor restored successfully!', 'success');
+                loadDonors();
+                loadDashboard();
+            } else if (result && result.error) {
+                showAlert(result.error, 'error');
+            } else {
+                showAlert('Failed to restore donor. Please try again.', 'error');
+            }
+        }
+
+        async function processBloodUnit(id) {
+            if (confirm('Separate this whole-blood unit into red cells, plasma and platelets? The whole-blood unit will no longer be available.')) {
+                const result = await apiCall(`/inventory/${id}/process`, 'POST', {});
                 if (result && result.success) {
-                    showAlert('Blood unit deleted successfully!', 'success');
+                    showAlert(result.message, 'success');
                     loadInventory();
                     loadDashboard();
                 } else if (result && result.error) {
                     showAlert(result.error, 'error');
                 } else {
-                    showAlert('Failed to delete blood unit. Please try again.', 'error');
+                    showAlert('Failed to separate blood unit. Please try again.', 'error');
+                }
+            }
+        }
+
+        /**
+         * Renders the Discard button for a unit in stock, or Returned Unused for an issued unit sent back by the hospital.
+         * @param {object} unit - Inventory record from the API.
+         * @param {boolean} viaScan - Whether the unit is shown in the scan dialog, so it is discarded through its label.
+         * @returns {string} Button HTML, or '' when the unit cannot be discarded.
+         */
+        function discardButtonFor(unit, viaScan = false) {
+            if (!hasRole('admin', 'lab_technician')) return '';
+            const args = `'${unit._id}', '${unit.status}', '${unit.expiryDate}', ${viaScan}`;
+            if (['available', 'expired'].includes(unit.status)) {
+                return `<button class="btn btn-danger" onclick="deleteBloodUnit(${args})">Discard</button>`;
+            }
+            if (unit.status === 'used') {
+                return `<button class="btn btn-secondary" onclick="deleteBloodUnit(${args})">Returned Unused</button>`;
+            }
+            return '';
+        }
+
+        // Units and requests are kept for the audit trail, so "deleting" discards or cancels them with a reason.
+        // Opens the discard dialog with the reasons that apply to the unit.
+        function deleteBloodUnit(id, status, expiryDate, viaScan = false) {
+            document.getElementById('discardForm').reset();
+            document.getElementById('discardUnitId').value = id;
+            document.getElementById('discardViaScan').value = viaScan ? 'true' : '';
+
+            const hasExpired = new Date(expiryDate) <= new Date();
+            const reasons = status === 'used'
+                ? ['returned_unused']
+                : Object.keys(DISCARD_REASON_LABELS).filter(reason => reason !== 'returned_unused' && (reason !== 'expired' || hasExpired));
+            document.getElementById('discardReason').innerHTML = (reasons.length > 1 ? '<option value="">Select a reason</option>' : '') +
+                reasons.map(reason => `<option value="${reason}">${DISCARD_REASON_LABELS[reason]}</option>`).join('');
+            if (hasExpired && status !== 'used') document.getElementById('discardReason').value = 'expired';
+            showModal('discardModal');
+        }
+
+        // --- Unit Labels and Scanning ---
+
+        /**
+         * Downloads the printable PDF label of a blood unit.
+         * @param {string} id - Inventory ID.
+         */
+        async function downloadUnitLabel(id) {
+            const response = await authorizedFetch(`/inventory/${id}/label?format=pdf`);
+            await saveDownload(response, 'label.pdf', 'Label failed');
+        }
+
+        let scannedCode = null; // Label code shown in the scan dialog, for its issue and discard buttons
+
+        /**
+         * Looks up a scanned or typed label code, narrows the inventory list to its DIN and shows its units.
+         * @param {string} code - Label code as read by the scanner, or a typed DIN.
+         */
+        async function lookupScannedUnit(code) {
+            const result = await apiCall(`/inventory/scan?code=${encodeURIComponent(code)}`);
+            if (!result || !result.success) return;
+
+            scannedCode = code;
+            const search = document.getElementById('inventorySearch');
+            search.value = result.din;
+            listState.inventory.filters.search = result.din;
+            listState.inventory.page = 1;
+            switchTab('inventory');
+            renderScannedUnits(result.data);
+            showModal('scanModal');
+        }
+
+        function renderScannedUnits(units) {
+            const canAct = hasRole('admin', 'lab_technician');
+            document.getElementById('scanModalTitle').textContent = `Unit ${units[0].dinLabel}`;
+            document.getElementById('scanTable').innerHTML = units.map(unit => {
+                const request = unit.reservedFor;
+                return `
+                    <tr>
+                        <td>${formatComponent(unit.component)}</td>
+                        <td><span class="blood-type">${unit.bloodType}</span></td>
+                        <td>${unit.units}</td>
+                        <td>${formatReadableDate(unit.expiryDate)}</td>
+                        <td>${unit.branchId ? unit.branchId.code : 'N/A'}</td>
+                        <td><span class="status ${unit.status}">${unit.status.replace('_', ' ')}</span></td>
+                        <td>${request ? `${request.patientName}<br><small>${request.hospital} • ${request.status}</small>` : ''}</td>
+                        <td>
+                            <button class="btn btn-secondary" onclick="downloadUnitLabel('${unit._id}')">Label</button>
+                            ${canAct && unit.status === 'reserved' && request && request.status === 'crossmatched' ?
+                                `<button class="btn" onclick="issueScannedUnit('${request._id}')">Issue</button>` : ''}
+                            ${discardButtonFor(unit, true)}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        }
+
+        async function refreshScannedUnits() {
+            const result = await apiCall(`/inventory/scan?code=${encodeURIComponent(scannedCode)}`);
+            if (result && result.success) renderScannedUnits(result.data);
+            loadInventory();
+            loadDashboard();
+        }
+
+        /**
+         * Issues the crossmatched request the scanned unit is held for, after checking the unit against it.
+         * @param {string} requestId - The request shown beside the unit.
+         */
+        async function issueScannedUnit(requestId) {
+            if (!confirm('Check this unit against the request? The request is issued once every held unit has been scanned.')) return;
+            const result = await apiCall('/inventory/scan/issue', 'POST', { code: scannedCode, requestId });
+            if (result && result.success) {
+                showAlert(result.message, 'success');
+                refreshScannedUnits();
+                loadRequests();
+            }
+        }
+
+        async function deleteRequest(id) {
+            const reason = prompt('Why is this request being cancelled?');
+            if (reason === null) return; // Dialog dismissed
+            const result = await apiCall(`/requests/${id}`, 'DELETE', { reason });
+            if (result && result.success) {
+                showAlert('Request cancelled successfully!', 'success');
+                loadRequests();
+                loadDashboard();
+            } else if (result && result.error) {
+                showAlert(result.error, 'error');
+            } else {
+                showAlert('Failed to cancel request. Please try again.', 'error');
+            }
+        }
+
+        /**
+         * Renders the lifecycle buttons for the request's current stage (pending → reserved → crossmatched → issued).
+         * @param {object} request - Request from the API.
+         * @returns {string} Buttons HTML.
+         */
+        function renderRequestActions(request) {
+            const id = request._id;
+            const buttons = [];
+            if (hasRole('admin', 'lab_technician')) {
+                if (request.status === 'pending') {
+                    buttons.push(`<button class="btn" onclick="advanceRequest('${id}', 'reserve')">Reserve</button>`);
+                }
+                if (request.status === 'reserved') {
+                    buttons.push(`<button class="btn" onclick="advanceRequest('${id}', 'crossmatch', { compatible: true })">Crossmatch OK</button>`);
+                    buttons.push(`<button class="btn btn-secondary" onclick="advanceRequest('${id}', 'crossmatch', { compatible: false })">Incompatible</button>`);
+                }
+                if (request.status === 'crossmatched') {
+                    buttons.push(`<button class="btn" onclick="advanceRequest('${id}', 'issue')">Issue</button>`);
                 }
+                if (['reserved', 'crossmatched'].includes(request.status)) {
+                    buttons.push(`<button class="btn btn-secondary" onclick="advanceRequest('${id}', 'release')">Release</button>`);
+                }
+            }
+            if (request.status === 'pending' && hasRole('admin')) {
+                buttons.push(`<button class="btn btn-secondary" onclick="rejectRequest('${id}')">Reject</button>`);
             }
+            return buttons.join(' ');
         }
 
-        async function deleteRequest(id) {
-            if (confirm('Are you sure you want to delete this request? This will not revert inventory changes if already fulfilled.')) {
-                const result = await apiCall(`/requests/${id}`, 'DELETE');
-                if (result && result.success) {
-                    showAlert('Request deleted successfully!', 'success');
-                    loadRequests();
-                    loadDashboard();
-                } else if (result && result.error) {
-                    showAlert(result.error, 'error');
-                } else {
-                    showAlert('Failed to delete request. Please try again.', 'error');
-                }
+        // Confirmation shown before each lifecycle step
+        const REQUEST_STEP_PROMPTS = {
+            reserve: 'Reserve compatible units for this patient? They will be held until the hold expires.',
+            crossmatch: null, // Recorded directly from the result buttons
+            issue: 'Issue the crossmatched units to the patient? They will be removed from inventory.',
+            release: 'Release the reserved units back to stock? The request returns to pending.'
+        };
+
+        /**
+         * Moves a request to its next lifecycle stage.
+         * @param {string} id - Request ID.
+         * @param {string} step - reserve, crossmatch, issue or release.
+         * @param {object} [data] - Extra body fields, e.g. { compatible } for crossmatch.
+         */
+        async function advanceRequest(id, step, data = {}) {
+            if (REQUEST_STEP_PROMPTS[step] && !confirm(REQUEST_STEP_PROMPTS[step])) return;
+            if (step === 'crossmatch' && !data.compatible && !confirm('Record the crossmatch as incompatible? The reserved units will be released.')) return;
+            if (step === 'reserve') data = { ...data, branchId: document.getElementById('reserveBranch').value };
+
+            const result = await apiCall(`/requests/${id}/${step}`, 'PUT', data);
+            if (result && result.success) {
+                showAlert(result.message, 'success');
+                loadRequests();
+                loadInventory();
+                loadDashboard();
+            } else if (result && result.error) {
+                showAlert(result.error, 'error');
+            } else {
+                showAlert('Failed to update request. Please try again.', 'error');
             }
         }
 
-        async function fulfillRequest(id) {
-            if (confirm('Are you sure you want to mark this request as fulfilled? This will deduct units from inventory.')) {
-                // Ensure backend has /api/requests/:id/approve endpoint
-                const result = await apiCall(`/requests/${id}/approve`, 'PUT', {}); // Pass empty body if backend expects one
-                if (result && result.success) {
-                    showAlert('Request fulfilled successfully! Inventory updated.', 'success');
-                    loadRequests();
-                    loadInventory();
-                    loadDashboard();
-                } else if (result && result.error) {
-                    showAlert(`Failed to fulfill request: ${result.error}`, 'error');
-                } else {
-                    showAlert('Failed to fulfill request. Please try again.', 'error');
-                }
+        async function rejectRequest(id) {
+            const reason = prompt('Why is this request being rejected?');
+            if (reason === null) return; // Dialog dismissed
+            const result = await apiCall(`/requests/${id}/reject`, 'PUT', { reason });
+            if (result && result.success) {
+                showAlert('Request rejected.', 'success');
+                loadRequests();
+                loadDashboard();
+            } else if (result && result.error) {
+                showAlert(result.error, 'error');
+            } else {
+                showAlert('Failed to reject request. Please try again.', 'error');
             }
         }
 
-        // --- Search Functionality ---
-        function setupSearch(inputId, tableId, columnsToSearch) {
-            document.getElementById(inputId).addEventListener('keyup', function() {
-                const searchTerm = this.value.toLowerCase();
-                const table = document.getElementById(tableId);
-                const rows = table.querySelectorAll('tbody tr');
+        // --- Traceability Views ---
 
-                rows.forEach(row => {
-                    let match = false;
-                    if (row.querySelector('.alert')) { // Skip info/loading rows
-                        row.style.display = 'none';
-                        return;
-                    }
+        /**
+         * Fills the shared trace modal with a titled table and opens it.
+         * @param {string} title - Modal heading.
+         * @param {string[]} headings - Column headings.
+         * @param {string[]} rows - Pre-rendered <tr> strings.
+         */
+        function showTraceModal(title, headings, rows) {
+            document.getElementById('traceModalTitle').textContent = title;
+            document.getElementById('traceModalHead').innerHTML = `<tr>${headings.map(heading => `<th>${heading}</th>`).join('')}</tr>`;
+            document.getElementById('traceModalBody').innerHTML = rows.length > 0 ?
+                rows.join('') :
+                `<tr><td colspan="${headings.length}" class="alert alert-info" style="text-align: center;">No issue records found.</td></tr>`;
+            showModal('traceModal');
+        }
 
-                    for (const colIndex of columnsToSearch) {
-                        const cell = row.children[colIndex];
-                        if (cell && cell.textContent.toLowerCase().includes(searchTerm)) {
-                            match = true;
-                            break;
-                        }
-                    }
-                    row.style.display = match ? '' : 'none';
+        async function showRequestAllocations(id) {
+            const result = await apiCall(`/requests/${id}/allocations`);
+            if (!result || !result.success) return;
+            showTraceModal('Units Issued for Request', ['Blood Type', 'Units', 'Donor', 'Collected', 'Issued By', 'Issued On'], result.data.map(allocation => `
+                <tr>
+                    <td><span class="blood-type">${allocation.bloodType}</span></td>
+                    <td>${allocation.units}</td>
+                    <td>${allocation.donorId ? escapeHtml(allocation.donorId.name) : 'N/A'}</td>
+                    <td>${allocation.inventoryId ? formatReadableDate(allocation.inventoryId.collectionDate) : 'N/A'}</td>
+                    <td>${allocation.issuedBy || 'N/A'}</td>
+                    <td>${formatReadableDate(allocation.issuedAt)}</td>
+                </tr>
+            `));
+        }
+
+        async function showDonorRecipients(id) {
+            const result = await apiCall(`/donors/${id}/recipients`);
+            if (!result || !result.success) return;
+            showTraceModal('Recipients of This Donor', ['Patient', 'Hospital', 'Blood Type', 'Units', 'Collected', 'Issued On'], result.data.map(allocation => `
+                <tr>
+                    <td>${allocation.requestId ? allocation.requestId.patientName : allocation.patientName}</td>
+                    <td>${allocation.requestId ? allocation.requestId.hospital : allocation.hospital}</td>
+                    <td><span class="blood-type">${allocation.bloodType}</span></td>
+                    <td>${allocation.units}</td>
+                    <td>${allocation.inventoryId ? formatReadableDate(allocation.inventoryId.collectionDate) : 'N/A'}</td>
+                    <td>${formatReadableDate(allocation.issuedAt)}</td>
+                </tr>
+            `));
+        }
+
+        // --- List Paging, Filtering and Sorting ---
+
+        // Current page, sort and filters for each server-paged table
+        const listState = {
+            donors: { page: 1, limit: 20, sort: 'createdAt', order: 'desc', filters: {} },
+            inventory: { page: 1, limit: 20, sort: 'createdAt', order: 'desc', filters: {} },
+            requests: { page: 1, limit: 20, sort: 'requestDate', order: 'desc', filters: {} },
+            audit: { page: 1, limit: 20, sort: 'timestamp', order: 'desc', filters: {} }
+        };
+
+        const listLoaders = {
+            donors: () => loadDonors(),
+            inventory: () => loadInventory(),
+            requests: () => loadRequests(),
+            audit: () => loadAuditLog()
+        };
+
+        /**
+         * Builds the query string for a list endpoint from its page, sort and non-empty filters.
+         * @param {string} listName - Key in listState.
+         * @returns {string} Query string starting with '?'.
+         */
+        function buildListQuery(listName) {
+            const state = listState[listName];
+            const params = new URLSearchParams({ page: state.page, limit: state.limit, sort: state.sort, order: state.order });
+            Object.entries(state.filters).forEach(([key, value]) => {
+                if (value) params.set(key, value);
+            });
+            return `?${params.toString()}`;
+        }
+
+        /**
+         * Renders "Page X of Y" with previous/next buttons below a table.
+         * @param {string} listName - Key in listState; the container is #<listName>Pagination.
+         * @param {object} pagination - { page, pages, total } from the API.
+         */
+        function renderPagination(listName, pagination) {
+            const container = document.getElementById(`${listName}Pagination`);
+            if (!container || !pagination) return;
+            const { page, pages, total } = pagination;
+            container.innerHTML = `
+                <span>${total} record${total === 1 ? '' : 's'} • Page ${pages === 0 ? 0 : page} of ${pages}</span>
+                <span>
+                    <button class="btn btn-secondary" onclick="changePage('${listName}', ${page - 1})" ${page <= 1 ? 'disabled' : ''}>Previous</button>
+                    <button class="btn btn-secondary" onclick="changePage('${listName}', ${page + 1})" ${page >= pages ? 'disabled' : ''}>Next</button>
+                </span>
+            `;
+        }
+
+        function changePage(listName, page) {
+            listState[listName].page = page;
+            listLoaders[listName]();
+        }
+
+        /**
+         * Makes th[data-sort] headers of a table[data-list] clickable; clicking again flips the direction.
+         * @param {string} listName - Key in listState.
+         */
+        function setupSortableHeaders(listName) {
+            const headers = document.querySelectorAll(`table[data-list="${listName}"] th[data-sort]`);
+            headers.forEach(header => {
+                header.addEventListener('click', () => {
+                    const state = listState[listName];
+                    const field = header.dataset.sort;
+                    state.order = state.sort === field && state.order === 'asc' ? 'desc' : 'asc';
+                    state.sort = field;
+                    state.page = 1;
+                    headers.forEach(other => other.classList.remove('sorted-asc', 'sorted-desc'));
+                    header.classList.add(`sorted-${state.order}`);
+                    listLoaders[listName]();
                 });
             });
         }
 
-        async function loadDonorDropdown() {
-            const select = document.getElementById('donorSelect');
+        /**
+         * Wires every [data-filter] control inside [data-list-filters="<listName>"] to the server-side filters.
+         * Text inputs are debounced so the API is not called on every keystroke.
+         * @param {string} listName - Key in listState.
+         */
+        function setupListFilters(listName) {
+            document.querySelectorAll(`[data-list-filters="${listName}"] [data-filter]`).forEach(control => {
+                let debounceTimer = null; // Per control, so typing in one box never drops another's pending filter
+                const applyFilter = () => {
+                    const value = control.type === 'checkbox' ? (control.checked ? 'true' : '') : control.value.trim();
+                    listState[listName].filters[control.dataset.filter] = value;
+                    listState[listName].page = 1;
+                    listLoaders[listName]();
+                };
+                if (control.type === 'text') {
+                    control.addEventListener('input', () => {
+                        clearTimeout(debounceTimer);
+                        debounceTimer = setTimeout(applyFilter, 300);
+                    });
+                } else {
+                    control.addEventListener('change', applyFilter);
+                }
+            });
+        }
+
+        const DONOR_LOOKUP_LIMIT = 20;
+
+        /**
+         * Fills a donor select with the donors matching the text typed in its search box (`<selectId>Search`).
+         * Only the first DONOR_LOOKUP_LIMIT matches are listed; typing more narrows the search.
+         * @param {string} [selectId] - The select to fill.
+         * @param {string} [selectedDonorId] - Donor to list and select even when the search does not match them.
+         */
+        async function loadDonorDropdown(selectId = 'donorSelect', selectedDonorId = null) {
+            const select = document.getElementById(selectId);
             select.innerHTML = '<option value="">Loading Donors...</option>';
-            const result = await apiCall('/donors');
+            const params = new URLSearchParams({ limit: DONOR_LOOKUP_LIMIT, sort: 'name', order: 'asc' });
+            const search = document.getElementById(`${selectId}Search`).value.trim();
+            if (search) params.set('search', search);
+            const result = await apiCall(`/donors?${params}`);
             if (result && result.success) {
                 const donors = result.data;
+                const more = result.pagination.total - donors.length;
+                if (selectedDonorId && !donors.some(donor => donor._id === selectedDonorId)) {
+                    const selected = await apiCall(`/donors/${selectedDonorId}`);
+                    if (selected && selected.success) donors.unshift(selected.data.donor);
+                }
                 if (donors.length > 0) {
                     select.innerHTML = '<option value="">Select Donor</option>' +
-                        donors.map(donor =>
-                            `<option value="${donor._id}">${donor.name} (${donor.bloodType}) - ${donor.phone}</option>`
-                        ).join('');
+                        donors.map(donor => donor.eligibility && !donor.eligibility.eligible ?
+                            `<option value="${donor._id}" disabled>${escapeHtml(donor.name)} (${donor.bloodType}) - not eligible</option>` :
+                            `<option value="${donor._id}">${escapeHtml(donor.name)} (${donor.bloodType}) - ${escapeHtml(donor.phone)}</option>`
+                        ).join('') +
+                        (more > 0 ? `<option value="" disabled>${more} more donor(s) - type to narrow the search</option>` : '');
+                    if (selectedDonorId) select.value = selectedDonorId;
                 } else {
-                    select.innerHTML = '<option value="">No donors available</option>';
+                    select.innerHTML = `<option value="">${search ? 'No donors match the search' : 'No donors available'}</option>`;
                 }
             } else {
                 select.innerHTML = '<option value="">Failed to load donors</option>';
@@ -511,6 +1895,674 @@ const API_BASE = "/api"; // ✅ Works on both localhost and Render
         }
 
 
+        // --- Donation Drives ---
+
+        let calendarMonth = new Date(new Date().getFullYear(), new Date().getMonth(), 1); // First day of the month shown
+        let selectedCampaignId = null;
+        let campaignsById = {};
+
+        function formatTime(dateString) {
+            return new Date(dateString).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        }
+
+        // Local YYYY-MM-DD for a date, used to place drives on the calendar
+        function toDateKey(date) {
+            const pad = value => String(value).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        }
+
+        /**
+         * Renders the month calendar with every drive that month, then refreshes the selected drive.
+         */
+        async function loadCampaigns() {
+            const monthStart = calendarMonth;
+            const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0, 23, 59, 59, 999);
+            document.getElementById('calendarMonth').textContent = monthStart.toLocaleDateString([], { month: 'long', year: 'numeric' });
+
+            const params = new URLSearchParams({ from: monthStart.toISOString(), to: monthEnd.toISOString(), includeCancelled: 'true' });
+            const result = await apiCall(`/campaigns?${params.toString()}`);
+            const campaigns = result ? result.data : [];
+            campaignsById = {};
+            const byDay = {};
+            campaigns.forEach(campaign => {
+                campaignsById[campaign._id] = campaign;
+                const key = toDateKey(new Date(campaign.startsAt));
+                (byDay[key] = byDay[key] || []).push(campaign);
+            });
+
+            // Weeks start on Monday; leading and trailing days from the neighbouring months fill the grid
+            const gridStart = new Date(monthStart);
+            gridStart.setDate(gridStart.getDate() - ((gridStart.getDay() + 6) % 7));
+            const todayKey = toDateKey(new Date());
+            const cells = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => `<div class="calendar-heading">${day}</div>`);
+            for (const day = new Date(gridStart); day <= monthEnd || day.getDay() !== 1; day.setDate(day.getDate() + 1)) {
+                const key = toDateKey(day);
+                const classes = ['calendar-day', day.getMonth() !== monthStart.getMonth() ? 'other-month' : '', key === todayKey ? 'today' : ''].join(' ');
+                const events = (byDay[key] || []).map(campaign => `
+                    <button class="calendar-event ${campaign.status === 'cancelled' ? 'cancelled' : ''}" onclick="showCampaign('${campaign._id}')" title="${campaign.location}">
+                        ${formatTime(campaign.startsAt)} ${campaign.name}<br>
+                        <small>${campaign.booked}/${campaign.totalCapacity} booked</small>
+                    </button>
+                `).join('');
+                cells.push(`<div class="${classes}"><div>${day.getDate()}</div>${events}</div>`);
+            }
+            document.getElementById('campaignCalendar').innerHTML = cells.join('');
+
+            if (selectedCampaignId) showCampaign(selectedCampaignId);
+        }
+
+        function changeCalendarMonth(offset) {
+            calendarMonth = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + offset, 1);
+            loadCampaigns();
+        }
+
+        /**
+         * Shows one drive below the calendar: its slots with free places and its bookings.
+         * @param {string} id - Campaign ID.
+         */
+        async function showCampaign(id) {
+            selectedCampaignId = id;
+            const container = document.getElementById('campaignDetail');
+            const result = await apiCall(`/campaigns/${id}`);
+            if (!result || !result.success) {
+                container.innerHTML = '';
+                selectedCampaignId = null;
+                return;
+            }
+            const campaign = result.data;
+            campaignsById[campaign._id] = { ...campaignsById[campaign._id], ...campaign };
+            const isScheduled = campaign.status === 'scheduled';
+            const canBook = isScheduled && hasRole('admin', 'front_desk');
+            const now = new Date();
+
+            const slotRows = campaign.slots.map(slot => `
+                <tr>
+                    <td>${formatTime(slot.start)}</td>
+                    <td>${slot.booked} / ${campaign.capacity}</td>
+                    <td>${canBook && slot.available > 0 && new Date(slot.start) > now ?
+                        `<button class="btn btn-secondary" onclick="openAppointmentModal('${campaign._id}', '${slot.start}')">Book</button>` : ''}</td>
+                </tr>
+            `).join('');
+
+            const appointmentRows = campaign.appointments.map(appointment => {
+                const donor = appointment.donorId || {};
+                const actions = [];
+                if (appointment.status === 'booked') {
+                    actions.push(`<button class="btn btn-success" onclick="checkInAppointment('${appointment._id}')">Check In</button>`);
+                }
+                if (appointment.status === 'checked_in' && hasRole('admin', 'lab_technician')) {
+                    actions.push(`<button class="btn" onclick="recordAppointmentCollection('${appointment._id}', '${donor._id}', '${donor.bloodType}')">Record Collection</button>`);
+                }
+                if (['booked', 'checked_in'].includes(appointment.status) && hasRole('admin', 'front_desk')) {
+                    actions.push(`<button class="btn btn-danger" onclick="cancelAppointment('${appointment._id}')">Cancel</button>`);
+                }
+                return `
+                    <tr>
+                        <td>${formatTime(appointment.slotStart)}</td>
+                        <td>${escapeHtml(donor.name || 'Unknown donor')}</td>
+                        <td><span class="blood-type">${donor.bloodType || 'N/A'}</span></td>
+                        <td>${escapeHtml(donor.phone)}</td>
+                        <td><span class="status ${appointment.status}">${appointment.status.replace('_', ' ')}</span></td>
+                        <td>${actions.join(' ')}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            container.innerHTML = `
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                    <h3>${campaign.name} &mdash; ${formatReadableDate(campaign.startsAt)}, ${formatTime(campaign.startsAt)}–${formatTime(campaign.endsAt)}</h3>
+                    <div class="header-actions">
+                        ${isScheduled && hasRole('admin', 'front_desk') ? `
+                            <button class="btn btn-secondary" onclick="openCampaignModal('${campaign._id}')">Edit</button>
+                            <button class="btn btn-danger" onclick="cancelCampaign('${campaign._id}')">Cancel Drive</button>` : ''}
+                    </div>
+                </div>
+                <p style="margin-bottom: 12px;">
+                    ${campaign.location}
+                    ${campaign.targetBloodTypes.length > 0 ? ` • Recruiting ${campaign.targetBloodTypes.join(', ')}` : ''}
+                    ${isScheduled ? '' : ` • <span class="status cancelled">Cancelled</span> ${campaign.cancellationReason || ''}`}
+                    ${campaign.notes ? `<br><small>${campaign.notes}</small>` : ''}
+                </p>
+                <div class="report-grid">
+                    <div class="table-container">
+                        <table>
+                            <thead><tr><th>Slot</th><th>Booked</th><th></th></tr></thead>
+                            <tbody>${slotRows}</tbody>
+                        </table>
+                    </div>
+                    <div class="table-container">
+                        <table>
+                            <thead><tr><th>Time</th><th>Donor</th><th>Blood Type</th><th>Phone</th><th>Status</th><th>Actions</th></tr></thead>
+                            <tbody>${appointmentRows || '<tr><td colspan="6" style="text-align: center;">No bookings yet.</td></tr>'}</tbody>
+                        </table>
+                    </div>
+                </div>
+            `;
+        }
+
+        let editingCampaignId = null;
+
+        /**
+         * Opens the drive modal, empty for a new drive or pre-filled for editing.
+         * @param {string|null} id - Campaign ID to edit.
+         */
+        function openCampaignModal(id = null) {
+            const campaign = id ? campaignsById[id] : null;
+            editingCampaignId = campaign ? campaign._id : null;
+            document.getElementById('campaignForm').reset();
+            document.getElementById('campaignModalTitle').textContent = campaign ? 'Edit Donation Drive' : 'Schedule Donation Drive';
+            document.getElementById('campaignSubmitBtn').textContent = campaign ? 'Save Changes' : 'Schedule Drive';
+            if (campaign) {
+                const startsAt = new Date(campaign.startsAt);
+                const endsAt = new Date(campaign.endsAt);
+                document.getElementById('campaignName').value = campaign.name;
+                document.getElementById('campaignLocation').value = campaign.location;
+                document.getElementById('campaignDate').value = toDateKey(startsAt);
+                document.getElementById('campaignStart').value = startsAt.toTimeString().slice(0, 5);
+                document.getElementById('campaignEnd').value = endsAt.toTimeString().slice(0, 5);
+                document.getElementById('campaignSlotMinutes').value = campaign.slotMinutes;
+                document.getElementById('campaignCapacity').value = campaign.capacity;
+                document.getElementById('campaignNotes').value = campaign.notes || '';
+                Array.from(document.getElementById('campaignTargetTypes').options).forEach(option => {
+                    option.selected = campaign.targetBloodTypes.includes(option.value);
+                });
+            }
+            showModal('campaignModal');
+        }
+
+        async function cancelCampaign(id) {
+            const reason = prompt('Why is this drive being cancelled? Its bookings will be cancelled too.');
+            if (reason === null) return;
+            const result = await apiCall(`/campaigns/${id}`, 'DELETE', { reason });
+            if (result && result.success) {
+                showAlert(result.message, 'success');
+                loadCampaigns();
+            }
+        }
+
+        async function openAppointmentModal(campaignId, slotStart) {
+            document.getElementById('appointmentForm').reset();
+            document.getElementById('appointmentCampaignId').value = campaignId;
+            document.getElementById('appointmentSlotStart').value = slotStart;
+            document.getElementById('appointmentSlotLabel').textContent =
+                `${campaignsById[campaignId].name}: ${formatReadableDate(slotStart)} at ${formatTime(slotStart)}`;
+            showModal('appointmentModal');
+            loadDonorDropdown('appointmentDonor'); // The form reset cleared the search box
+        }
+
+        async function cancelAppointment(id) {
+            const reason = prompt('Why is this appointment being cancelled (e.g. donor deferred at screening)?');
+            if (reason === null) return;
+            const result = await apiCall(`/appointments/${id}/cancel`, 'PUT', { reason });
+            if (result && result.success) {
+                showAlert(result.message, 'success');
+                loadCampaigns();
+            }
+        }
+
+        /**
+         * Checks a donor in and, for staff who record collections, goes straight to the blood unit form.
+         * @param {string} id - Appointment ID.
+         */
+        async function checkInAppointment(id) {
+            const result = await apiCall(`/appointments/${id}/check-in`, 'PUT', {});
+            if (!result || !result.success) return;
+            showAlert(result.message, 'success');
+            loadCampaigns();
+            const donor = result.data.donorId;
+            if (hasRole('admin', 'lab_technician') && donor) {
+                recordAppointmentCollection(id, donor._id, donor.bloodType);
+            }
+        }
+
+        /**
+         * Opens the blood unit form for a checked-in donor; saving it completes the appointment.
+         * @param {string} appointmentId - Appointment ID.
+         * @param {string} donorId - The appointment's donor.
+         * @param {string} bloodType - The donor's blood type.
+         */
+        async function recordAppointmentCollection(appointmentId, donorId, bloodType) {
+            document.getElementById('bloodForm').reset();
+            document.getElementById('collectionDate').value = new Date().toISOString().split('T')[0];
+            document.getElementById('bloodType').value = bloodType;
+            document.getElementById('appointmentId').value = appointmentId;
+            showModal('bloodModal');
+            loadBranchOptions('bloodBranch', 'No branch');
+            await loadDonorDropdown('donorSelect', donorId);
+        }
+
+        document.getElementById('campaignForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const date = document.getElementById('campaignDate').value;
+            const campaignData = {
+                name: document.getElementById('campaignName').value.trim(),
+                location: document.getElementById('campaignLocation').value.trim(),
+                startsAt: new Date(`${date}T${document.getElementById('campaignStart').value}`).toISOString(),
+                endsAt: new Date(`${date}T${document.getElementById('campaignEnd').value}`).toISOString(),
+                slotMinutes: parseInt(document.getElementById('campaignSlotMinutes').value),
+                capacity: parseInt(document.getElementById('campaignCapacity').value),
+                targetBloodTypes: Array.from(document.getElementById('campaignTargetTypes').selectedOptions).map(option => option.value),
+                notes: document.getElementById('campaignNotes').value.trim()
+            };
+            const result = editingCampaignId ?
+                await apiCall(`/campaigns/${editingCampaignId}`, 'PUT', campaignData) :
+                await apiCall('/campaigns', 'POST', campaignData);
+            if (result && result.success) {
+                showAlert(result.message, 'success');
+                closeModal('campaignModal');
+                calendarMonth = new Date(new Date(campaignData.startsAt).getFullYear(), new Date(campaignData.startsAt).getMonth(), 1);
+                selectedCampaignId = result.data._id;
+                loadCampaigns();
+            } else if (result && result.error) {
+                showAlert(result.error, 'error', 'campaignModalAlert');
+            }
+        });
+
+        document.getElementById('appointmentForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const campaignId = document.getElementById('appointmentCampaignId').value;
+            const appointmentData = {
+                donorId: document.getElementById('appointmentDonor').value,
+                slotStart: document.getElementById('appointmentSlotStart').value
+            };
+            const result = await apiCall(`/campaigns/${campaignId}/appointments`, 'POST', appointmentData);
+            if (result && result.success) {
+                showAlert(result.message, 'success');
+                closeModal('appointmentModal');
+                loadCampaigns();
+            } else if (result && result.error) {
+                showAlert(result.error, 'error', 'appointmentModalAlert');
+            }
+        });
+
+        // --- Donor Recall ---
+
+        let selectedRecallId = null;
+        const RECALL_OUTCOME_LABELS = { contacted: 'Contacted', pledged: 'Pledged', declined: 'Declined', unreachable: 'Unreachable' };
+
+        async function loadRecallLists() {
+            const tbody = document.getElementById('recallListsTable');
+            const status = document.getElementById('showClosedRecalls').checked ? '' : '&status=open';
+            const result = await apiCall(`/recalls?limit=50${status}`);
+            if (!result || !result.success) {
+                tbody.innerHTML = '<tr><td colspan="8" class="alert alert-error" style="text-align: center;">Failed to load recall lists.</td></tr>';
+                return;
+            }
+            if (result.data.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="8" style="text-align: center;">No recall lists. Start one here or from a low blood type on the dashboard.</td></tr>';
+            } else {
+                tbody.innerHTML = result.data.map(list => `
+                    <tr>
+                        <td>${formatReadableDate(list.createdAt)}</td>
+                        <td><span class="blood-type">${list.bloodType}</span></td>
+                        <td>${list.area || 'Any'}</td>
+                        <td>${list.entries.length}</td>
+                        <td>${list.entries.filter(entry => entry.outcome).length}</td>
+                        <td>${list.entries.filter(entry => entry.outcome === 'pledged').length}</td>
+                        <td><span class="status ${list.status === 'open' ? 'pending' : 'used'}">${list.status}</span></td>
+                        <td><button class="btn btn-secondary" onclick="showRecallList('${list._id}')">View</button></td>
+                    </tr>
+                `).join('');
+            }
+            if (selectedRecallId) showRecallList(selectedRecallId);
+        }
+
+        /**
+         * Creates a recall list for a blood type and opens it on the Recalls tab.
+         * @param {string} bloodType - Blood type to recall donors for.
+         * @param {string} area - Optional text matched against donor addresses.
+         */
+        async function startRecall(bloodType, area = '') {
+            const result = await apiCall('/recalls', 'POST', { bloodType, area });
+            if (result && result.success) {
+                showAlert(result.message, 'success');
+                selectedRecallId = result.data._id;
+                switchTab('recalls');
+            }
+        }
+
+        /**
+         * Shows a recall list's donors in rank order with buttons to record each contact outcome.
+         * @param {string} id - Recall list ID.
+         */
+        async function showRecallList(id) {
+            selectedRecallId = id;
+            const container = document.getElementById('recallDetail');
+            const result = await apiCall(`/recalls/${id}`);
+            if (!result || !result.success) {
+                container.innerHTML = '';
+                selectedRecallId = null;
+                return;
+            }
+            const list = result.data;
+            const isOpen = list.status === 'open';
+            const rows = list.entries.map(entry => {
+                const donor = entry.donorId || {};
+                const lastNote = list.attempts.find(attempt => String(attempt.donorId) === String(donor._id));
+                return `
+                    <tr>
+                        <td>${entry.rank}</td>
+                        <td>${escapeHtml(donor.name || 'Unknown donor')}</td>
+                        <td>${escapeHtml(donor.phone)}<br><small>${escapeHtml(donor.email)}</small></td>
+                        <td>${donor.lastDonation ? formatReadableDate(donor.lastDonation) : 'Never'}</td>
+                        <td>
+                            ${entry.outcome ? `<span class="status ${entry.outcome === 'pledged' ? 'available' : entry.outcome === 'declined' ? 'critical' : 'pending'}">${RECALL_OUTCOME_LABELS[entry.outcome]}</span>` : '—'}
+                            ${lastNote && lastNote.notes ? `<br><small>${lastNote.notes}</small>` : ''}
+                        </td>
+                        <td>${isOpen ? Object.entries(RECALL_OUTCOME_LABELS).map(([outcome, label]) =>
+                            `<button class="btn btn-secondary" onclick="recordRecallContact('${list._id}', '${donor._id}', '${outcome}')">${label}</button>`).join(' ') : ''}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            container.innerHTML = `
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 24px;">
+                    <h3>${list.bloodType} recall${list.area ? ` in ${list.area}` : ''} &mdash; ${formatReadableDate(list.createdAt)} by ${list.createdBy}</h3>
+                    ${isOpen ? `<button class="btn btn-secondary" onclick="closeRecallList('${list._id}')">Close List</button>` : ''}
+                </div>
+                <div class="table-container">
+                    <table>
+                        <thead><tr><th>#</th><th>Donor</th><th>Contact</th><th>Last Donation</th><th>Outcome</th><th>Record</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        async function recordRecallContact(listId, donorId, outcome) {
+            const notes = prompt(`Notes for "${RECALL_OUTCOME_LABELS[outcome]}" (optional):`, '');
+            if (notes === null) return;
+            const result = await apiCall(`/recalls/${listId}/contacts`, 'POST', { donorId, outcome, notes });
+            if (result && result.success) {
+                showRecallList(listId);
+            }
+        }
+
+        async function closeRecallList(id) {
+            if (!confirm('Close this recall list? No further contacts can be recorded on it.')) return;
+            const result = await apiCall(`/recalls/${id}/close`, 'PUT', {});
+            if (result && result.success) {
+                showAlert(result.message, 'success');
+                loadRecallLists();
+            }
+        }
+
+        document.getElementById('recallForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await startRecall(document.getElementById('recallBloodType').value, document.getElementById('recallArea').value.trim());
+        });
+
+        // --- Reports ---
+
+        const BLOOD_TYPE_COLORS = {
+            'A+': '#008080', 'A-': '#4db6ac', 'B+': '#6f42c1', 'B-': '#b39ddb',
+            'AB+': '#ffb300', 'AB-': '#ffe082', 'O+': '#dc3545', 'O-': '#ef9a9a'
+        };
+
+        /**
+         * Draws a monthly bar chart as inline SVG. Series are drawn side by side, or on top of each other when stacked.
+         * @param {string} containerId - Element to render into.
+         * @param {string[]} months - Month labels (YYYY-MM) along the x axis.
+         * @param {object[]} series - [{ label, color, values }] with one value per month (null is drawn as 0).
+         * @param {boolean} stacked - Whether to stack the series.
+         */
+        function renderBarChart(containerId, months, series, stacked = false) {
+            const container = document.getElementById(containerId);
+            const width = 560;
+            const height = 220;
+            const top = 10;
+            const bottom = 24;
+            const left = 36;
+            const plotHeight = height - top - bottom;
+            const slot = (width - left) / Math.max(months.length, 1);
+            const totals = months.map((month, index) => stacked ?
+                series.reduce((sum, item) => sum + (item.values[index] || 0), 0) :
+                Math.max(0, ...series.map(item => item.values[index] || 0)));
+            const max = Math.max(1, ...totals);
+            const barWidth = stacked ? slot * 0.7 : (slot * 0.8) / series.length;
+
+            const bars = months.map((month, index) => {
+                let offset = 0;
+                return series.map((item, seriesIndex) => {
+                    const value = item.values[index] || 0;
+                    const barHeight = (value / max) * plotHeight;
+                    const x = left + index * slot + (stacked ? slot * 0.15 : slot * 0.1 + seriesIndex * barWidth);
+                    const y = top + plotHeight - barHeight - (stacked ? offset : 0);
+                    if (stacked) offset += barHeight;
+                    return `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${item.color}"><title>${month} • ${item.label}: ${value}</title></rect>`;
+                }).join('');
+            }).join('');
+
+            // Month labels: every month when there is room, otherwise every third
+            const step = months.length > 12 ? 3 : 1;
+            const labels = months.map((month, index) => index % step === 0 ?
+                `<text x="${(left + index * slot + slot / 2).toFixed(1)}" y="${height - 6}" text-anchor="middle" font-size="11" fill="#696969">${month.slice(2)}</text>` : '').join('');
+
+            container.innerHTML = `
+                <svg viewBox="0 0 ${width} ${height}" role="img">
+                    <line x1="${left}" y1="${top + plotHeight}" x2="${width}" y2="${top + plotHeight}" stroke="#b0e0e6"/>
+                    <text x="${left - 6}" y="${top + 10}" text-anchor="end" font-size="11" fill="#696969">${Math.round(max * 10) / 10}</text>
+                    <text x="${left - 6}" y="${top + plotHeight}" text-anchor="end" font-size="11" fill="#696969">0</text>
+                    ${bars}
+                    ${labels}
+                </svg>
+                <div class="chart-legend">${series.map(item => `<span style="--swatch: ${item.color};">${item.label}</span>`).join('')}</div>
+            `;
+        }
+
+        function formatMinutes(minutes) {
+            return minutes === null ? '—' : formatWaitingTime(minutes);
+        }
+
+        /**
+         * Loads every /api/reports endpoint for the selected date range and renders the Reports tab.
+         */
+        async function loadReports() {
+            const params = new URLSearchParams();
+            const from = document.getElementById('reportFrom').value;
+            const to = document.getElementById('reportTo').value;
+            if (from) params.set('from', from);
+            if (to) params.set('to', to);
+            const queryString = params.toString() ? `?${params.toString()}` : '';
+
+            const [donations, wastage, turnaround, retention, issued] = await Promise.all(
+                ['donations', 'wastage', 'turnaround', 'donor-retention', 'issued'].map(report => apiCall(`/reports/${report}${queryString}`))
+            );
+
+            if (donations) {
+                const { months, totals } = donations.data;
+                document.getElementById('reportDonations').textContent = totals.units;
+                renderBarChart('donationsChart', months.map(entry => entry.month),
+                    Object.keys(BLOOD_TYPE_COLORS).map(type => ({ label: type, color: BLOOD_TYPE_COLORS[type], values: months.map(entry => entry.byBloodType[type]) })), true);
+            }
+
+            if (wastage) {
+                const { months, totals } = wastage.data;
+                document.getElementById('reportWastage').textContent = totals.wastagePercent === null ? '—' : `${totals.wastagePercent}%`;
+                renderBarChart('wastageChart', months.map(entry => entry.month), [
+                    { label: 'Collected', color: '#008080', values: months.map(entry => entry.collectedUnits) },
+                    { label: 'Wasted', color: '#dc3545', values: months.map(entry => entry.wastedUnits) }
+                ]);
+
+                const bloodTypes = Object.keys(BLOOD_TYPE_COLORS);
+                const rows = Object.values(totals.byReason).map(item => [item.label, ...bloodTypes.map(type => item.byBloodType[type]), item.units]);
+                rows.push(['Total', ...bloodTypes.map(type => totals.byBloodType[type]), totals.wastedUnits]);
+                document.getElementById('wastageReport').innerHTML = rows.map((cells, index) => `
+                    <tr${index === rows.length - 1 ? ' style="font-weight: 700;"' : ''}>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>
+                `).join('');
+                document.getElementById('wastageAwaitingDisposal').textContent = totals.awaitingDisposalUnits > 0
+                    ? `${totals.awaitingDisposalUnits} expired unit(s) are counted but have not been discarded yet.`
+                    : '';
+            }
+
+            if (turnaround) {
+                const { months, priorities, avgTurnaroundMinutes } = turnaround.data;
+                document.getElementById('reportTurnaround').textContent = formatMinutes(avgTurnaroundMinutes);
+                renderBarChart('turnaroundChart', months.map(entry => entry.month), [
+                    { label: 'Average hours to issue', color: '#6f42c1', values: months.map(entry => entry.avgTurnaroundMinutes === null ? 0 : Math.round(entry.avgTurnaroundMinutes / 6) / 10) }
+                ]);
+                document.getElementById('turnaroundReport').innerHTML = priorities.map(item => `
+                    <tr>
+                        <td>${item.priority}</td>
+                        <td>${item.requests}</td>
+                        <td>${formatMinutes(item.avgTurnaroundMinutes)}</td>
+                        <td>${formatMinutes(item.maxTurnaroundMinutes)}</td>
+                    </tr>
+                `).join('');
+            }
+
+            if (retention) {
+                const data = retention.data;
+                document.getElementById('reportRetention').textContent = data.retentionPercent === null ? '—' : `${data.retentionPercent}%`;
+                renderBarChart('retentionChart', data.months.map(entry => entry.month), [
+                    { label: 'Active donors', color: '#008080', values: data.months.map(entry => entry.activeDonors) },
+                    { label: 'New donors', color: '#ffb300', values: data.months.map(entry => entry.newDonors) }
+                ]);
+                const rows = [
+                    ['Donors in this period', data.activeDonors],
+                    ['New donors', data.newDonors],
+                    ['Returning donors', data.returningDonors],
+                    ['Gave more than once', data.repeatDonors],
+                    [`Donors in previous period (from ${formatReadableDate(data.previousFrom)})`, data.previousDonors],
+                    ['Of those, gave again', data.retainedDonors]
+                ];
+                document.getElementById('retentionReport').innerHTML = rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('');
+            }
+
+            if (issued) {
+                const tbody = document.getElementById('issuedReport');
+                const hospitals = issued.data.hospitals;
+                if (hospitals.length === 0) {
+                    tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">No units issued in this period.</td></tr>';
+                } else {
+                    const max = Math.max(...hospitals.map(item => item.unitsIssued), 1);
+                    tbody.innerHTML = hospitals.map(item => `
+                        <tr>
+                            <td>${item.hospital}</td>
+                            <td>${item.requests}</td>
+                            <td>${item.unitsIssued}</td>
+                            <td><div class="hbar" style="width: ${(item.unitsIssued / max) * 100}%;"></div></td>
+                        </tr>
+                    `).join('');
+                }
+            }
+        }
+
+        // --- Import and Export ---
+
+        // Columns each import accepts; headers are matched ignoring case and spaces
+        const IMPORT_COLUMNS = {
+            donors: 'Columns: Name, Age, Blood Type, Phone, Email and optionally Address.',
+            inventory: 'Columns: Blood Type, Units, Collection Date and optionally Component, Expiry Date, Branch Code and Donor Email (or Donor ID).'
+        };
+
+        /**
+         * Downloads a list as CSV or Excel with its current filters and sort (all pages).
+         * @param {string} listName - Key in listState; also the API resource name.
+         * @param {string} format - 'csv' or 'xlsx'.
+         */
+        async function exportList(listName, format) {
+            const state = listState[listName];
+            const params = new URLSearchParams({ format, sort: state.sort, order: state.order });
+            Object.entries(state.filters).forEach(([key, value]) => {
+                if (value) params.set(key, value);
+            });
+
+            const response = await authorizedFetch(`/${listName}/export?${params.toString()}`);
+            await saveDownload(response, `${listName}.${format}`, 'Export failed');
+        }
+
+        /**
+         * Saves a file response under the name the server chose, or shows the API error.
+         * @param {Response|null} response - From authorizedFetch.
+         * @param {string} fallbackName - File name when the response does not name one.
+         * @param {string} failureMessage - Alert prefix when the response is an error.
+         */
+        async function saveDownload(response, fallbackName, failureMessage) {
+            if (!response) return;
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                showAlert(result.error || `${failureMessage}: ${response.status} ${response.statusText}`, 'error');
+                return;
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : fallbackName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        }
+
+        function openImportModal(listName) {
+            document.getElementById('importForm').reset();
+            document.getElementById('importListName').value = listName;
+            document.getElementById('importModalTitle').textContent = `Import ${listName === 'donors' ? 'Donors' : 'Blood Units'}`;
+            document.getElementById('importColumns').textContent = IMPORT_COLUMNS[listName];
+            document.getElementById('importReport').innerHTML = '';
+            showModal('importModal');
+        }
+
+        /**
+         * Shows the per-row validation report returned by an import.
+         * @param {object} report - { dryRun, totalRows, validRows, invalidRows, imported, errors } from the API.
+         */
+        function renderImportReport(report) {
+            const container = document.getElementById('importReport');
+            const summary = `${report.totalRows} row(s): ${report.validRows} valid, ${report.invalidRows} with errors` +
+                (report.dryRun ? ' (dry run)' : `, ${report.imported} imported`);
+            if (report.errors.length === 0) {
+                container.innerHTML = `<p style="margin-top: 15px;">${summary}</p>`;
+                return;
+            }
+            container.innerHTML = `
+                <p style="margin-top: 15px;">${summary}</p>
+                <div class="table-container">
+                    <table>
+                        <thead><tr><th>Row</th><th>Field</th><th>Value</th><th>Problem</th></tr></thead>
+                        <tbody>
+                            ${report.errors.flatMap(rowError => rowError.errors.map(error => `
+                                <tr>
+                                    <td>${rowError.row}</td>
+                                    <td>${error.field}</td>
+                                    <td>${error.value === undefined ? '' : error.value}</td>
+                                    <td>${error.msg}</td>
+                                </tr>
+                            `)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        document.getElementById('importForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const listName = document.getElementById('importListName').value;
+            const file = document.getElementById('importFile').files[0];
+            if (!file) return;
+            const dryRun = document.getElementById('importDryRun').checked;
+
+            const response = await authorizedFetch(`/${listName}/import?dryRun=${dryRun}`, {
+                method: 'POST',
+                headers: { 'Content-Type': file.name.toLowerCase().endsWith('.xlsx') ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' : 'text/csv' },
+                body: file
+            });
+            if (!response) return;
+            const result = await response.json().catch(() => ({}));
+
+            if (result.data) renderImportReport(result.data);
+            if (result.success) {
+                showAlert(result.message, 'success', 'importModalAlert');
+                if (!dryRun) listLoaders[listName]();
+            } else {
+                showAlert(result.error || 'Import failed. Please try again.', 'error', 'importModalAlert');
+            }
+        });
+
         // --- Initialization ---
 
         document.addEventListener('DOMContentLoaded', () => {
@@ -522,12 +2574,65 @@ const API_BASE = "/api"; // ✅ Works on both localhost and Render
             });
 
             // Setup modal trigger buttons
-            document.getElementById('addDonorBtn').addEventListener('click', () => showModal('donorModal'));
+            document.getElementById('addDonorBtn').addEventListener('click', () => openDonorModal());
             document.getElementById('addBloodUnitBtn').addEventListener('click', () => {
+                document.getElementById('appointmentId').value = ''; // Walk-in collection, not a drive appointment
+                document.getElementById('donorSelectSearch').value = '';
                 showModal('bloodModal');
                 loadDonorDropdown(); // Load donors when opening the blood unit modal
+                loadBranchOptions('bloodBranch', 'No branch');
+            });
+            ['donorSelect', 'appointmentDonor'].forEach(selectId => {
+                let lookupTimer = null;
+                document.getElementById(`${selectId}Search`).addEventListener('input', () => {
+                    clearTimeout(lookupTimer);
+                    lookupTimer = setTimeout(() => loadDonorDropdown(selectId), 300);
+                });
+            });
+            document.getElementById('newRequestBtn').addEventListener('click', () => {
+                showModal('requestModal');
+                loadHospitalDropdown(); // Load hospitals when opening the request modal
             });
-            document.getElementById('newRequestBtn').addEventListener('click', () => showModal('requestModal'));
+            document.getElementById('addHospitalBtn').addEventListener('click', () => openHospitalModal());
+            document.getElementById('addBranchBtn').addEventListener('click', () => openBranchModal());
+            document.getElementById('requestTransferBtn').addEventListener('click', openTransferModal);
+            document.getElementById('addTransferItemBtn').addEventListener('click', addTransferItemRow);
+            document.getElementById('transferStatusFilter').addEventListener('change', loadTransfers);
+            document.getElementById('dashboardBranch').addEventListener('change', loadDashboard);
+            document.querySelectorAll('[data-export]').forEach(button => {
+                button.addEventListener('click', () => exportList(button.dataset.export, button.dataset.format));
+            });
+            document.querySelectorAll('[data-import]').forEach(button => {
+                button.addEventListener('click', () => openImportModal(button.dataset.import));
+            });
+
+            // A scan made while no form field has focus arrives as a burst of keystrokes ending in Enter;
+            // anything typed slower than a scanner is ignored
+            let scanBuffer = '';
+            let lastScanKeyAt = 0;
+            document.addEventListener('keydown', (event) => {
+                if (event.target.closest('input, textarea, select') || !hasRole(...STAFF_ROLES)) return;
+                const now = Date.now();
+                if (now - lastScanKeyAt > 50) scanBuffer = '';
+                lastScanKeyAt = now;
+                if (event.key === 'Enter') {
+                    if (scanBuffer.length >= 13) lookupScannedUnit(scanBuffer);
+                    scanBuffer = '';
+                } else if (event.key.length === 1) {
+                    scanBuffer += event.key;
+                }
+            });
+            document.getElementById('hospitalReportFrom').addEventListener('change', loadHospitalReport);
+            document.getElementById('hospitalReportTo').addEventListener('change', loadHospitalReport);
+            document.getElementById('addCampaignBtn').addEventListener('click', () => openCampaignModal());
+            document.getElementById('calendarPrev').addEventListener('click', () => changeCalendarMonth(-1));
+            document.getElementById('calendarNext').addEventListener('click', () => changeCalendarMonth(1));
+            document.getElementById('showClosedRecalls').addEventListener('change', loadRecallLists);
+            document.getElementById('reportFrom').addEventListener('change', loadReports);
+            document.getElementById('reportTo').addEventListener('change', loadReports);
+
+            document.getElementById('logoutBtn').addEventListener('click', logout);
+            document.getElementById('expiringWindow').addEventListener('change', loadExpiringUnits);
 
             // Setup modal close buttons (using data-modal-id attribute)
             document.querySelectorAll('.modal .close').forEach(closeBtn => {
@@ -548,10 +2653,19 @@ const API_BASE = "/api"; // ✅ Works on both localhost and Render
                 expiryDateInput.min = today; // Expiry date cannot be before today
             }
 
-            // Setup search functionality for donors table
-            setupSearch('donorSearch', 'donorsTable', [1, 2, 3, 4]); // Search Name, Blood Type, Phone, Email
+            // Setup server-side filtering and sorting for the paged tables
+            Object.keys(listState).forEach(listName => {
+                setupListFilters(listName);
+                setupSortableHeaders(listName);
+            });
 
-            // Load the initial dashboard data
-            switchTab('dashboard'); // Activates dashboard and calls loadDashboard()
+            // Show the login screen until a session exists, then load the first tab for the user's role
+            if (!getSession()) {
+                showLoginScreen();
+                return;
+            }
+            applyRoleVisibility();
+            switchTab(defaultTabForRole()); // Activates the tab and loads its data
+            connectLiveUpdates();
         });
 
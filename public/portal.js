@@ -0,0 +1,404 @@
+const API_BASE = "/api";
+
+        // --- Helper Functions ---
+
+        /**
+         * Displays an alert at the top of the given container, replacing any earlier one.
+         * @param {string} message - The message to display.
+         * @param {string} type - 'success', 'error', or 'info' for styling.
+         * @param {string} targetContainerId - ID of the element to put the alert in.
+         */
+        function showAlert(message, type = 'info', targetContainerId = 'portalAlert') {
+            const container = document.getElementById(targetContainerId);
+            if (!container) {
+                console.error(`Alert container "${targetContainerId}" not found for alert: ${message}`);
+                return;
+            }
+            const alertDiv = document.createElement('div');
+            alertDiv.className = `alert alert-${type}`;
+            alertDiv.textContent = message;
+            container.replaceChildren(alertDiv);
+            setTimeout(() => alertDiv.remove(), 5000);
+        }
+
+        /**
+         * Formats a date string into a readable local date, or a date and time when withTime is set.
+         * @param {string|null|undefined} dateString - The date string to format.
+         * @param {boolean} withTime - Whether to include the time of day.
+         * @returns {string} Formatted date or 'N/A'.
+         */
+        function formatReadableDate(dateString, withTime = false) {
+            if (!dateString) return 'N/A';
+            const date = new Date(dateString);
+            if (isNaN(date.getTime())) return 'Invalid Date';
+
+            const options = { year: 'numeric', month: 'short', day: 'numeric' };
+            if (withTime) {
+                options.hour = '2-digit';
+                options.minute = '2-digit';
+            }
+            return date.toLocaleString('en-US', options);
+        }
+
+        const COMPONENT_LABELS = {
+            whole_blood: 'Whole Blood',
+            red_cells: 'Red Cells',
+            plasma: 'Plasma',
+            platelets: 'Platelets'
+        };
+
+        // --- Session Management Functions ---
+
+        // Kept apart from the staff app's session so a donor and a staff login never overwrite each other
+        const SESSION_STORAGE_KEY = 'bloodsave_donor_session';
+
+        /**
+         * Reads the stored donor session ({ donor, accessToken, refreshToken }).
+         * @returns {object|null} The session or null when logged out.
+         */
+        function getSession() {
+            try {
+                return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+            } catch (error) {
+                return null;
+            }
+        }
+
+        function saveSession(session) {
+            localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+        }
+
+        function clearSession() {
+            localStorage.removeItem(SESSION_STORAGE_KEY);
+        }
+
+        /**
+         * Exchanges the stored refresh token for a new access token.
+         * @returns {Promise<boolean>} True if the session was refreshed.
+         */
+        async function refreshSession() {
+            const session = getSession();
+            if (!session || !session.refreshToken) return false;
+
+            try {
+                const response = await fetch(`${API_BASE}/portal/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken: session.refreshToken })
+                });
+                if (!response.ok) return false;
+                const result = await response.json();
+                saveSession(result.data);
+                return true;
+            } catch (error) {
+                console.error('Session refresh failed:', error);
+                return false;
+            }
+        }
+
+        // Login, registration and activation are the calls made before a session exists
+        const PUBLIC_ENDPOINTS = ['/portal/login', '/portal/register', '/portal/activate'];
+
+        /**
+         * Calls the donor portal API with the stored access token. Errors are shown on the login or portal view.
+         * @param {string} endpoint - The API endpoint relative to API_BASE.
+         * @param {string} method - HTTP method (GET, POST, PUT).
+         * @param {object|null} data - Request body data (for POST/PUT).
+         * @param {boolean} retryOnAuthFailure - Whether to refresh the session and retry after a 401.
+         * @returns {Promise<object|null>} The parsed JSON response, or null on failure.
+         */
+        async function portalCall(endpoint, method = 'GET', data = null, retryOnAuthFailure = true) {
+            const isPublic = PUBLIC_ENDPOINTS.includes(endpoint);
+            const options = { method, headers: { 'Content-Type': 'application/json' } };
+            const session = getSession();
+            if (session && session.accessToken && !isPublic) {
+                options.headers.Authorization = `Bearer ${session.accessToken}`;
+            }
+            if (data) {
+                options.body = JSON.stringify(data);
+            }
+
+            try {
+                const response = await fetch(`${API_BASE}${endpoint}`, options);
+
+                if (response.status === 401 && !isPublic) {
+                    if (retryOnAuthFailure && await refreshSession()) {
+                        return portalCall(endpoint, method, data, false);
+                    }
+                    clearSession();
+                    showAuthView('loginForm');
+                    return null;
+                }
+
+                const result = await response.json();
+                if (!response.ok) {
+                    let errorMessage = result.error || result.message || `API Error: ${response.status} ${response.statusText}`;
+                    if (Array.isArray(result.details) && result.details.length > 0) {
+                        errorMessage += `: ${result.details.map(detail => detail.msg).join('; ')}`;
+                    }
+                    showAlert(errorMessage, 'error', isPublic ? 'authAlert' : 'portalAlert');
+                    return null;
+                }
+                return result;
+            } catch (error) {
+                console.error('Network or Parsing Error:', error);
+                showAlert('Network error. Please check your internet connection or try again later.', 'error', isPublic ? 'authAlert' : 'portalAlert');
+                return null;
+            }
+        }
+
+        // --- Views ---
+
+        /**
+         * Shows the login screen with one of its forms (loginForm, registerForm or activateForm).
+         * @param {string} formId - The form to show.
+         */
+        function showAuthView(formId) {
+            document.getElementById('portalView').style.display = 'none';
+            document.getElementById('userBar').style.display = 'none';
+            document.getElementById('authView').style.display = '';
+            ['loginForm', 'registerForm', 'activateForm'].forEach(id => {
+                document.getElementById(id).style.display = id === formId ? '' : 'none';
+            });
+        }
+
+        /**
+         * Stores a new session and opens the portal.
+         * @param {object} session - { donor, accessToken, refreshToken } from the API.
+         */
+        function startSession(session) {
+            saveSession(session);
+            document.getElementById('authView').style.display = 'none';
+            document.getElementById('portalView').style.display = '';
+            document.getElementById('userBar').style.display = 'flex';
+            loadPortal();
+        }
+
+        async function loadPortal() {
+            const [me, donations, appointments, campaigns] = await Promise.all([
+                portalCall('/portal/me'),
+                portalCall('/portal/donations'),
+                portalCall('/portal/appointments'),
+                portalCall('/portal/campaigns')
+            ]);
+            if (me) renderProfile(me.data);
+            if (donations) renderDonations(donations.data);
+            if (appointments) renderAppointments(appointments.data);
+            if (campaigns) renderCampaigns(campaigns.data);
+        }
+
+        /**
+         * Fills the summary cards and the My Details form from the donor record.
+         * @param {object} donor - The donor, including its computed eligibility.
+         */
+        function renderProfile(donor) {
+            document.getElementById('currentDonorName').textContent = donor.name;
+            document.getElementById('profileBloodType').textContent = donor.bloodType;
+
+            const eligibility = donor.eligibility || { eligible: false, reasons: [] };
+            document.getElementById('profileNextEligible').textContent = eligibility.eligible
+                ? 'Today'
+                : eligibility.nextEligibleDate ? formatReadableDate(eligibility.nextEligibleDate) : 'Not eligible';
+            document.getElementById('profileEligibilityReasons').textContent = eligibility.reasons.join('; ');
+
+            document.getElementById('profilePhone').value = donor.phone || '';
+            document.getElementById('profileEmail').value = donor.email || '';
+            document.getElementById('profileAddress').value = donor.address || '';
+            const preferences = donor.notificationPreferences || {};
+            document.getElementById('profileNotifyEmail').checked = preferences.email !== false;
+            document.getElementById('profileNotifySms').checked = preferences.sms !== false;
+        }
+
+        function renderDonations(donations) {
+            document.getElementById('profileDonationCount').textContent = donations.length;
+            const tbody = document.getElementById('donationsTable');
+            if (donations.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">No donations recorded yet.</td></tr>';
+                return;
+            }
+            tbody.innerHTML = donations.map(donation => `
+                <tr>
+                    <td>${formatReadableDate(donation.collectionDate)}</td>
+                    <td><span class="blood-type">${donation.bloodType}</span></td>
+                    <td>${COMPONENT_LABELS[donation.component || 'whole_blood'] || donation.component}</td>
+                    <td>${donation.units}</td>
+                </tr>
+            `).join('');
+        }
+
+        function renderAppointments(appointments) {
+            const tbody = document.getElementById('appointmentsTable');
+            if (appointments.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="5" style="text-align: center;">You have no appointments.</td></tr>';
+                return;
+            }
+            tbody.innerHTML = appointments.map(appointment => {
+                const campaign = appointment.campaignId || {};
+                const canCancel = appointment.status === 'booked' && new Date(appointment.slotStart) > new Date();
+                return `
+                    <tr>
+                        <td>${formatReadableDate(appointment.slotStart, true)}</td>
+                        <td>${campaign.name || 'N/A'}</td>
+                        <td>${campaign.location || 'N/A'}</td>
+                        <td><span class="status ${appointment.status}">${appointment.status.replace('_', ' ')}</span></td>
+                        <td>${canCancel ? `<button class="btn btn-danger" data-cancel-appointment="${appointment._id}">Cancel</button>` : ''}</td>
+                    </tr>
+                `;
+            }).join('');
+        }
+
+        // Upcoming drives and their free slots, kept for filling the slot select when a drive is picked
+        let bookableCampaigns = [];
+
+        function renderCampaigns(campaigns) {
+            bookableCampaigns = campaigns;
+            const select = document.getElementById('bookingCampaign');
+            select.innerHTML = campaigns.length === 0
+                ? '<option value="">No upcoming drives with free places</option>'
+                : '<option value="">Select a drive</option>' + campaigns.map(campaign =>
+                    `<option value="${campaign._id}">${campaign.name} - ${campaign.location} (${formatReadableDate(campaign.startsAt)})</option>`
+                ).join('');
+            renderSlots();
+        }
+
+        function renderSlots() {
+            const campaign = bookableCampaigns.find(c => c._id === document.getElementById('bookingCampaign').value);
+            const select = document.getElementById('bookingSlot');
+            select.innerHTML = !campaign
+                ? '<option value="">Select a drive first</option>'
+                : '<option value="">Select a time</option>' + campaign.slots.map(slot =>
+                    `<option value="${slot.start}">${formatReadableDate(slot.start, true)} (${slot.available} left)</option>`
+                ).join('');
+        }
+
+        async function cancelAppointment(appointmentId) {
+            if (!confirm('Cancel this appointment?')) return;
+            const result = await portalCall(`/portal/appointments/${appointmentId}/cancel`, 'PUT', {});
+            if (result) {
+                showAlert(result.message, 'success');
+                loadPortal();
+            }
+        }
+
+        async function logout() {
+            await portalCall('/portal/logout', 'POST', {});
+            clearSession();
+            showAuthView('loginForm');
+        }
+
+        // --- Form Submission Handlers ---
+
+        document.getElementById('loginForm').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const result = await portalCall('/portal/login', 'POST', {
+                email: document.getElementById('loginEmail').value,
+                password: document.getElementById('loginPassword').value
+            });
+            if (result) {
+                event.target.reset();
+                startSession(result.data);
+            }
+        });
+
+        document.getElementById('registerForm').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const result = await portalCall('/portal/register', 'POST', {
+                name: document.getElementById('registerName').value,
+                age: parseInt(document.getElementById('registerAge').value, 10),
+                bloodType: document.getElementById('registerBloodType').value,
+                phone: document.getElementById('registerPhone').value,
+                email: document.getElementById('registerEmail').value,
+                address: document.getElementById('registerAddress').value,
+                password: document.getElementById('registerPassword').value
+            });
+            if (result) {
+                event.target.reset();
+                startSession(result.data);
+                showAlert(result.message, 'success');
+            }
+        });
+
+        document.getElementById('activateForm').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const token = new URLSearchParams(window.location.hash.slice(1)).get('invite');
+            const result = await portalCall('/portal/activate', 'POST', {
+                token,
+                password: document.getElementById('activatePassword').value
+            });
+            if (result) {
+                event.target.reset();
+                history.replaceState(null, '', window.location.pathname); // The invitation is used up
+                startSession(result.data);
+                showAlert(result.message, 'success');
+            }
+        });
+
+        document.getElementById('profileForm').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const data = {
+                phone: document.getElementById('profilePhone').value,
+                email: document.getElementById('profileEmail').value,
+                address: document.getElementById('profileAddress').value,
+                notificationPreferences: {
+                    email: document.getElementById('profileNotifyEmail').checked,
+                    sms: document.getElementById('profileNotifySms').checked
+                }
+            };
+            const newPassword = document.getElementById('profileNewPassword').value;
+            if (newPassword) {
+                data.newPassword = newPassword;
+                data.currentPassword = document.getElementById('profileCurrentPassword').value;
+            }
+
+            const result = await portalCall('/portal/me', 'PUT', data);
+            if (result) {
+                // A password change revokes the old tokens and returns new ones for this browser
+                saveSession(result.data.accessToken ? result.data : { ...getSession(), donor: result.data.donor });
+                document.getElementById('profileNewPassword').value = '';
+                document.getElementById('profileCurrentPassword').value = '';
+                renderProfile(result.data.donor);
+                showAlert(result.message, 'success');
+            }
+        });
+
+        document.getElementById('bookingForm').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const result = await portalCall('/portal/appointments', 'POST', {
+                campaignId: document.getElementById('bookingCampaign').value,
+                slotStart: document.getElementById('bookingSlot').value
+            });
+            if (result) {
+                showAlert(result.message, 'success');
+                loadPortal();
+            }
+        });
+
+        // --- Initial Page Load ---
+
+        document.addEventListener('DOMContentLoaded', () => {
+            document.getElementById('logoutBtn').addEventListener('click', logout);
+            document.getElementById('bookingCampaign').addEventListener('change', renderSlots);
+
+            document.querySelectorAll('[data-auth-view]').forEach(link => {
+                link.addEventListener('click', (event) => {
+                    event.preventDefault();
+                    showAuthView(link.dataset.authView);
+                });
+            });
+
+            // Cancel buttons are re-rendered with the table, so listen on the table itself
+            document.getElementById('appointmentsTable').addEventListener('click', (event) => {
+                const button = event.target.closest('[data-cancel-appointment]');
+                if (button) cancelAppointment(button.dataset.cancelAppointment);
+            });
+
+            // Invitation links look like portal.html#invite=<token>
+            if (new URLSearchParams(window.location.hash.slice(1)).get('invite')) {
+                clearSession();
+                showAuthView('activateForm');
+            } else if (getSession()) {
+                startSession(getSession());
+            } else {
+                showAuthView('loginForm');
+            }
+        });
@@ -1,12 +1,20 @@
 // Load environment variables from the project root .env file
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 require('dotenv').config(); // This will default to looking for .env in the current working directory
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet'); // For security headers
 const rateLimit = require('express-rate-limit'); // For API rate limiting
-const { body, validationResult } = require('express-validator'); // For input validation
+const { body, query, param, validationResult } = require('express-validator'); // For input validation
+const bcrypt = require('bcryptjs'); // For password hashing
+const jwt = require('jsonwebtoken'); // For issuing and verifying access/refresh tokens
+const { EventEmitter } = require('events'); // In-process bus for live update events
+const ExcelJS = require('exceljs'); // For XLSX import and export
+const nodemailer = require('nodemailer'); // For the SMTP notification transport
+const PDFDocument = require('pdfkit'); // For printable unit labels
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,7 +28,7 @@ app.use(helmet());
 // In development, we allow common localhost ports. For production, specify your exact frontend URL.
 app.use(cors({
     origin: ['http://localhost:3000', 'http://127.0.0.1:5500', 'http://localhost:8080'], // Add any other origins your frontend might run on
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
     credentials: true
 }));
@@ -38,10 +46,18 @@ app.use(express.static(path.join(__dirname, 'public')));
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // Limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again after 15 minutes.'
+    message: 'Too many requests from this IP, please try again after 15 minutes.',
+    skip: (req) => req.path === '/events' // The live update stream reconnects on its own; it must not use up the limit
 });
 app.use('/api/', apiLimiter); // Apply to all /api/ routes
 
+// Stricter limiter for login attempts to slow down password guessing
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // Limit each IP to 10 login attempts per windowMs
+    message: 'Too many login attempts from this IP, please try again after 15 minutes.'
+});
+
 
 // --- MongoDB Connection ---
 const MONGO_URI = process.env.MONGO_URI;
@@ -52,8 +68,71 @@ if (!MONGO_URI) {
     process.exit(1); // Exit the process if URI is missing
 }
 
+// --- Authentication Configuration ---
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
+const PORTAL_URL = process.env.PORTAL_URL || `http://localhost:${PORT}/portal.html`; // Linked from portal invitation emails
+const PORTAL_INVITE_TTL_HOURS = 72;
+
+// --- Notification Configuration ---
+// Transports per channel: email = console | file | smtp, sms = console | file | http. console and file are for local testing.
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || 'console';
+const SMS_TRANSPORT = process.env.SMS_TRANSPORT || 'console';
+const NOTIFICATION_FILE = process.env.NOTIFICATION_FILE || path.join(__dirname, 'notifications.log'); // One JSON line per message
+const NOTIFICATION_FROM = process.env.NOTIFICATION_FROM || 'BloodSave <no-reply@bloodsave.com>';
+const NOTIFICATION_INTERVAL_MS = parseInt(process.env.NOTIFICATION_INTERVAL_MS, 10) || 60 * 1000; // How often the queue is worked
+const NOTIFICATION_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const NOTIFICATION_RETRY_BASE_MS = 60 * 1000; // Wait after the first failure; doubles after each further failure
+const ELIGIBILITY_REMINDER_INTERVAL_MS = 6 * 60 * 60 * 1000; // How often donors who can give again are looked for
+
+// --- Scheduler Configuration ---
+const EXPIRY_CHECK_INTERVAL_MS = parseInt(process.env.EXPIRY_CHECK_INTERVAL_MS, 10) || 15 * 60 * 1000; // Every 15 minutes
+const DEFAULT_NEAR_EXPIRY_DAYS = 7; // Default window for GET /api/inventory/expiring
+const DEFAULT_HOLD_HOURS = parseInt(process.env.RESERVATION_HOLD_HOURS, 10) || 24; // How long reserved units are held for a request
+const CRITICAL_REQUEST_SLA_MINUTES = parseInt(process.env.CRITICAL_REQUEST_SLA_MINUTES, 10) || 60; // Critical requests waiting longer are flagged
+// What to do when new stock could serve the head of the request queue: 'reserve' it, 'suggest' reserving it, or 'off'
+const AUTO_RESERVE_MODE = ['reserve', 'suggest', 'off'].includes(process.env.AUTO_RESERVE_MODE) ? process.env.AUTO_RESERVE_MODE : 'reserve';
+const FORECAST_LOOKBACK_DAYS = parseInt(process.env.FORECAST_LOOKBACK_DAYS, 10) || 30; // History used for average daily consumption
+const FORECAST_HORIZON_DAYS = 90; // How far ahead stock is projected
+
+// --- Unit Labelling Configuration ---
+// Donation identification numbers (DINs) use the ISBT 128 layout: a 5-character facility code, the 2-digit year and a
+// 6-digit sequence number, e.g. W0000 26 000123. Set DIN_FACILITY_CODE to the code assigned to the blood bank.
+const DIN_FACILITY_CODE = (process.env.DIN_FACILITY_CODE || 'W0000').toUpperCase();
+
+// Tokens cannot be signed without a secret, so treat it like MONGO_URI
+if (!JWT_SECRET) {
+    console.error('FATAL ERROR: JWT_SECRET is not defined in .env file!');
+    process.exit(1);
+}
+
+// Every DIN starts with the facility code, so a malformed one would make every label unreadable
+if (!/^[A-Z0-9]{5}$/.test(DIN_FACILITY_CODE)) {
+    console.error('FATAL ERROR: DIN_FACILITY_CODE must be 5 letters or digits!');
+    process.exit(1);
+}
+
+// Runs one startup data task, logging its own failure so that it neither reads as a connection error nor stops
+// the tasks after it
+const runStartupTask = async (description, task) => {
+    try {
+        await task();
+    } catch (error) {
+        console.error(`❌ Could not ${description}:`, error);
+    }
+};
+
 mongoose.connect(MONGO_URI)
-    .then(() => console.log('✅ Connected to MongoDB Atlas'))
+    .then(async () => {
+        console.log('✅ Connected to MongoDB Atlas');
+        startScheduledJobs();
+        await runStartupTask('create the initial admin account', seedAdminUser);
+        await runStartupTask('link existing requests to registered hospitals', linkRequestsToHospitals);
+        await runStartupTask('assign DINs to existing blood units', assignMissingDins);
+        await runStartupTask('migrate free-text discard reasons', migrateDiscardReasons);
+    })
     .catch(err => {
         console.error('❌ MongoDB connection error:', err);
         // Optionally exit the application if database connection is critical
@@ -61,6 +140,70 @@ mongoose.connect(MONGO_URI)
     });
 
 // --- MongoDB Schemas ---
+
+const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// Red-cell compatibility matrix: recipient blood type -> donor types it can safely receive.
+// Each list is in order of preference: exact match first, O- (universal donor) last so it is kept for emergencies.
+const RED_CELL_COMPATIBILITY = {
+    'O-': ['O-'],
+    'O+': ['O+', 'O-'],
+    'A-': ['A-', 'O-'],
+    'A+': ['A+', 'A-', 'O+', 'O-'],
+    'B-': ['B-', 'O-'],
+    'B+': ['B+', 'B-', 'O+', 'O-'],
+    'AB-': ['AB-', 'A-', 'B-', 'O-'],
+    'AB+': ['AB+', 'AB-', 'A+', 'A-', 'B+', 'B-', 'O+', 'O-'] // Universal recipient
+};
+
+// Plasma compatibility runs the other way round: AB plasma has no anti-A or anti-B, so AB is the universal plasma donor.
+// Platelets are matched the same way. Same ABO group first, then AB.
+const PLASMA_COMPATIBILITY = {
+    'O-': ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+'],
+    'O+': ['O+', 'O-', 'A+', 'A-', 'B+', 'B-', 'AB+', 'AB-'],
+    'A-': ['A-', 'A+', 'AB-', 'AB+'],
+    'A+': ['A+', 'A-', 'AB+', 'AB-'],
+    'B-': ['B-', 'B+', 'AB-', 'AB+'],
+    'B+': ['B+', 'B-', 'AB+', 'AB-'],
+    'AB-': ['AB-', 'AB+'],
+    'AB+': ['AB+', 'AB-']
+};
+
+// Blood components, their default shelf life from the collection date and the code that follows the DIN on unit labels
+const BLOOD_COMPONENTS = {
+    whole_blood: { label: 'Whole Blood', shelfLifeDays: 35, labelCode: 'WB' },
+    red_cells: { label: 'Packed Red Cells', shelfLifeDays: 42, labelCode: 'RC' },
+    plasma: { label: 'Fresh Frozen Plasma', shelfLifeDays: 365, labelCode: 'FP' },
+    platelets: { label: 'Platelets', shelfLifeDays: 5, labelCode: 'PL' }
+};
+const COMPONENT_TYPES = Object.keys(BLOOD_COMPONENTS);
+const SEPARABLE_COMPONENTS = ['red_cells', 'plasma', 'platelets']; // What a whole-blood unit can be processed into
+const RED_CELL_COMPONENTS = ['whole_blood', 'red_cells']; // Components counted against the stock thresholds
+
+// Donor blood types that can supply a recipient with the given component, in order of preference
+const getCompatibleDonorTypes = (bloodType, component) => (
+    RED_CELL_COMPONENTS.includes(component) ? RED_CELL_COMPATIBILITY[bloodType] : PLASMA_COMPATIBILITY[bloodType]
+);
+
+// Query condition for a component. Units recorded before components were tracked have none and are whole blood.
+const componentCondition = (component) => (component === 'whole_blood' ? { $in: ['whole_blood', null] } : component);
+
+// Donor eligibility rules
+const DONOR_MIN_AGE = 18;
+const DONOR_MAX_AGE = 65;
+const WHOLE_BLOOD_DONATION_INTERVAL_DAYS = 56; // Minimum gap between whole-blood donations
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Temporary deferrals end on endDate; permanent deferrals never end
+const deferralSchema = new mongoose.Schema({
+    type: { type: String, required: true, enum: ['temporary', 'permanent'] },
+    reason: { type: String, required: true, trim: true, minlength: 3, maxlength: 200 },
+    startDate: { type: Date, default: Date.now },
+    endDate: { type: Date }, // Required for temporary deferrals (enforced by validateDeferral)
+    recordedBy: { type: String, trim: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
 const donorSchema = new mongoose.Schema({
     name: { type: String, required: true, trim: true, minlength: 2, maxlength: 100 },
     age: { type: Number, required: true, min: 18, max: 65 }, // Added age from previous frontend
@@ -73,11 +216,33 @@ const donorSchema = new mongoose.Schema({
     email: { type: String, required: true, unique: true, trim: true, lowercase: true },
     address: { type: String, required: true, trim: true, minlength: 10, maxlength: 200 },
     lastDonation: { type: Date, default: null },
+    deferrals: [deferralSchema],
+    notificationPreferences: { // Donors can opt out of each channel
+        email: { type: Boolean, default: true },
+        sms: { type: Boolean, default: true }
+    },
+    eligibilityReminderFor: { type: Date }, // lastDonation the "you can donate again" message was sent for
     isActive: { type: Boolean, default: true }, // Keep this for soft deletes
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now } // Track updates
 });
 
+// Computed on read so it is always current; included in API responses
+donorSchema.virtual('eligibility').get(function () {
+    return getDonorEligibility(this);
+});
+donorSchema.set('toJSON', { virtuals: true });
+
+// Why a unit left stock without being transfused; the wastage report groups discards by these
+const DISCARD_REASONS = {
+    expired: 'Expired',
+    broken_bag: 'Broken bag',
+    failed_screening: 'Failed screening',
+    temperature_excursion: 'Temperature excursion',
+    returned_unused: 'Returned unused' // Issued units sent back by the hospital that cannot go back into stock
+};
+const DISCARD_REASON_CODES = Object.keys(DISCARD_REASONS);
+
 const inventorySchema = new mongoose.Schema({
     bloodType: { 
         type: String, 
@@ -85,14 +250,41 @@ const inventorySchema = new mongoose.Schema({
         enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'] 
     },
     units: { type: Number, required: true, min: 1 }, // Added units
+    din: { type: String, index: true }, // Donation identification number; components and split batches keep their collection's DIN
     donorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Donor', required: false }, // Made optional if not always from a tracked donor
     collectionDate: { type: Date, required: true },
     expiryDate: { type: Date, required: true },
-    status: { type: String, default: 'available', enum: ['available', 'reserved', 'used', 'expired'] }, // Changed enum to lowercase for consistency
+    component: { type: String, default: 'whole_blood', enum: COMPONENT_TYPES },
+    parentInventoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inventory' }, // Whole-blood unit this component was separated from
+    appointmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Appointment' }, // Donation drive appointment the unit was collected at
+    branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', index: true }, // Storage site holding the unit; changes when a transfer is received
+    transferId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transfer' }, // Shipment the unit travels in while 'in_transit'
+    sourceInventoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inventory' }, // Batch these units were split off from
+    mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Inventory' }, // Batch a released split part was merged back into ('merged')
+    reservedFor: { type: mongoose.Schema.Types.ObjectId, ref: 'Request', index: true }, // Request holding these units
+    holdExpiresAt: { type: Date }, // Reserved units go back to stock after this
+    status: { type: String, default: 'available', enum: ['available', 'reserved', 'in_transit', 'used', 'expired', 'discarded', 'processed', 'merged'] }, // Changed enum to lowercase for consistency
+    discardReason: { type: String, enum: DISCARD_REASON_CODES }, // Why a unit was taken out of stock instead of being deleted
+    discardNotes: { type: String, trim: true, maxlength: 200 },
+    discardedBy: { type: String, trim: true },
+    discardedAt: { type: Date },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
 });
 
+// The DIN as printed on the label, with its check character; included in API responses
+inventorySchema.virtual('dinLabel').get(function () {
+    return this.din ? formatDin(this.din) : null;
+});
+inventorySchema.set('toJSON', { virtuals: true });
+
+const REQUEST_PRIORITIES = ['Critical', 'High', 'Medium', 'Low']; // Queue order, most urgent first
+const REQUEST_STATUSES = ['pending', 'reserved', 'crossmatched', 'issued', 'fulfilled', 'rejected', 'cancelled'];
+const ISSUED_REQUEST_STATUSES = ['issued', 'fulfilled'];
+const OPEN_REQUEST_STATUSES = ['pending', 'reserved', 'crossmatched'];
+// Units an issued request took, for aggregations: requests fulfilled before issuedBloodTypes was recorded count their own units
+const ISSUED_UNITS = { $cond: [{ $gt: [{ $size: { $ifNull: ['$issuedBloodTypes', []] } }, 0] }, { $sum: '$issuedBloodTypes.units' }, '$units'] };
+
 const requestSchema = new mongoose.Schema({
     // Changed patientName and hospital to be direct fields from frontend
     patientName: { type: String, required: true, trim: true, minlength: 2, maxlength: 100 },
@@ -101,47 +293,589 @@ const requestSchema = new mongoose.Schema({
         required: true, 
         enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'] 
     },
+    component: { type: String, default: 'whole_blood', enum: COMPONENT_TYPES },
     units: { type: Number, required: true, min: 1 }, // Changed from unitsNeeded
     priority: { type: String, required: true, enum: ['Low', 'Medium', 'High', 'Critical'] },
-    hospital: { type: String, required: true, trim: true, minlength: 2, maxlength: 100 },
-    status: { type: String, default: 'pending', enum: ['pending', 'fulfilled', 'rejected', 'cancelled'] }, // Unified status terms
+    hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', index: true },
+    hospital: { type: String, required: true, trim: true, minlength: 2, maxlength: 100 }, // Hospital name when the request was made
+    // pending → reserved → crossmatched → issued; reserved or crossmatched requests can be released back to pending.
+    // 'fulfilled' is kept for requests issued in one step before the reservation workflow existed.
+    status: { type: String, default: 'pending', enum: REQUEST_STATUSES },
     requestDate: { type: Date, default: Date.now }, // Original request date
     processedBy: { type: String, trim: true }, // Who processed it
     processedDate: { type: Date }, // When it was processed
+    reservedBy: { type: String, trim: true },
+    reservedAt: { type: Date },
+    holdExpiresAt: { type: Date }, // When the reserved units go back to stock unless issued
+    reservedBranchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch' }, // Branch the units were reserved from; empty when taken from any branch
+    reservedBloodTypes: [{ // Blood types held for the patient, which may include compatible substitutes
+        _id: false,
+        bloodType: { type: String, enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'] },
+        units: { type: Number, min: 1 }
+    }],
+    scannedInventoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Inventory' }], // Held units checked at the bedside by scan-to-issue
+    crossmatch: {
+        result: { type: String, enum: ['compatible', 'incompatible'] },
+        performedBy: { type: String, trim: true },
+        performedAt: { type: Date },
+        notes: { type: String, trim: true }
+    },
+    releaseReason: { type: String, trim: true }, // Why the last reservation was released
+    rejectionReason: { type: String, trim: true },
+    cancellationReason: { type: String, trim: true }, // Requests are cancelled with a reason instead of being deleted
+    cancelledBy: { type: String, trim: true },
+    cancelledAt: { type: Date },
+    issuedBloodTypes: [{ // Blood types actually issued, which may include compatible substitutes
+        _id: false,
+        bloodType: { type: String, enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'] },
+        units: { type: Number, min: 1 }
+    }],
     createdAt: { type: Date, default: Date.now }, // When the record was created
     updatedAt: { type: Date, default: Date.now } // When the record was last updated
 });
 
+// Issue records linking a fulfilled request to the exact inventory batches (and donors) that supplied it
+const allocationSchema = new mongoose.Schema({
+    requestId: { type: mongoose.Schema.Types.ObjectId, ref: 'Request', required: true, index: true },
+    inventoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inventory', required: true }, // The 'used' batch issued to the patient
+    sourceInventoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inventory' }, // Original batch when the used units were split off
+    donorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Donor', index: true },
+    bloodType: { type: String, required: true, enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'] },
+    component: { type: String, enum: COMPONENT_TYPES },
+    units: { type: Number, required: true, min: 1 },
+    patientName: { type: String, trim: true }, // Snapshot of the recipient at issue time
+    hospital: { type: String, trim: true },
+    issuedBy: { type: String, trim: true },
+    issuedAt: { type: Date, default: Date.now },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Stock levels per blood type: below minimum is critical, below low is low, target is the level to restock to
+const DEFAULT_STOCK_THRESHOLD = { minimum: 3, low: 6, target: 15 }; // Used for blood types without a saved threshold
+
+const thresholdSchema = new mongoose.Schema({
+    bloodType: { type: String, required: true, unique: true, enum: BLOOD_TYPES },
+    minimum: { type: Number, required: true, min: 0 },
+    low: { type: Number, required: true, min: 0 },
+    target: { type: Number, required: true, min: 0 },
+    updatedBy: { type: String, trim: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Raised when available stock for a blood type crosses a threshold; open -> acknowledged -> resolved
+const alertSchema = new mongoose.Schema({
+    type: { type: String, required: true, enum: ['stock_level'] },
+    bloodType: { type: String, required: true, enum: BLOOD_TYPES },
+    level: { type: String, required: true, enum: ['low', 'critical'] },
+    units: { type: Number, required: true }, // Available units when the alert was raised
+    threshold: { type: Number, required: true }, // The threshold that was crossed
+    message: { type: String, required: true },
+    status: { type: String, default: 'open', enum: ['open', 'acknowledged', 'resolved'], index: true },
+    acknowledgedBy: { type: String, trim: true },
+    acknowledgedAt: { type: Date },
+    resolvedBy: { type: String, trim: true },
+    resolvedAt: { type: Date },
+    cleared: { type: Boolean, default: false }, // True once stock has moved off this alert's level
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Append-only record of every change to regulated data: who did what, to which record, and what it looked like before and after
+const AUDIT_ENTITY_TYPES = ['User', 'Donor', 'Inventory', 'Request', 'Threshold', 'Alert', 'Hospital', 'Campaign', 'Appointment', 'RecallList', 'Branch', 'Transfer'];
+
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Empty for system jobs
+        name: { type: String, required: true, trim: true },
+        role: { type: String, trim: true }
+    },
+    action: { type: String, required: true, trim: true }, // e.g. create, update, delete, restore, reserve, issue, discard, cancel, expire
+    entityType: { type: String, required: true, enum: AUDIT_ENTITY_TYPES },
+    entityId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    before: { type: mongoose.Schema.Types.Mixed }, // Snapshot before the change (absent for creates)
+    after: { type: mongoose.Schema.Types.Mixed }, // Snapshot after the change
+    ip: { type: String, trim: true },
+    userAgent: { type: String, trim: true },
+    timestamp: { type: Date, default: Date.now, index: true }
+});
+
+// Entries can be added but never changed or removed through the application
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function () {
+    throw new Error('Audit log entries are append-only.');
+});
+
+// Hospitals that request blood. Names are unique regardless of case so the same hospital is not registered twice.
+const hospitalSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, minlength: 2, maxlength: 100 },
+    contact: {
+        name: { type: String, trim: true, maxlength: 100 },
+        phone: { type: String, trim: true },
+        email: { type: String, trim: true, lowercase: true }
+    },
+    address: {
+        street: { type: String, trim: true },
+        city: { type: String, trim: true },
+        state: { type: String, trim: true },
+        postalCode: { type: String, trim: true }
+    },
+    isActive: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+hospitalSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// Storage sites that hold inventory. The short code (e.g. "NORTH") labels the branch on screens and in spreadsheets.
+const branchSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, minlength: 2, maxlength: 100 },
+    code: { type: String, required: true, trim: true, uppercase: true, maxlength: 10 },
+    phone: { type: String, trim: true },
+    address: {
+        street: { type: String, trim: true },
+        city: { type: String, trim: true },
+        state: { type: String, trim: true },
+        postalCode: { type: String, trim: true }
+    },
+    isActive: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+branchSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+branchSchema.index({ code: 1 }, { unique: true });
+
+// Stock moving between branches: requested → dispatched → received, or cancelled before it is received.
+// The receiving branch asks for units by blood type and component; the sending branch's units are picked on dispatch.
+// Units keep their documents (and so their collection and expiry dates) throughout; only branchId changes.
+const TRANSFER_STATUSES = ['requested', 'dispatched', 'received', 'cancelled'];
+
+const transferItemSchema = new mongoose.Schema({
+    bloodType: { type: String, required: true, enum: BLOOD_TYPES },
+    component: { type: String, default: 'whole_blood', enum: COMPONENT_TYPES },
+    units: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
+const transferSchema = new mongoose.Schema({
+    fromBranchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', required: true, index: true },
+    toBranchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', required: true, index: true },
+    items: { type: [transferItemSchema], validate: items => items.length > 0 },
+    inventoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Inventory' }], // Units sent, set on dispatch
+    status: { type: String, default: 'requested', enum: TRANSFER_STATUSES, index: true },
+    notes: { type: String, trim: true, maxlength: 500 },
+    requestedBy: { type: String, trim: true },
+    requestedAt: { type: Date, default: Date.now },
+    dispatchedBy: { type: String, trim: true },
+    dispatchedAt: { type: Date },
+    receivedBy: { type: String, trim: true },
+    receivedAt: { type: Date },
+    cancelledBy: { type: String, trim: true },
+    cancelledAt: { type: Date },
+    cancellationReason: { type: String, trim: true },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Donation drives: donors book a slot between startsAt and endsAt; each slot lasts slotMinutes and takes `capacity` donors
+const campaignSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, minlength: 2, maxlength: 100 },
+    location: { type: String, required: true, trim: true, maxlength: 200 },
+    startsAt: { type: Date, required: true, index: true },
+    endsAt: { type: Date, required: true },
+    slotMinutes: { type: Number, default: 30, min: 5, max: 240 },
+    capacity: { type: Number, required: true, min: 1 }, // Donors per slot
+    targetBloodTypes: [{ type: String, enum: BLOOD_TYPES }], // Types the drive is recruiting for; others may still book
+    notes: { type: String, trim: true, maxlength: 500 },
+    status: { type: String, default: 'scheduled', enum: ['scheduled', 'cancelled'] },
+    bookingSeq: { type: Number, default: 0 }, // Bumped by every booking so concurrent bookings for one drive conflict
+    cancellationReason: { type: String, trim: true },
+    cancelledBy: { type: String, trim: true },
+    cancelledAt: { type: Date },
+    createdBy: { type: String, trim: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// A donor's booking for one slot of a drive: booked -> checked_in -> completed (once the collection is recorded), or cancelled
+const APPOINTMENT_STATUSES = ['booked', 'checked_in', 'completed', 'cancelled'];
+const ACTIVE_APPOINTMENT_STATUSES = ['booked', 'checked_in', 'completed']; // Statuses that take up a slot
+
+const appointmentSchema = new mongoose.Schema({
+    campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign', required: true, index: true },
+    donorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Donor', required: true, index: true },
+    slotStart: { type: Date, required: true, index: true },
+    status: { type: String, default: 'booked', enum: APPOINTMENT_STATUSES },
+    bookedBy: { type: String, trim: true },
+    checkedInBy: { type: String, trim: true },
+    checkedInAt: { type: Date },
+    inventoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inventory' }, // The unit collected at this appointment
+    cancellationReason: { type: String, trim: true },
+    cancelledBy: { type: String, trim: true },
+    cancelledAt: { type: Date },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+// A donor holds at most one open booking per drive
+appointmentSchema.index(
+    { campaignId: 1, donorId: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ['booked', 'checked_in'] } } }
+);
+
+// Call lists for asking eligible donors of a blood type to come in when stock runs low.
+// Each entry's outcome is the latest contact attempt; every attempt is also kept in ContactAttempt as response history.
+const RECALL_OUTCOMES = ['contacted', 'pledged', 'declined', 'unreachable'];
+
+const recallListSchema = new mongoose.Schema({
+    bloodType: { type: String, required: true, enum: BLOOD_TYPES },
+    area: { type: String, trim: true }, // Matched against donor addresses when the list was built
+    status: { type: String, default: 'open', enum: ['open', 'closed'], index: true },
+    entries: [{
+        donorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Donor', required: true },
+        rank: { type: Number, required: true },
+        score: { type: Number, required: true },
+        daysSinceDonation: { type: Number }, // Empty for donors who have never given
+        outcome: { type: String, enum: RECALL_OUTCOMES },
+        lastContactedAt: { type: Date }
+    }],
+    createdBy: { type: String, trim: true },
+    closedBy: { type: String, trim: true },
+    closedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+const contactAttemptSchema = new mongoose.Schema({
+    recallListId: { type: mongoose.Schema.Types.ObjectId, ref: 'RecallList', required: true, index: true },
+    donorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Donor', required: true, index: true },
+    outcome: { type: String, required: true, enum: RECALL_OUTCOMES },
+    notes: { type: String, trim: true, maxlength: 500 },
+    contactedBy: { type: String, trim: true },
+    contactedAt: { type: Date, default: Date.now }
+});
+
+// Outgoing email and SMS messages. The queue works through pending messages whose nextAttemptAt has passed;
+// failures are retried with backoff until NOTIFICATION_MAX_ATTEMPTS, then the message is marked failed.
+const NOTIFICATION_CHANNELS = ['email', 'sms'];
+
+const notificationSchema = new mongoose.Schema({
+    channel: { type: String, required: true, enum: NOTIFICATION_CHANNELS },
+    to: { type: String, required: true, trim: true }, // Email address or phone number
+    template: { type: String, required: true },
+    subject: { type: String, trim: true }, // Email only
+    body: { type: String, required: true },
+    recipientType: { type: String, enum: ['Donor', 'Hospital', 'User'] },
+    recipientId: { type: mongoose.Schema.Types.ObjectId },
+    status: { type: String, default: 'pending', enum: ['pending', 'sent', 'failed'] },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String },
+    nextAttemptAt: { type: Date, default: Date.now },
+    sentAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Named number sequences, e.g. 'din-26' for the DINs issued in 2026
+const counterSchema = new mongoose.Schema({
+    _id: { type: String },
+    seq: { type: Number, default: 0 }
+});
+
+// Staff accounts used to log in to the API
+const ROLES = {
+    ADMIN: 'admin', // Supervisors: full access, reject requests, manage users
+    LAB_TECHNICIAN: 'lab_technician', // Manages blood inventory
+    FRONT_DESK: 'front_desk', // Registers donors and records requests
+    HOSPITAL_REQUESTER: 'hospital_requester' // Submits and tracks blood requests
+};
+const STAFF_ROLES = [ROLES.ADMIN, ROLES.LAB_TECHNICIAN, ROLES.FRONT_DESK];
+
+const userSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, minlength: 2, maxlength: 100 },
+    email: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    passwordHash: { type: String, required: true },
+    role: { type: String, required: true, enum: Object.values(ROLES) },
+    hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital' }, // Set for hospital_requester accounts only
+    isActive: { type: Boolean, default: true },
+    tokenVersion: { type: Number, default: 0 }, // Incremented on logout to revoke outstanding refresh tokens
+    lastLogin: { type: Date },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Donor portal logins, kept apart from staff User accounts. Donors sign in with their donor record's email, so
+// staff changing that email also changes the login. Accounts created from a staff invitation have no password
+// until the donor follows the invitation link.
+const donorAccountSchema = new mongoose.Schema({
+    donorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Donor', required: true, unique: true },
+    passwordHash: { type: String },
+    inviteTokenHash: { type: String, index: true }, // SHA-256 of the invitation token; the token itself is only emailed
+    inviteExpiresAt: { type: Date },
+    isActive: { type: Boolean, default: true },
+    tokenVersion: { type: Number, default: 0 }, // Incremented on logout and password change to revoke refresh tokens
+    lastLogin: { type: Date },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Never send the password hash or token version back to clients
+userSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.passwordHash;
+        delete ret.tokenVersion;
+        return ret;
+    }
+});
+
 // Models
+const User = mongoose.model('User', userSchema);
+const DonorAccount = mongoose.model('DonorAccount', donorAccountSchema);
+const Hospital = mongoose.model('Hospital', hospitalSchema);
+const Branch = mongoose.model('Branch', branchSchema);
+const Transfer = mongoose.model('Transfer', transferSchema);
 const Donor = mongoose.model('Donor', donorSchema);
+const Campaign = mongoose.model('Campaign', campaignSchema);
+const Appointment = mongoose.model('Appointment', appointmentSchema);
+const RecallList = mongoose.model('RecallList', recallListSchema);
+const ContactAttempt = mongoose.model('ContactAttempt', contactAttemptSchema);
 const Inventory = mongoose.model('Inventory', inventorySchema);
 const Request = mongoose.model('Request', requestSchema);
+const Allocation = mongoose.model('Allocation', allocationSchema);
+const Threshold = mongoose.model('Threshold', thresholdSchema);
+const Alert = mongoose.model('Alert', alertSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+const Notification = mongoose.model('Notification', notificationSchema);
+const Counter = mongoose.model('Counter', counterSchema);
 
 // --- Validation Middleware Functions ---
 // These validators are reused from your previous server.js, they are very good!
-const validateDonor = [
-    body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
-    body('age').isInt({ min: 18, max: 65 }).withMessage('Age must be between 18 and 65'),
-    body('bloodType').isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Invalid blood type'),
-    body('phone').trim().isLength({ min: 10, max: 15 }).withMessage('Phone number must be between 10 and 15 characters'),
-    body('email').isEmail().normalizeEmail().withMessage('Invalid email address'),
-    body('address').trim().isLength({ min: 10, max: 200 }).withMessage('Address must be between 10 and 200 characters')
+// Builds the donor rules; with partial=true every field becomes optional (for PATCH) but is checked the same way when present
+const buildDonorValidation = ({ partial = false } = {}) => {
+    const field = (name) => partial ? body(name).optional() : body(name);
+    return [
+        field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+        field('age').isInt({ min: 18, max: 65 }).withMessage('Age must be between 18 and 65'),
+        field('bloodType').isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Invalid blood type'),
+        field('phone').trim().isLength({ min: 10, max: 15 }).withMessage('Phone number must be between 10 and 15 characters'),
+        field('email').isEmail().normalizeEmail().withMessage('Invalid email address'),
+        field('address').trim().isLength({ min: 10, max: 200 }).withMessage('Address must be between 10 and 200 characters'),
+        body(['notificationPreferences.email', 'notificationPreferences.sms']).optional().isBoolean().withMessage('Notification preferences must be true or false').toBoolean()
+    ];
+};
+
+const validateDonor = buildDonorValidation();
+const validateDonorPatch = buildDonorValidation({ partial: true });
+
+// Donors registering themselves follow the same rules as staff adding a donor, plus a password
+const validatePortalRegistration = [
+    ...validateDonor,
+    body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+];
+
+// Donors may change their contact details and password; other donor fields are ignored on this route
+const validatePortalProfile = [
+    ...validateDonorPatch,
+    body('newPassword').optional().isLength({ min: 8 }).withMessage('New password must be at least 8 characters'),
+    body('currentPassword').if(body('newPassword').exists()).notEmpty().withMessage('Current password is required to set a new one')
+];
+const PORTAL_EDITABLE_FIELDS = ['phone', 'email', 'address'];
+
+const validatePortalActivation = [
+    body('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid invitation link'),
+    body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+];
+
+// Only these donor fields can be changed through the update routes
+const DONOR_EDITABLE_FIELDS = ['name', 'age', 'bloodType', 'phone', 'email', 'address'];
+
+const validateDeferral = [
+    body('type').isIn(['temporary', 'permanent']).withMessage('Deferral type must be temporary or permanent'),
+    body('reason').trim().isLength({ min: 3, max: 200 }).withMessage('Reason must be between 3 and 200 characters'),
+    body('endDate')
+        .if(body('type').equals('temporary'))
+        .isISO8601().withMessage('Temporary deferrals need a valid end date')
+        .custom(value => new Date(value) > new Date()).withMessage('End date must be in the future')
+];
+
+const validateThreshold = [
+    body('minimum').isInt({ min: 0 }).withMessage('Minimum must be a non-negative integer'),
+    body('low').isInt({ min: 0 }).withMessage('Low must be a non-negative integer')
+        .custom((value, { req }) => Number(value) >= Number(req.body.minimum)).withMessage('Low must be at least the minimum'),
+    body('target').isInt({ min: 0 }).withMessage('Target must be a non-negative integer')
+        .custom((value, { req }) => Number(value) >= Number(req.body.low)).withMessage('Target must be at least the low level')
 ];
 
 const validateInventory = [
     body('bloodType').isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Invalid blood type'),
+    body('component').optional().isIn(COMPONENT_TYPES).withMessage('Invalid blood component'),
     body('units').isInt({ min: 1 }).withMessage('Units must be at least 1'),
     body('donorId').optional().isMongoId().withMessage('Invalid Donor ID format'), // donorId is optional now
     body('collectionDate').isISO8601().withMessage('Invalid collection date format'),
-    body('expiryDate').isISO8601().withMessage('Invalid expiry date format')
+    body('expiryDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid expiry date format'), // Defaults to the component's shelf life
+    body('appointmentId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid appointment ID format'), // Checked-in drive appointment
+    body('branchId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid branch ID format')
 ];
 
 const validateRequest = [
     body('patientName').trim().isLength({ min: 2, max: 100 }).withMessage('Patient name must be between 2 and 100 characters'),
     body('bloodType').isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Invalid blood type'),
+    body('component').optional().isIn(COMPONENT_TYPES).withMessage('Invalid blood component'),
     body('units').isInt({ min: 1 }).withMessage('Units needed must be at least 1'),
     body('priority').isIn(['Low', 'Medium', 'High', 'Critical']).withMessage('Invalid priority level'),
-    body('hospital').trim().isLength({ min: 2, max: 100 }).withMessage('Hospital name must be between 2 and 100 characters')
+    body('hospitalId').optional().isMongoId().withMessage('Invalid hospital ID format') // Hospital users always request for their own hospital
+];
+
+// Builds the hospital rules; with partial=true the name becomes optional (for updates). Contact and address are always optional.
+const buildHospitalValidation = ({ partial = false } = {}) => {
+    const field = (name) => partial ? body(name).optional() : body(name);
+    return [
+        field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Hospital name must be between 2 and 100 characters'),
+        body('contact.name').optional().trim().isLength({ max: 100 }).withMessage('Contact name must be at most 100 characters'),
+        body('contact.phone').optional({ values: 'falsy' }).trim().isLength({ min: 10, max: 15 }).withMessage('Contact phone number must be between 10 and 15 characters'),
+        body('contact.email').optional({ values: 'falsy' }).isEmail().normalizeEmail().withMessage('Invalid contact email address'),
+        body(['address.street', 'address.city', 'address.state', 'address.postalCode']).optional().trim().isLength({ max: 100 }).withMessage('Address fields must be at most 100 characters'),
+        body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+    ];
+};
+const validateHospital = buildHospitalValidation();
+const validateHospitalUpdate = buildHospitalValidation({ partial: true });
+
+// Branch rules, built the same way as the hospital rules
+const buildBranchValidation = ({ partial = false } = {}) => {
+    const field = (name) => partial ? body(name).optional() : body(name);
+    return [
+        field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Branch name must be between 2 and 100 characters'),
+        field('code').trim().toUpperCase().matches(/^[A-Z0-9-]{2,10}$/).withMessage('Branch code must be 2 to 10 letters, digits or dashes'),
+        body('phone').optional({ values: 'falsy' }).trim().isLength({ min: 10, max: 15 }).withMessage('Phone number must be between 10 and 15 characters'),
+        body(['address.street', 'address.city', 'address.state', 'address.postalCode']).optional().trim().isLength({ max: 100 }).withMessage('Address fields must be at most 100 characters'),
+        body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+    ];
+};
+const validateBranch = buildBranchValidation();
+const validateBranchUpdate = buildBranchValidation({ partial: true });
+
+const validateTransfer = [
+    body('fromBranchId').isMongoId().withMessage('Invalid sending branch ID format'),
+    body('toBranchId').isMongoId().withMessage('Invalid receiving branch ID format')
+        .custom((value, { req }) => value !== req.body.fromBranchId).withMessage('A transfer must go to a different branch'),
+    body('items').isArray({ min: 1, max: 20 }).withMessage('List between 1 and 20 items to transfer'),
+    body('items.*.bloodType').isIn(BLOOD_TYPES).withMessage('Invalid blood type'),
+    body('items.*.component').optional().isIn(COMPONENT_TYPES).withMessage('Invalid blood component'),
+    body('items.*.units').isInt({ min: 1 }).withMessage('Units must be at least 1').toInt(),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters')
+];
+
+const validateLogin = [
+    body('email').isEmail().normalizeEmail().withMessage('Invalid email address'),
+    body('password').notEmpty().withMessage('Password is required')
+];
+
+const validateUser = [
+    body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    body('email').isEmail().normalizeEmail().withMessage('Invalid email address'),
+    body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    body('role').isIn(Object.values(ROLES)).withMessage('Invalid role'),
+    body('hospitalId').if(body('role').equals(ROLES.HOSPITAL_REQUESTER)).isMongoId().withMessage('Hospital users must be linked to a hospital')
+];
+
+const validateUserUpdate = [
+    body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    body('password').optional().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    body('role').optional().isIn(Object.values(ROLES)).withMessage('Invalid role'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+    body('hospitalId').optional().isMongoId().withMessage('Invalid hospital ID format')
+];
+
+// Pagination limits for list endpoints
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Query parameters shared by every paginated list endpoint
+const validateListQuery = [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+    query('from').optional().isISO8601().withMessage('Invalid from date format'),
+    query('to').optional().isISO8601().withMessage('Invalid to date format'),
+    query('bloodType').optional().isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Invalid blood type'),
+    query('search').optional().trim().isLength({ max: 100 }).withMessage('Search text must be at most 100 characters')
+];
+
+const validateInventoryListQuery = [
+    ...validateListQuery,
+    query('status').optional().isIn(['available', 'reserved', 'in_transit', 'used', 'expired', 'discarded', 'processed', 'merged']).withMessage('Invalid inventory status'),
+    query('discardReason').optional().isIn(DISCARD_REASON_CODES).withMessage('Invalid discard reason'),
+    query('branchId').optional().isMongoId().withMessage('Invalid branch ID format'),
+    query('component').optional().isIn(COMPONENT_TYPES).withMessage('Invalid blood component'),
+    query('donorId').optional().isMongoId().withMessage('Invalid Donor ID format')
+];
+
+const validateRequestListQuery = [
+    ...validateListQuery,
+    query('status').optional().isIn(REQUEST_STATUSES).withMessage('Invalid request status'),
+    query('component').optional().isIn(COMPONENT_TYPES).withMessage('Invalid blood component'),
+    query('priority').optional().isIn(['Low', 'Medium', 'High', 'Critical']).withMessage('Invalid priority level'),
+    query('hospital').optional().trim().isLength({ max: 100 }).withMessage('Hospital must be at most 100 characters'),
+    query('hospitalId').optional().isMongoId().withMessage('Invalid hospital ID format')
+];
+
+// Builds the donation drive rules; with partial=true every field becomes optional (for updates)
+const buildCampaignValidation = ({ partial = false } = {}) => {
+    const field = (name) => partial ? body(name).optional() : body(name);
+    return [
+        field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Drive name must be between 2 and 100 characters'),
+        field('location').trim().isLength({ min: 2, max: 200 }).withMessage('Location must be between 2 and 200 characters'),
+        field('startsAt').isISO8601().withMessage('Invalid start time format'),
+        field('endsAt').isISO8601().withMessage('Invalid end time format')
+            .custom((value, { req }) => !req.body.startsAt || new Date(value) > new Date(req.body.startsAt)).withMessage('The drive must end after it starts'),
+        body('slotMinutes').optional().isInt({ min: 5, max: 240 }).withMessage('Slot length must be between 5 and 240 minutes'),
+        field('capacity').isInt({ min: 1, max: 100 }).withMessage('Capacity must be between 1 and 100 donors per slot'),
+        body('targetBloodTypes').optional().isArray().withMessage('Target blood types must be a list'),
+        body('targetBloodTypes.*').isIn(BLOOD_TYPES).withMessage('Invalid target blood type'),
+        body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters')
+    ];
+};
+
+const validateCampaign = buildCampaignValidation();
+const validateCampaignUpdate = buildCampaignValidation({ partial: true });
+
+const validateAppointment = [
+    body('donorId').isMongoId().withMessage('Invalid Donor ID format'),
+    body('slotStart').isISO8601().withMessage('Invalid slot time format')
+];
+
+const validateAppointmentListQuery = [
+    query('from').optional().isISO8601().withMessage('Invalid from date format'),
+    query('to').optional().isISO8601().withMessage('Invalid to date format'),
+    query('status').optional().isIn(APPOINTMENT_STATUSES).withMessage('Invalid appointment status'),
+    query('campaignId').optional().isMongoId().withMessage('Invalid drive ID format'),
+    query('donorId').optional().isMongoId().withMessage('Invalid Donor ID format')
+];
+
+const validateRecallList = [
+    body('bloodType').isIn(BLOOD_TYPES).withMessage('Invalid blood type'),
+    body('area').optional({ values: 'falsy' }).trim().isLength({ min: 2, max: 100 }).withMessage('Area must be between 2 and 100 characters'),
+    body('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200 donors')
+];
+
+const validateContactAttempt = [
+    body('donorId').isMongoId().withMessage('Invalid Donor ID format'),
+    body('outcome').isIn(RECALL_OUTCOMES).withMessage(`Outcome must be one of: ${RECALL_OUTCOMES.join(', ')}`),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters')
+];
+
+const validateAuditQuery = [
+    ...validateListQuery,
+    query('entityType').optional().isIn(AUDIT_ENTITY_TYPES).withMessage('Invalid entity type'),
+    query('entityId').optional().isMongoId().withMessage('Invalid entity ID format'),
+    query('actorId').optional().isMongoId().withMessage('Invalid actor ID format'),
+    query('action').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid action')
+];
+
+// Hard deletes are replaced by status changes that must say why
+const validateReason = [
+    body('reason').trim().isLength({ min: 3, max: 200 }).withMessage('A reason between 3 and 200 characters is required')
+];
+
+const validateDiscard = [
+    body('reason').isIn(DISCARD_REASON_CODES).withMessage(`Reason must be one of: ${DISCARD_REASON_CODES.join(', ')}`),
+    body('notes').optional({ values: 'null' }).trim().isLength({ max: 200 }).withMessage('Notes must be at most 200 characters')
 ];
 
 // Reusable validation error handler
@@ -157,198 +891,4398 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
-// --- Helper Functions ---
-
-// Function to mark expired blood units
-const checkExpiredBlood = async () => {
-    const now = new Date();
-    await Inventory.updateMany(
-        { expiryDate: { $lt: now }, status: 'available' },
-        { $set: { status: 'expired' } } // Use $set to explicitly update status
-    );
-};
-
-
-// --- API Routes ---
-
-// Root endpoint: Serves your index.html from the 'public' folder
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-// Health Check endpoint
-app.get('/health', (req, res) => {
-    res.status(200).json({
-        status: 'OK',
-        timestamp: new Date().toISOString(),
-        mongodb: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
-        uptime: process.uptime() // Server uptime in seconds
-    });
-});
-
-// Dashboard Stats
-app.get('/api/stats', async (req, res) => {
-    try {
-        await checkExpiredBlood(); // Ensure expired units are marked before stats calculation
+// Date range for the /api/reports endpoints; both ends are optional
+const validateReportQuery = [
+    query('from').optional().isISO8601().withMessage('Invalid from date format'),
+    query('to').optional().isISO8601().withMessage('Invalid to date format')
+        .custom((value, { req }) => !req.query.from || new Date(value) >= new Date(req.query.from)).withMessage('The to date must not be before the from date')
+];
 
-        const [totalDonors, totalInventoryUnits, pendingRequests, criticalLevels] = await Promise.all([
-            Donor.countDocuments({ isActive: true }),
-            Inventory.aggregate([
-                { $match: { status: 'available' } },
-                { $group: { _id: null, totalUnits: { $sum: '$units' } } }
-            ]),
-            Request.countDocuments({ status: 'pending' }),
-            // Calculate critical levels by summing units for each blood type and counting those below threshold
-            Inventory.aggregate([
-                { $match: { status: 'available' } },
-                { $group: { _id: '$bloodType', totalUnits: { $sum: '$units' } } },
-                { $match: { totalUnits: { $lt: 5 } } }, // Threshold for critical (less than 5 units)
-                { $count: 'criticalBloodTypes' }
-            ])
-        ]);
+// --- Authentication Middleware ---
 
-        res.json({
-            success: true,
-            data: {
-                totalDonors: totalDonors,
-                totalUnits: totalInventoryUnits.length > 0 ? totalInventoryUnits[0].totalUnits : 0,
-                pendingRequests: pendingRequests,
-                criticalLevels: criticalLevels.length > 0 ? criticalLevels[0].criticalBloodTypes : 0
-            }
-        });
-    } catch (error) {
-        console.error("Error fetching dashboard stats:", error);
-        res.status(500).json({ success: false, error: 'Failed to fetch dashboard stats', details: error.message });
+// Verifies the Bearer access token and attaches the current user to req.user
+const authenticate = async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ success: false, error: 'Authentication required.' });
     }
-});
-
 
-// --- Donors API ---
-app.get('/api/donors', async (req, res) => {
     try {
-        const donors = await Donor.find({ isActive: true }).sort({ createdAt: -1 });
-        res.status(200).json({ success: true, data: donors }); // Consistent response format
+        const payload = jwt.verify(token, JWT_SECRET);
+        if (payload.type !== 'access') {
+            return res.status(401).json({ success: false, error: 'Invalid access token.' });
+        }
+        const user = await User.findById(payload.sub);
+        if (!user || !user.isActive) {
+            return res.status(401).json({ success: false, error: 'Account not found or disabled.' });
+        }
+        req.user = user;
+        req.accessTokenExpiresAt = new Date(payload.exp * 1000); // Lets long-lived responses (the event stream) end on time
+        next();
     } catch (error) {
-        console.error("Error fetching donors:", error);
-        res.status(500).json({ success: false, error: 'Failed to fetch donors', details: error.message });
+        return res.status(401).json({ success: false, error: 'Invalid or expired access token.' });
     }
-});
-
-app.post('/api/donors', validateDonor, handleValidationErrors, async (req, res) => {
-    try {
-        // Check for duplicate email
-        const existingDonor = await Donor.findOne({ email: req.body.email });
-        if (existingDonor) {
-            return res.status(400).json({ success: false, error: 'A donor with this email already exists.' });
-        }
+};
 
-        const donor = new Donor(req.body);
-        await donor.save();
-        res.status(201).json({ success: true, message: 'Donor registered successfully!', data: donor }); // Consistent response format
-    } catch (error) {
-        console.error("Error creating donor:", error);
-        res.status(500).json({ success: false, error: 'Failed to register donor', details: error.message });
+// Verifies a donor portal access token and attaches the donor account and donor record to req.donorAccount and
+// req.donor. Staff tokens are refused here, and donor tokens by authenticate, because the token types differ.
+const authenticateDonor = async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ success: false, error: 'Authentication required.' });
     }
-});
 
-app.delete('/api/donors/:id', async (req, res) => {
     try {
-        // Implement soft delete by setting isActive to false
-        const donor = await Donor.findByIdAndUpdate(req.params.id, { isActive: false, updatedAt: new Date() }, { new: true });
+        const payload = jwt.verify(token, JWT_SECRET);
+        if (payload.type !== 'donor_access') {
+            return res.status(401).json({ success: false, error: 'Invalid access token.' });
+        }
+        const account = await DonorAccount.findById(payload.sub);
+        const donor = account && account.isActive ? await Donor.findOne({ _id: account.donorId, isActive: true }) : null;
         if (!donor) {
-            return res.status(404).json({ success: false, error: 'Donor not found.' });
+            return res.status(401).json({ success: false, error: 'Account not found or disabled.' });
         }
-        res.status(200).json({ success: true, message: 'Donor marked as inactive successfully.', data: donor });
+        req.donorAccount = account;
+        req.donor = donor;
+        next();
     } catch (error) {
-        console.error("Error deleting donor (soft):", error);
-        res.status(500).json({ success: false, error: 'Failed to delete donor', details: error.message });
+        return res.status(401).json({ success: false, error: 'Invalid or expired access token.' });
     }
-});
+};
 
+// EventSource cannot set headers, so the live update stream accepts the access token as ?token= instead
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+};
 
-// --- Inventory API ---
-app.get('/api/inventory', async (req, res) => {
-    try {
-        await checkExpiredBlood(); // Mark expired units before fetching
-        const inventory = await Inventory.find()
-            .populate('donorId', 'name bloodType') // Populate donor information
-            .sort({ createdAt: -1 });
-        res.status(200).json({ success: true, data: inventory }); // Consistent response format
-    } catch (error) {
-        console.error("Error fetching inventory:", error);
-        res.status(500).json({ success: false, error: 'Failed to fetch inventory', details: error.message });
+// Restricts a route to the given roles; must run after authenticate
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({ success: false, error: 'You do not have permission to perform this action.' });
     }
-});
+    next();
+};
 
-app.post('/api/inventory', validateInventory, handleValidationErrors, async (req, res) => {
-    try {
-        const { bloodType, donorId, collectionDate, units, expiryDate } = req.body;
-        
-        // If expiryDate is provided by frontend, use it. Otherwise, calculate (35 days from collection)
-        const finalExpiryDate = expiryDate ? new Date(expiryDate) : new Date(new Date(collectionDate).setDate(new Date(collectionDate).getDate() + 35));
+// --- Helper Functions ---
 
-        const bloodUnit = new Inventory({
-            bloodType,
-            units, // Include units from req.body
-            donorId: donorId || null, // Allow donorId to be optional in schema
-            collectionDate,
-            expiryDate: finalExpiryDate
+// Escapes user input for use inside a RegExp (free-text search)
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Builds a { $gte, $lte } filter from ?from=&to= query parameters, or undefined when neither is given
+const buildDateRange = (from, to) => {
+    if (!from && !to) return undefined;
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) {
+        range.$lte = new Date(to);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) range.$lte.setUTCHours(23, 59, 59, 999); // A plain date includes that whole day
+    }
+    return range;
+};
+
+// Sort spec from ?sort=&order=, limited to the given fields
+const buildSort = (reqQuery, sortFields, defaultSort) => {
+    const sortField = sortFields.includes(reqQuery.sort) ? reqQuery.sort : defaultSort;
+    const direction = reqQuery.order === 'asc' ? 1 : -1;
+    return { [sortField]: direction, _id: direction }; // _id keeps page boundaries stable for equal values
+};
+
+// Runs a paginated, sorted find for a list endpoint. Only fields in sortFields can be sorted on.
+// Returns { data, pagination: { page, limit, total, pages } } ready to spread into the response.
+const paginate = async (Model, filter, reqQuery, { sortFields, defaultSort, populate }) => {
+    const page = parseInt(reqQuery.page, 10) || 1;
+    const limit = parseInt(reqQuery.limit, 10) || DEFAULT_PAGE_SIZE;
+
+    let findQuery = Model.find(filter)
+        .sort(buildSort(reqQuery, sortFields, defaultSort))
+        .skip((page - 1) * limit)
+        .limit(limit);
+    if (populate) findQuery = findQuery.populate(...populate);
+
+    const [data, total] = await Promise.all([findQuery, Model.countDocuments(filter)]);
+    return { data, pagination: { page, limit, total, pages: Math.ceil(total / limit) } };
+};
+
+// --- Spreadsheet Import/Export ---
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const EXPORT_MAX_ROWS = 10000;
+const IMPORT_MAX_ROWS = 1000;
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+// Import bodies are read raw; the format is detected from the file itself
+const importBodyParser = express.raw({ type: ['text/csv', 'text/plain', 'application/vnd.ms-excel', XLSX_CONTENT_TYPE, 'application/octet-stream'], limit: '5mb' });
+
+const validateExportQuery = [
+    query('format').optional().isIn(EXPORT_FORMATS).withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`)
+];
+
+const validateImportQuery = [
+    query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false')
+];
+
+// Spreadsheet columns per export; `value` reads the cell from a document (default: the field named by key).
+// Headers normalise to the field names the import endpoints expect, so an export can be edited and imported again.
+const DONOR_EXPORT_COLUMNS = [
+    { header: 'Name', key: 'name' },
+    { header: 'Age', key: 'age' },
+    { header: 'Blood Type', key: 'bloodType' },
+    { header: 'Phone', key: 'phone' },
+    { header: 'Email', key: 'email' },
+    { header: 'Address', key: 'address' },
+    { header: 'Last Donation', key: 'lastDonation' },
+    { header: 'Eligible', key: 'eligible', value: donor => donor.eligibility.eligible },
+    { header: 'Active', key: 'isActive' },
+    { header: 'Registered', key: 'createdAt' }
+];
+
+const INVENTORY_EXPORT_COLUMNS = [
+    { header: 'DIN', key: 'din' },
+    { header: 'Blood Type', key: 'bloodType' },
+    { header: 'Component', key: 'component', value: unit => unit.component || 'whole_blood' },
+    { header: 'Units', key: 'units' },
+    { header: 'Donor', key: 'donorName', value: unit => (unit.donorId ? unit.donorId.name : '') },
+    { header: 'Donor Email', key: 'donorEmail', value: unit => (unit.donorId ? unit.donorId.email : '') },
+    { header: 'Collection Date', key: 'collectionDate' },
+    { header: 'Expiry Date', key: 'expiryDate' },
+    { header: 'Branch Code', key: 'branchCode', value: unit => (unit.branchId ? unit.branchId.code : '') },
+    { header: 'Status', key: 'status' },
+    { header: 'Discard Reason', key: 'discardReason' },
+    { header: 'Discard Notes', key: 'discardNotes' },
+    { header: 'Discarded By', key: 'discardedBy' },
+    { header: 'Discarded At', key: 'discardedAt' }
+];
+
+const REQUEST_EXPORT_COLUMNS = [
+    { header: 'Patient Name', key: 'patientName' },
+    { header: 'Blood Type', key: 'bloodType' },
+    { header: 'Component', key: 'component', value: request => request.component || 'whole_blood' },
+    { header: 'Units', key: 'units' },
+    { header: 'Priority', key: 'priority' },
+    { header: 'Hospital', key: 'hospital' },
+    { header: 'Status', key: 'status' },
+    { header: 'Requested', key: 'requestDate' },
+    { header: 'Processed', key: 'processedDate' },
+    { header: 'Issued', key: 'issuedBloodTypes', value: request => (request.issuedBloodTypes || []).map(issued => `${issued.bloodType} x ${issued.units}`).join(', ') }
+];
+
+// Formats one CSV cell. Values that a spreadsheet would run as a formula are prefixed with a quote.
+const toCsvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=@\t\r]/.test(text) || /^[+-][^\d]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Sends documents as a CSV or XLSX download
+const sendExport = async (res, { format, filename, columns, docs }) => {
+    const rows = docs.map(doc => columns.map(column => (column.value ? column.value(doc) : doc[column.key])));
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet(filename);
+        sheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: Math.max(12, column.header.length + 2) }));
+        rows.forEach(row => sheet.addRow(row));
+        sheet.getRow(1).font = { bold: true };
+        res.set({ 'Content-Type': XLSX_CONTENT_TYPE, 'Content-Disposition': `attachment; filename="${filename}-${stamp}.xlsx"` });
+        await workbook.xlsx.write(res);
+        return res.end();
+    }
+
+    const lines = [columns.map(column => toCsvCell(column.header)).join(','), ...rows.map(row => row.map(toCsvCell).join(','))];
+    res.set({ 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': `attachment; filename="${filename}-${stamp}.csv"` });
+    res.send(`\uFEFF${lines.join('\r\n')}\r\n`); // BOM so Excel opens UTF-8 correctly
+};
+
+// Parses CSV text (RFC 4180 quoting) into { rowNumber, cells } for every non-blank line
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let rowNumber = 1;
+    const endRow = () => {
+        row.push(field);
+        if (row.some(cell => cell.trim() !== '')) rows.push({ rowNumber, cells: row });
+        row = [];
+        field = '';
+    };
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') rowNumber++; // Line breaks inside quotes still count for row numbers
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+            rowNumber++;
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+};
+
+// Plain value of an XLSX cell: dates as ISO strings, and the text or result of rich text, hyperlink and formula cells
+const xlsxCellValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return String(value.text);
+        if (value.result !== undefined) return xlsxCellValue(value.result);
+        return '';
+    }
+    return String(value);
+};
+
+// Reads an uploaded CSV or XLSX file (XLSX files are zip archives, which start with "PK") into rows keyed by field name.
+// Headers are matched to fields ignoring case, spaces and punctuation, so "Blood Type" fills bloodType.
+const readImportRows = async (buffer, fields, requiredFields) => {
+    let table;
+    if (buffer.length >= 2 && buffer[0] === 0x50 && buffer[1] === 0x4b) {
+        const workbook = new ExcelJS.Workbook();
+        try {
+            await workbook.xlsx.load(buffer);
+        } catch (error) {
+            throw new ApiError(400, 'Could not read the spreadsheet');
+        }
+        const sheet = workbook.worksheets[0];
+        table = [];
+        if (sheet) {
+            sheet.eachRow((row, rowNumber) => {
+                const cells = [];
+                row.eachCell({ includeEmpty: true }, (cell, columnNumber) => { cells[columnNumber - 1] = xlsxCellValue(cell.value); });
+                table.push({ rowNumber, cells: Array.from(cells, cell => cell || '') });
+            });
+        }
+    } else {
+        table = parseCsv(buffer.toString('utf8'));
+    }
+    if (table.length === 0) throw new ApiError(400, 'The file is empty.');
+
+    const normalise = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const fieldByHeader = {};
+    fields.forEach(field => { fieldByHeader[normalise(field)] = field; });
+    const [headerRow, ...dataRows] = table;
+    const columnFields = headerRow.cells.map(header => fieldByHeader[normalise(header)]);
+    const missing = requiredFields.filter(field => !columnFields.includes(field));
+    if (missing.length > 0) {
+        throw new ApiError(400, `Missing column(s): ${missing.join(', ')}.`);
+    }
+
+    return dataRows.map(({ rowNumber, cells }) => {
+        const data = {};
+        columnFields.forEach((field, index) => {
+            const cell = (cells[index] || '').trim();
+            if (field && cell !== '') data[field] = cell;
+        });
+        return { rowNumber, data };
+    });
+};
+
+// Runs express-validator chains against one imported row exactly as they run against a POST body.
+// Sanitizers (trim, normalizeEmail, ...) apply to row.data in place.
+const validateImportRow = async (row, validators) => {
+    const rowRequest = { body: row.data };
+    for (const chain of validators) {
+        await chain.run(rowRequest);
+    }
+    row.data = rowRequest.body;
+    return validationResult(rowRequest).array().map(error => ({ field: error.path, value: error.value, msg: error.msg }));
+};
+
+// Shared import flow: parse the upload, validate every row (validators, then checkRow for database rules) and
+// report errors per row. Nothing is written on a dry run or when any row fails; otherwise createRows writes
+// every row in one transaction and returns the created documents, which are audited as imports.
+// afterImport runs once the transaction commits and may return text to append to the response message.
+const runImport = async (req, res, { entityType, fields, requiredFields, validators, checkRow, createRows, afterImport }) => {
+    const dryRun = req.query.dryRun === 'true';
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ success: false, error: 'Upload a CSV or XLSX file as the request body.' });
+    }
+
+    const rows = await readImportRows(req.body, fields, requiredFields);
+    if (rows.length > IMPORT_MAX_ROWS) {
+        return res.status(400).json({ success: false, error: `Imports are limited to ${IMPORT_MAX_ROWS} rows; this file has ${rows.length}.` });
+    }
+
+    const context = {}; // Lets checkRow spot duplicates within the file
+    const rowErrors = [];
+    for (const row of rows) {
+        const errors = await validateImportRow(row, validators);
+        if (errors.length === 0) errors.push(...await checkRow(row.data, context));
+        if (errors.length > 0) rowErrors.push({ row: row.rowNumber, errors });
+    }
+
+    const report = { dryRun, totalRows: rows.length, validRows: rows.length - rowErrors.length, invalidRows: rowErrors.length, imported: 0, errors: rowErrors };
+    if (rowErrors.length > 0) {
+        const status = dryRun ? 200 : 400;
+        return res.status(status).json({ success: dryRun, error: dryRun ? undefined : 'Some rows failed validation; nothing was imported.', data: report });
+    }
+    if (dryRun || rows.length === 0) {
+        return res.status(200).json({ success: true, message: `${rows.length} row(s) are valid and ready to import.`, data: report });
+    }
+
+    const created = await mongoose.connection.transaction(async (session) => {
+        const docs = await createRows(rows.map(row => row.data), session);
+        for (const doc of docs) {
+            await recordAudit(req, { action: 'import', entityType, entityId: doc._id, after: doc }, session);
+        }
+        return docs;
+    });
+    report.imported = created.length;
+    const note = afterImport ? await afterImport(created, report) : '';
+    res.status(201).json({ success: true, message: `Imported ${created.length} row(s).${note || ''}`, data: report });
+};
+
+// Plain-object copy of a document for audit snapshots, without credentials
+const snapshot = (doc) => {
+    if (!doc) return undefined;
+    const data = typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+    delete data.passwordHash;
+    delete data.tokenVersion;
+    return data;
+};
+
+const SYSTEM_ACTOR = { name: 'System', role: 'system' };
+
+// Staff user, donor (changes made through the donor portal) or the system
+const getAuditActor = (req) => {
+    if (req && req.user) return { userId: req.user._id, name: req.user.name, role: req.user.role };
+    if (req && req.donor) return { name: req.donor.name, role: 'donor' };
+    return SYSTEM_ACTOR;
+};
+
+// Appends an AuditLog entry for a change made by the current request's user (or the system when req is null).
+// Pass the transaction session when the change itself is part of a transaction so both commit together.
+const recordAudit = async (req, { action, entityType, entityId, before, after }, session) => {
+    const entry = {
+        actor: getAuditActor(req),
+        action,
+        entityType,
+        entityId,
+        before: snapshot(before),
+        after: snapshot(after),
+        ip: req ? req.ip : undefined,
+        userAgent: req ? req.get('User-Agent') : undefined
+    };
+    await AuditLog.create([entry], session ? { session } : undefined);
+};
+
+// Default expiry for a component collected on the given date
+const getComponentExpiryDate = (collectionDate, component) => (
+    new Date(new Date(collectionDate).getTime() + BLOOD_COMPONENTS[component].shelfLifeDays * DAY_IN_MS)
+);
+
+// Live update events (inventory, requests, alerts, ...) for the /api/events stream. Each event is
+// { type, data, timestamp }; data carries ids and a few fields for display, never whole documents.
+const eventBus = new EventEmitter();
+eventBus.setMaxListeners(0); // One listener per open dashboard
+
+const EVENT_HEARTBEAT_MS = 25 * 1000; // Keeps idle connections open through proxies
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1; // Longer setTimeout delays overflow and fire immediately
+
+const publishEvent = (type, data = {}) => {
+    eventBus.emit('event', { type, data, timestamp: new Date().toISOString() });
+};
+
+// Error carrying an HTTP status, thrown from inside transactions to abort them with a client-facing message
+class ApiError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Works out whether a donor may give whole blood on the given date.
+// Returns { eligible, nextEligibleDate, reasons }; nextEligibleDate is null when the donor can never donate again.
+function getDonorEligibility(donor, asOf = new Date()) {
+    const reasons = [];
+    let nextEligibleDate = null;
+    let permanentlyIneligible = false;
+
+    if (!donor.isActive) {
+        reasons.push('Donor record is inactive');
+        permanentlyIneligible = true;
+    }
+
+    // Age is captured at registration, so project it forward to the check date
+    const yearsSinceRegistration = Math.floor((asOf - (donor.createdAt || asOf)) / (365.25 * DAY_IN_MS));
+    const currentAge = donor.age + Math.max(yearsSinceRegistration, 0);
+    if (currentAge < DONOR_MIN_AGE || currentAge > DONOR_MAX_AGE) {
+        reasons.push(`Age ${currentAge} is outside the ${DONOR_MIN_AGE}-${DONOR_MAX_AGE} limit`);
+        permanentlyIneligible = true;
+    }
+
+    (donor.deferrals || []).forEach(deferral => {
+        if (deferral.type === 'permanent') {
+            reasons.push(`Permanently deferred: ${deferral.reason}`);
+            permanentlyIneligible = true;
+        } else if (deferral.endDate && deferral.endDate > asOf && (deferral.startDate || 0) <= asOf) {
+            reasons.push(`Deferred until ${deferral.endDate.toISOString().split('T')[0]}: ${deferral.reason}`);
+            if (!nextEligibleDate || deferral.endDate > nextEligibleDate) nextEligibleDate = deferral.endDate;
+        }
+    });
+
+    if (donor.lastDonation) {
+        const gapDays = Math.abs(asOf - donor.lastDonation) / DAY_IN_MS;
+        if (gapDays < WHOLE_BLOOD_DONATION_INTERVAL_DAYS) {
+            const intervalEnd = new Date(donor.lastDonation.getTime() + WHOLE_BLOOD_DONATION_INTERVAL_DAYS * DAY_IN_MS);
+            reasons.push(`Must wait ${WHOLE_BLOOD_DONATION_INTERVAL_DAYS} days between donations`);
+            if (!nextEligibleDate || intervalEnd > nextEligibleDate) nextEligibleDate = intervalEnd;
+        }
+    }
+
+    if (permanentlyIneligible) {
+        return { eligible: false, nextEligibleDate: null, reasons };
+    }
+    return { eligible: reasons.length === 0, nextEligibleDate: nextEligibleDate || asOf, reasons };
+}
+
+// Reserves units of the requested component compatible with the request inside the given transaction session,
+// only from branchId's stock when one is given. Exact matches are used first, then substitutes in preference order,
+// earliest expiry first within each type.
+// Every batch update is conditional on the units we read, so a concurrent reservation that touched the same
+// batch aborts this transaction instead of driving stock negative. When only part of a batch is needed, the
+// held units are split off into their own 'reserved' document. Returns the reserved units per blood type.
+const reserveInventoryForRequest = async (req, request, session, holdExpiresAt, branchId = null) => {
+    const component = request.component || 'whole_blood';
+    const compatibleTypes = getCompatibleDonorTypes(request.bloodType, component);
+    const now = new Date();
+    const candidates = (await Inventory.find({
+        ...(branchId ? { branchId } : {}),
+        bloodType: { $in: compatibleTypes },
+        component: componentCondition(component),
+        status: 'available',
+        expiryDate: { $gt: now }
+    }).sort({ expiryDate: 1 }).session(session)) // Use FIFO based on expiry
+        .sort((a, b) => compatibleTypes.indexOf(a.bloodType) - compatibleTypes.indexOf(b.bloodType)); // Stable sort keeps FIFO within a type
+
+    const availableByType = {};
+    candidates.forEach(item => {
+        availableByType[item.bloodType] = (availableByType[item.bloodType] || 0) + item.units;
+    });
+    const totalAvailable = Object.values(availableByType).reduce((sum, units) => sum + units, 0);
+
+    if (totalAvailable < request.units) {
+        const breakdown = Object.entries(availableByType).map(([bloodType, units]) => `${bloodType}: ${units}`).join(', ') || 'none';
+        throw new ApiError(400, `Insufficient ${BLOOD_COMPONENTS[component].label.toLowerCase()} compatible with ${request.bloodType}${branchId ? ' at this branch' : ''}. Compatible available: ${totalAvailable} (${breakdown}), Required: ${request.units}.`);
+    }
+
+    const hold = { status: 'reserved', reservedFor: request._id, holdExpiresAt, updatedAt: now };
+    const heldUnits = await holdUnitsFromBatches(req, candidates, request.units, session, {
+        hold,
+        action: 'reserve',
+        conflictMessage: 'Inventory changed while units were being reserved. Please try again.'
+    });
+
+    const reservedByType = {};
+    heldUnits.forEach(({ bloodType, units }) => {
+        reservedByType[bloodType] = (reservedByType[bloodType] || 0) + units;
+    });
+    return Object.entries(reservedByType).map(([bloodType, units]) => ({ bloodType, units }));
+};
+
+// Takes unitsWanted units from the available candidate batches, in the order given, and applies `hold` (the new
+// status and its fields) to them. Every update is conditional on the units we read, so a concurrent change to the
+// same batch throws a 409 with conflictMessage instead of driving stock negative. When only part of a batch is
+// needed, the held units are split off into their own document. Each held unit is audited under `action` (a batch
+// that was split is audited as 'split'). Returns { inventoryId, bloodType, units } per batch held.
+const holdUnitsFromBatches = async (req, candidates, unitsWanted, session, { hold, action, conflictMessage }) => {
+    let unitsToHold = unitsWanted;
+    const heldUnits = [];
+
+    for (const item of candidates) {
+        if (unitsToHold <= 0) break;
+
+        const unitsTaken = Math.min(item.units, unitsToHold);
+        const update = unitsTaken === item.units
+            ? { $set: hold } // Hold the entire batch
+            : { $inc: { units: -unitsTaken }, $set: { updatedAt: hold.updatedAt } }; // Remaining units stay available
+
+        const result = await Inventory.updateOne({ _id: item._id, status: 'available', units: item.units }, update, { session });
+        if (result.modifiedCount !== 1) {
+            throw new ApiError(409, conflictMessage);
+        }
+
+        let inventoryId = item._id;
+        if (unitsTaken === item.units) {
+            await recordAudit(req, { action, entityType: 'Inventory', entityId: item._id, before: item, after: { ...snapshot(item), ...hold } }, session);
+        } else {
+            // Split the batch: record the held portion as its own document
+            const [split] = await Inventory.create([{
+                bloodType: item.bloodType,
+                component: item.component || 'whole_blood',
+                din: item.din,
+                parentInventoryId: item.parentInventoryId,
+                sourceInventoryId: item._id,
+                units: unitsTaken,
+                donorId: item.donorId,
+                branchId: item.branchId,
+                collectionDate: item.collectionDate,
+                expiryDate: item.expiryDate,
+                ...hold,
+                createdAt: item.createdAt // Keep original creation date for the split
+            }], { session });
+            inventoryId = split._id;
+            await recordAudit(req, {
+                action: 'split',
+                entityType: 'Inventory',
+                entityId: item._id,
+                before: item,
+                after: { ...snapshot(item), units: item.units - unitsTaken, updatedAt: hold.updatedAt }
+            }, session);
+            await recordAudit(req, { action, entityType: 'Inventory', entityId: split._id, after: split }, session);
+        }
+
+        heldUnits.push({ inventoryId, bloodType: item.bloodType, units: unitsTaken });
+        unitsToHold -= unitsTaken;
+    }
+
+    return heldUnits;
+};
+
+// Puts every unit held for a request back into available stock. A part split off a batch (sourceInventoryId) is
+// merged back into that batch when it is still available at the same branch with the same expiry, so stock does
+// not fragment with every released reservation. The part is kept as a 'merged' record pointing at the batch, so its
+// history stays traceable. Returns how many units were released.
+const releaseReservedInventory = async (req, request, session) => {
+    const now = new Date();
+    const heldUnits = await Inventory.find({ reservedFor: request._id, status: 'reserved' }).session(session);
+    await Inventory.updateMany(
+        { _id: { $in: heldUnits.map(unit => unit._id) }, status: 'reserved' },
+        { $set: { status: 'available', updatedAt: now }, $unset: { reservedFor: '', holdExpiresAt: '' } },
+        { session }
+    );
+    const mergedInto = new Map(); // Released parts already merged away, so a part split from one of them follows it
+    for (const unit of heldUnits) {
+        const after = { ...snapshot(unit), status: 'available', updatedAt: now };
+        delete after.reservedFor;
+        delete after.holdExpiresAt;
+        await recordAudit(req, { action: 'release', entityType: 'Inventory', entityId: unit._id, before: unit, after }, session);
+        if (!unit.sourceInventoryId) continue;
+
+        let sourceId = String(unit.sourceInventoryId);
+        while (mergedInto.has(sourceId)) sourceId = mergedInto.get(sourceId);
+        const source = await Inventory.findOneAndUpdate(
+            { _id: sourceId, status: 'available', expiryDate: unit.expiryDate, branchId: unit.branchId || null },
+            { $inc: { units: unit.units }, $set: { updatedAt: now } },
+            { session }
+        );
+        if (!source) continue;
+        await Inventory.updateOne({ _id: unit._id, status: 'available' }, { $set: { status: 'merged', mergedInto: source._id, updatedAt: now } }, { session });
+        mergedInto.set(String(unit._id), sourceId);
+        await recordAudit(req, {
+            action: 'merge',
+            entityType: 'Inventory',
+            entityId: source._id,
+            before: source,
+            after: { ...snapshot(source), units: source.units + unit.units, updatedAt: now }
+        }, session);
+        await recordAudit(req, {
+            action: 'merge',
+            entityType: 'Inventory',
+            entityId: unit._id,
+            before: after,
+            after: { ...after, status: 'merged', mergedInto: source._id }
+        }, session);
+    }
+    return heldUnits.reduce((sum, unit) => sum + unit.units, 0);
+};
+
+// Issues the units held for a request: they become 'used' and an Allocation is written for every batch so the
+// request can be traced back to its donors. Fails if the held units no longer cover the request (e.g. one expired).
+// Returns the issued units per blood type.
+const issueReservedInventory = async (req, request, session) => {
+    const now = new Date();
+    const heldUnits = await Inventory.find({ reservedFor: request._id, status: 'reserved' }).session(session);
+    const usableUnits = heldUnits.filter(unit => unit.expiryDate > now);
+    const heldTotal = usableUnits.reduce((sum, unit) => sum + unit.units, 0);
+    if (heldTotal < request.units) {
+        throw new ApiError(409, `Only ${heldTotal} of ${request.units} reserved unit(s) can still be issued. Release the request and reserve again.`);
+    }
+
+    const issuedByType = {};
+    for (const unit of usableUnits) {
+        const result = await Inventory.updateOne(
+            { _id: unit._id, status: 'reserved', reservedFor: request._id },
+            { $set: { status: 'used', updatedAt: now }, $unset: { holdExpiresAt: '' } },
+            { session }
+        );
+        if (result.modifiedCount !== 1) {
+            throw new ApiError(409, 'Inventory changed while this request was being issued. Please try again.');
+        }
+        const after = { ...snapshot(unit), status: 'used', updatedAt: now };
+        delete after.holdExpiresAt;
+        await recordAudit(req, { action: 'issue', entityType: 'Inventory', entityId: unit._id, before: unit, after }, session);
+
+        await Allocation.create([{
+            requestId: request._id,
+            inventoryId: unit._id,
+            sourceInventoryId: unit.sourceInventoryId,
+            donorId: unit.donorId,
+            bloodType: unit.bloodType,
+            component: unit.component,
+            units: unit.units,
+            patientName: request.patientName,
+            hospital: request.hospital,
+            issuedBy: req.user.name,
+            issuedAt: now
+        }], { session });
+
+        issuedByType[unit.bloodType] = (issuedByType[unit.bloodType] || 0) + unit.units;
+    }
+
+    return Object.entries(issuedByType).map(([bloodType, units]) => ({ bloodType, units }));
+};
+
+// Inventory event published after each request transition, for transitions that move units
+const TRANSITION_INVENTORY_EVENTS = {
+    reserve: 'inventory.reserved',
+    auto_reserve: 'inventory.reserved',
+    issue: 'inventory.used',
+    release: 'inventory.released',
+    crossmatch_failed: 'inventory.released',
+    cancel: 'inventory.released'
+};
+
+// Moves a request to its next lifecycle state inside a transaction. `apply` does the inventory work and returns
+// the fields to set on the request; the update is conditional on the status we read, so two staff acting on the
+// same request at once cannot both succeed. Pass req = null for system actions (e.g. expired holds).
+// Live update events are published only once the transaction has committed.
+const transitionRequest = async (req, requestId, { from, action, apply }) => {
+    const updatedRequest = await runRequestTransition(req, requestId, { from, action, apply });
+    publishEvent('request.updated', { requestId: updatedRequest._id, action, status: updatedRequest.status, hospitalId: updatedRequest.hospitalId });
+    if (TRANSITION_INVENTORY_EVENTS[action]) {
+        publishEvent(TRANSITION_INVENTORY_EVENTS[action], { requestId: updatedRequest._id, bloodType: updatedRequest.bloodType });
+    }
+    return updatedRequest;
+};
+
+// Issues a crossmatched request's held units to the patient; used by the issue action and by scan-to-issue
+const issueCrossmatchedRequest = (req, requestId) => transitionRequest(req, requestId, {
+    from: ['crossmatched'],
+    action: 'issue',
+    apply: async (crossmatchedRequest, session) => {
+        const issuedBloodTypes = await issueReservedInventory(req, crossmatchedRequest, session);
+        return { status: 'issued', processedBy: req.user.name, processedDate: new Date(), issuedBloodTypes, holdExpiresAt: null };
+    }
+});
+
+// Where the units held for a request are stored, e.g. "2 unit(s) at NTH01, 1 unit(s) with no branch", so staff
+// know what to transfer to the issuing site. `filter` narrows the held units described.
+const describeHeldUnitBranches = async (requestId, filter = {}) => {
+    const heldUnits = await Inventory.find({ reservedFor: requestId, status: 'reserved', ...filter }).populate('branchId', 'code');
+    const unitsByBranch = {};
+    heldUnits.forEach(unit => {
+        const where = unit.branchId ? `at ${unit.branchId.code}` : 'with no branch';
+        unitsByBranch[where] = (unitsByBranch[where] || 0) + unit.units;
+    });
+    return Object.entries(unitsByBranch).map(([where, units]) => `${units} unit(s) ${where}`).join(', ');
+};
+
+const runRequestTransition = (req, requestId, { from, action, apply }) => mongoose.connection.transaction(async (session) => {
+    const request = await Request.findById(requestId).session(session);
+    if (!request) {
+        throw new ApiError(404, 'Request not found.');
+    }
+    if (!from.includes(request.status)) {
+        throw new ApiError(400, `Request status is ${request.status}. This action needs a ${from.join(' or ')} request.`);
+    }
+
+    const changes = await apply(request, session);
+    const updatedRequest = await Request.findOneAndUpdate(
+        { _id: request._id, status: request.status },
+        { ...changes, updatedAt: new Date() },
+        { new: true, session }
+    );
+    if (!updatedRequest) {
+        throw new ApiError(409, 'Request was processed by someone else. Please refresh and try again.');
+    }
+    await recordAudit(req, { action, entityType: 'Request', entityId: updatedRequest._id, before: request, after: updatedRequest }, session);
+    return updatedRequest;
+});
+
+// Start times of every slot of a drive; a slot must finish by the time the drive ends
+const getCampaignSlots = (campaign) => {
+    const slots = [];
+    const step = campaign.slotMinutes * 60 * 1000;
+    for (let start = campaign.startsAt.getTime(); start + step <= campaign.endsAt.getTime(); start += step) {
+        slots.push(new Date(start));
+    }
+    return slots;
+};
+
+// Active bookings per slot start (epoch ms) for the given drives
+const countBookingsBySlot = async (campaignIds, session = null) => {
+    const groups = await Appointment.aggregate([
+        { $match: { campaignId: { $in: campaignIds }, status: { $in: ACTIVE_APPOINTMENT_STATUSES } } },
+        { $group: { _id: { campaignId: '$campaignId', slotStart: '$slotStart' }, booked: { $sum: 1 } } }
+    ]).session(session);
+    const counts = {};
+    groups.forEach(group => {
+        const key = String(group._id.campaignId);
+        counts[key] = counts[key] || {};
+        counts[key][group._id.slotStart.getTime()] = group.booked;
+    });
+    return counts;
+};
+
+// Books a donor into a drive slot. Every booking bumps the drive's bookingSeq in its transaction, so concurrent
+// bookings conflict and retry rather than overfilling a slot; the unique index stops duplicate bookings per donor.
+// Used by staff booking on a donor's behalf and by donors booking through the portal.
+const bookAppointment = async (req, { campaignId, donorId, slotStart, bookedBy }) => {
+    const appointment = await mongoose.connection.transaction(async (session) => {
+        // Writing to the drive makes two bookings for it conflict, so one of them retries and sees the other's slot count
+        const campaign = await Campaign.findByIdAndUpdate(campaignId, { $inc: { bookingSeq: 1 } }, { new: true, session });
+        if (!campaign || campaign.status !== 'scheduled') {
+            throw new ApiError(campaign ? 400 : 404, campaign ? 'This drive has been cancelled.' : 'Donation drive not found.');
+        }
+        if (!getCampaignSlots(campaign).some(start => start.getTime() === slotStart.getTime())) {
+            throw new ApiError(400, 'That time is not one of the drive\'s appointment slots.');
+        }
+        if (slotStart <= new Date()) {
+            throw new ApiError(400, 'That slot has already started.');
+        }
+
+        const donor = await Donor.findOne({ _id: donorId, isActive: true }).session(session);
+        if (!donor) {
+            throw new ApiError(404, 'Donor not found.');
+        }
+        const eligibility = getDonorEligibility(donor, slotStart);
+        if (!eligibility.eligible) {
+            throw new ApiError(400, `Donor is not eligible to donate on that day: ${eligibility.reasons.join('; ')}`);
+        }
+        if (await Appointment.exists({ campaignId: campaign._id, donorId: donor._id, status: { $in: ['booked', 'checked_in'] } }).session(session)) {
+            throw new ApiError(400, 'This donor is already booked for this drive.');
+        }
+        const booked = await Appointment.countDocuments({ campaignId: campaign._id, slotStart, status: { $in: ACTIVE_APPOINTMENT_STATUSES } }).session(session);
+        if (booked >= campaign.capacity) {
+            throw new ApiError(409, 'That slot is full. Please choose another time.');
+        }
+
+        const [created] = await Appointment.create([{ campaignId: campaign._id, donorId: donor._id, slotStart, bookedBy }], { session });
+        await recordAudit(req, { action: 'create', entityType: 'Appointment', entityId: created._id, after: created }, session);
+        return created;
+    }).catch(error => {
+        if (error.code === 11000) {
+            throw new ApiError(400, 'This donor is already booked for this drive.');
+        }
+        throw error;
+    });
+
+    publishEvent('appointment.changed', { appointmentId: appointment._id, campaignId: appointment.campaignId, action: 'create' });
+    return appointment;
+};
+
+// Moves an appointment between statuses like runRequestTransition does for requests: the update is conditional
+// on the status read, and `apply` returns the fields to set (it may throw ApiError to refuse).
+const transitionAppointment = async (req, appointmentId, { from, action, apply }) => {
+    const updatedAppointment = await mongoose.connection.transaction(async (session) => {
+        const appointment = await Appointment.findById(appointmentId).session(session);
+        if (!appointment) {
+            throw new ApiError(404, 'Appointment not found.');
+        }
+        if (!from.includes(appointment.status)) {
+            throw new ApiError(400, `Appointment is ${appointment.status.replace('_', ' ')}. This action needs a ${from.join(' or ')} appointment.`);
+        }
+
+        const changes = await apply(appointment, session);
+        const updated = await Appointment.findOneAndUpdate(
+            { _id: appointment._id, status: appointment.status },
+            { ...changes, updatedAt: new Date() },
+            { new: true, session }
+        );
+        if (!updated) {
+            throw new ApiError(409, 'Appointment was changed by someone else. Please refresh and try again.');
+        }
+        await recordAudit(req, { action, entityType: 'Appointment', entityId: updated._id, before: appointment, after: updated }, session);
+        return updated;
+    });
+    publishEvent('appointment.changed', { appointmentId: updatedAppointment._id, campaignId: updatedAppointment.campaignId, action });
+    return updatedAppointment;
+};
+
+// Picks the units for each item of a transfer from the sending branch (exact blood type and component, earliest
+// expiry first) and marks them 'in_transit'. Returns the IDs of the units sent.
+const dispatchTransferUnits = async (req, transfer, session) => {
+    const now = new Date();
+    const hold = { status: 'in_transit', transferId: transfer._id, updatedAt: now };
+    const sentIds = [];
+
+    for (const item of transfer.items) {
+        const candidates = await Inventory.find({
+            branchId: transfer.fromBranchId,
+            bloodType: item.bloodType,
+            component: componentCondition(item.component),
+            status: 'available',
+            expiryDate: { $gt: now }
+        }).sort({ expiryDate: 1 }).session(session);
+
+        const available = candidates.reduce((sum, unit) => sum + unit.units, 0);
+        if (available < item.units) {
+            throw new ApiError(400, `Not enough ${BLOOD_COMPONENTS[item.component].label.toLowerCase()} ${item.bloodType} at the sending branch. Available: ${available}, Required: ${item.units}.`);
+        }
+        const heldUnits = await holdUnitsFromBatches(req, candidates, item.units, session, {
+            hold,
+            action: 'dispatch',
+            conflictMessage: 'Inventory changed while the transfer was being dispatched. Please try again.'
+        });
+        heldUnits.forEach(({ inventoryId }) => sentIds.push(inventoryId));
+    }
+    return sentIds;
+};
+
+// Moves a transfer between statuses like transitionAppointment does; `apply` does the inventory work and returns
+// the fields to set on the transfer.
+const transitionTransfer = async (req, transferId, { from, action, apply }) => {
+    const updatedTransfer = await mongoose.connection.transaction(async (session) => {
+        const transfer = await Transfer.findById(transferId).session(session);
+        if (!transfer) {
+            throw new ApiError(404, 'Transfer not found.');
+        }
+        if (!from.includes(transfer.status)) {
+            throw new ApiError(400, `Transfer is ${transfer.status}. This action needs a ${from.join(' or ')} transfer.`);
+        }
+
+        const changes = await apply(transfer, session);
+        const updated = await Transfer.findOneAndUpdate(
+            { _id: transfer._id, status: transfer.status },
+            { ...changes, updatedAt: new Date() },
+            { new: true, session }
+        );
+        if (!updated) {
+            throw new ApiError(409, 'Transfer was changed by someone else. Please refresh and try again.');
+        }
+        await recordAudit(req, { action, entityType: 'Transfer', entityId: updated._id, before: transfer, after: updated }, session);
+        return updated;
+    });
+    publishEvent('transfer.changed', { transferId: updatedTransfer._id, action, status: updatedTransfer.status });
+    return updatedTransfer;
+};
+
+// Puts the units of a dispatched transfer back into available stock at branchId (the receiving branch on receipt,
+// the sending branch when the shipment is cancelled)
+const unloadTransferUnits = async (transfer, branchId, session) => {
+    const result = await Inventory.updateMany(
+        { transferId: transfer._id, status: 'in_transit' },
+        { $set: { status: 'available', branchId, updatedAt: new Date() }, $unset: { transferId: '' } },
+        { session }
+    );
+    if (result.modifiedCount !== transfer.inventoryIds.length) {
+        throw new ApiError(409, 'Units in this transfer changed while it was being updated. Please try again.');
+    }
+};
+
+// Reserves compatible units for a pending request, from one branch when branchId is given, and moves it to 'reserved'
+const reserveRequest = (req, requestId, { holdHours = DEFAULT_HOLD_HOURS, reservedBy, action = 'reserve', branchId = null }) => (
+    transitionRequest(req, requestId, {
+        from: ['pending'],
+        action,
+        apply: async (pendingRequest, session) => {
+            const holdExpiresAt = new Date(Date.now() + holdHours * 60 * 60 * 1000);
+            const reservedBloodTypes = await reserveInventoryForRequest(req, pendingRequest, session, holdExpiresAt, branchId);
+            return { status: 'reserved', reservedBy, reservedAt: new Date(), holdExpiresAt, reservedBranchId: branchId, reservedBloodTypes, releaseReason: null };
+        }
+    })
+);
+
+// Pending requests in the order they should be served: priority first, then longest waiting.
+// Each entry is flagged when it is Critical and has waited longer than the SLA.
+const getRequestQueue = async (filter = {}) => {
+    const queue = await Request.aggregate([
+        { $match: { status: 'pending', ...filter } },
+        { $addFields: { priorityRank: { $indexOfArray: [REQUEST_PRIORITIES, '$priority'] } } },
+        { $sort: { priorityRank: 1, requestDate: 1, _id: 1 } }
+    ]);
+    const now = Date.now();
+    return queue.map((request, index) => {
+        const waitingMinutes = Math.floor((now - new Date(request.requestDate).getTime()) / 60000);
+        return {
+            ...request,
+            position: index + 1,
+            waitingMinutes,
+            slaBreached: request.priority === 'Critical' && waitingMinutes > CRITICAL_REQUEST_SLA_MINUTES
+        };
+    });
+};
+
+// After new units enter stock, reserves them for (or suggests them to) the first request in the queue that can use them.
+// Only the head of the matching queue is considered, so a large urgent request is never overtaken by a smaller later one.
+// Returns { mode, request, reserved, error } or null when no waiting request can use the units.
+const allocateNewStock = async (req, unit) => {
+    if (AUTO_RESERVE_MODE === 'off' || unit.status !== 'available') return null;
+
+    const component = unit.component || 'whole_blood';
+    const recipientTypes = BLOOD_TYPES.filter(bloodType => getCompatibleDonorTypes(bloodType, component).includes(unit.bloodType));
+    const [nextRequest] = await getRequestQueue({ bloodType: { $in: recipientTypes }, component: componentCondition(component) });
+    if (!nextRequest) return null;
+
+    if (AUTO_RESERVE_MODE === 'suggest') {
+        return { mode: 'suggest', request: nextRequest, reserved: false };
+    }
+    try {
+        // New stock at a branch is only combined with other units at that branch, so the request can be issued there
+        const reservedRequest = await reserveRequest(req, nextRequest._id, { reservedBy: 'System (auto-reserve)', action: 'auto_reserve', branchId: unit.branchId || null });
+        return { mode: 'reserve', request: reservedRequest, reserved: true };
+    } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        // Not enough compatible stock yet, or someone acted on the request first: suggest it instead
+        return { mode: 'reserve', request: nextRequest, reserved: false, error: error.message };
+    }
+};
+
+// Runs allocateNewStock for each new unit until one reservation is made, without letting a failure break the caller
+const allocateNewStockSafely = async (req, units) => {
+    try {
+        let allocation = null;
+        for (const unit of units) {
+            allocation = await allocateNewStock(req, unit);
+            if (allocation && allocation.reserved) break;
+        }
+        return allocation;
+    } catch (error) {
+        console.error('Failed to allocate new stock to the request queue:', error);
+        return null;
+    }
+};
+
+// Message describing an automatic allocation, appended to the response of the call that added stock
+const describeAllocation = (allocation) => {
+    if (!allocation) return '';
+    const { request } = allocation;
+    const label = `${request.priority} request for ${request.patientName} (${request.units} × ${request.bloodType})`;
+    if (allocation.reserved) return ` Units were reserved for the ${label}.`;
+    if (allocation.error) return ` The ${label} is next in the queue but could not be reserved: ${allocation.error}`;
+    return ` The ${label} is next in the queue and could be reserved now.`;
+};
+
+// Request fields cleared whenever held units go back to stock
+const CLEARED_RESERVATION = { reservedBy: null, reservedAt: null, holdExpiresAt: null, reservedBranchId: null, reservedBloodTypes: [], scannedInventoryIds: [] };
+
+// Releases the holds of reserved or crossmatched requests whose hold has run out; returns how many were released
+const releaseExpiredHolds = async () => {
+    const expiredRequests = await Request.find({ status: { $in: ['reserved', 'crossmatched'] }, holdExpiresAt: { $lte: new Date() } });
+    let releasedCount = 0;
+    for (const expiredRequest of expiredRequests) {
+        try {
+            await transitionRequest(null, expiredRequest._id, {
+                from: ['reserved', 'crossmatched'],
+                action: 'release',
+                apply: async (request, session) => {
+                    await releaseReservedInventory(null, request, session);
+                    return { status: 'pending', ...CLEARED_RESERVATION, releaseReason: 'Reservation hold expired' };
+                }
+            });
+            releasedCount++;
+        } catch (error) {
+            if (!(error instanceof ApiError)) throw error;
+            // Someone moved the request on since we looked; nothing to release
+        }
+    }
+    return releasedCount;
+};
+
+// Issues a short-lived access token and a longer-lived refresh token for a user
+const issueTokens = (user) => {
+    const accessToken = jwt.sign({ sub: user._id.toString(), role: user.role, type: 'access' }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+    const refreshToken = jwt.sign({ sub: user._id.toString(), tokenVersion: user.tokenVersion, type: 'refresh' }, JWT_REFRESH_SECRET, { expiresIn: REFRESH_TOKEN_TTL });
+    return { accessToken, refreshToken };
+};
+
+// Donor portal tokens carry their own types so they are never accepted by the staff routes (see authenticateDonor)
+const issueDonorTokens = (account) => {
+    const accessToken = jwt.sign({ sub: account._id.toString(), type: 'donor_access' }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+    const refreshToken = jwt.sign({ sub: account._id.toString(), tokenVersion: account.tokenVersion, type: 'donor_refresh' }, JWT_REFRESH_SECRET, { expiresIn: REFRESH_TOKEN_TTL });
+    return { accessToken, refreshToken };
+};
+
+// Invitation tokens are stored hashed, like passwords, so a database read does not reveal a usable link
+const hashInviteToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Creates the first admin account from ADMIN_EMAIL/ADMIN_PASSWORD when no users exist yet
+const seedAdminUser = async () => {
+    const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NAME } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return;
+
+    const userCount = await User.countDocuments();
+    if (userCount > 0) return;
+
+    await User.create({
+        name: ADMIN_NAME || 'Administrator',
+        email: ADMIN_EMAIL,
+        passwordHash: await bcrypt.hash(ADMIN_PASSWORD, 10),
+        role: ROLES.ADMIN
+    });
+    console.log(`👤 Created initial admin account for ${ADMIN_EMAIL}`);
+};
+
+// Requests made before the hospital registry only have the free-text hospital name. Link those whose name matches a
+// registered hospital (ignoring case, as hospital names are unique) so they count in the hospital report.
+const linkRequestsToHospitals = async () => {
+    const hospitals = await Hospital.find().select('name');
+    let linked = 0;
+    for (const hospital of hospitals) {
+        const result = await Request.updateMany(
+            { hospitalId: null, hospital: hospital.name },
+            { $set: { hospitalId: hospital._id } },
+            { collation: { locale: 'en', strength: 2 } }
+        );
+        linked += result.modifiedCount;
+    }
+    if (linked > 0) {
+        console.log(`🏥 Linked ${linked} existing request(s) to registered hospitals`);
+    }
+};
+
+// Discards recorded before reasons were coded kept free text in discardReason. The text moves to discardNotes and
+// the reason is left unset; the wastage report shows such discards as 'unrecorded'.
+const migrateDiscardReasons = async () => {
+    const result = await Inventory.updateMany(
+        { discardReason: { $type: 'string', $nin: DISCARD_REASON_CODES } },
+        [{ $set: { discardNotes: '$discardReason' } }, { $unset: 'discardReason' }]
+    );
+    if (result.modifiedCount > 0) {
+        console.log(`🗑️ Moved ${result.modifiedCount} free-text discard reason(s) to discard notes`);
+    }
+};
+
+// Function to mark expired blood units; returns how many batches were expired
+const checkExpiredBlood = async () => {
+    const now = new Date();
+    const expiringUnits = await Inventory.find({ expiryDate: { $lt: now }, status: 'available' }).select('_id');
+    let expiredCount = 0;
+    for (const { _id } of expiringUnits) {
+        // Conditional per unit so only units this run actually expired are audited, with the state they were in
+        const unit = await Inventory.findOneAndUpdate(
+            { _id, status: 'available', expiryDate: { $lt: now } },
+            { $set: { status: 'expired', updatedAt: now } }
+        );
+        if (!unit) continue;
+        await recordAudit(null, { action: 'expire', entityType: 'Inventory', entityId: unit._id, before: unit, after: { ...snapshot(unit), status: 'expired', updatedAt: now } });
+        expiredCount++;
+    }
+    return expiredCount;
+};
+
+// Returns the stock thresholds for every blood type, falling back to the defaults where none is saved
+const getStockThresholds = async () => {
+    const saved = await Threshold.find();
+    const thresholds = {};
+    BLOOD_TYPES.forEach(bloodType => {
+        const threshold = saved.find(item => item.bloodType === bloodType);
+        thresholds[bloodType] = threshold
+            ? { minimum: threshold.minimum, low: threshold.low, target: threshold.target }
+            : { ...DEFAULT_STOCK_THRESHOLD };
+    });
+    return thresholds;
+};
+
+// Classifies available units against a threshold: 'critical', 'low' or 'ok'
+const classifyStockLevel = (units, threshold) => {
+    if (units < threshold.minimum) return 'critical';
+    if (units < threshold.low) return 'low';
+    return 'ok';
+};
+
+// Available (unexpired) units per blood type and component, with every type and component present.
+// `match` narrows the units counted (e.g. { branchId } for one branch).
+const getAvailableUnitsByComponent = async (match = {}) => {
+    const groups = await Inventory.aggregate([
+        { $match: { status: 'available', expiryDate: { $gt: new Date() }, ...match } },
+        {
+            $group: {
+                _id: { bloodType: '$bloodType', component: { $ifNull: ['$component', 'whole_blood'] } },
+                totalUnits: { $sum: '$units' }
+            }
+        }
+    ]);
+    const unitsByComponent = {};
+    BLOOD_TYPES.forEach(bloodType => {
+        unitsByComponent[bloodType] = {};
+        COMPONENT_TYPES.forEach(component => { unitsByComponent[bloodType][component] = 0; });
+    });
+    groups.forEach(group => { unitsByComponent[group._id.bloodType][group._id.component] = group.totalUnits; });
+    return unitsByComponent;
+};
+
+// Units per blood type that count against the stock thresholds. Only red-cell components are counted:
+// separating a whole-blood unit must not make stock look larger, and long-lived plasma must not hide a shortage.
+const getAvailableUnitsByType = async () => {
+    const unitsByComponent = await getAvailableUnitsByComponent();
+    const unitsByType = {};
+    BLOOD_TYPES.forEach(bloodType => {
+        unitsByType[bloodType] = RED_CELL_COMPONENTS.reduce((sum, component) => sum + unitsByComponent[bloodType][component], 0);
+    });
+    return unitsByType;
+};
+
+// Average daily red-cell consumption per blood type over the last lookbackDays, from requests issued in that window.
+// issuedBloodTypes lists the types actually drawn from stock (substitutes included), i.e. the units that became 'used';
+// requests fulfilled before it was recorded count their own blood type and units. Issuing a request is the only way
+// units become 'used', so Inventory is not read separately. Units later returned unused still count as consumed.
+const getDailyConsumption = async (lookbackDays) => {
+    const since = new Date(Date.now() - lookbackDays * DAY_IN_MS);
+    const groups = await Request.aggregate([
+        { $match: { status: { $in: ISSUED_REQUEST_STATUSES }, processedDate: { $gte: since }, component: { $in: [...RED_CELL_COMPONENTS, null] } } },
+        {
+            $project: {
+                issued: {
+                    $cond: [
+                        { $gt: [{ $size: { $ifNull: ['$issuedBloodTypes', []] } }, 0] },
+                        '$issuedBloodTypes',
+                        [{ bloodType: '$bloodType', units: '$units' }]
+                    ]
+                }
+            }
+        },
+        { $unwind: '$issued' },
+        { $group: { _id: '$issued.bloodType', units: { $sum: '$issued.units' } } }
+    ]);
+    const consumption = {};
+    BLOOD_TYPES.forEach(bloodType => {
+        const group = groups.find(item => item._id === bloodType);
+        consumption[bloodType] = group ? group.units / lookbackDays : 0;
+    });
+    return consumption;
+};
+
+// Projects one blood type's stock a day at a time: each day's consumption is drawn from the batches that expire
+// soonest, then batches past expiry are removed. Returns the first date stock is below safeLevel within
+// FORECAST_HORIZON_DAYS (or null) and the units expected to expire before they can be used.
+const projectStock = (batches, dailyUse, safeLevel, now) => {
+    let remaining = batches.map(batch => ({ units: batch.units, expiryDate: batch.expiryDate })).sort((a, b) => a.expiryDate - b.expiryDate);
+    const total = () => remaining.reduce((sum, batch) => sum + batch.units, 0);
+    let belowSafeLevelDate = total() < safeLevel ? now : null;
+    let expiringUnits = 0;
+
+    for (let day = 1; day <= FORECAST_HORIZON_DAYS; day++) {
+        const date = new Date(now.getTime() + day * DAY_IN_MS);
+        let demand = dailyUse;
+        for (const batch of remaining) {
+            if (demand <= 0) break;
+            const used = Math.min(batch.units, demand);
+            batch.units -= used;
+            demand -= used;
+        }
+        remaining = remaining.filter(batch => {
+            if (batch.units > 0 && batch.expiryDate <= date) expiringUnits += batch.units;
+            return batch.units > 0 && batch.expiryDate > date;
+        });
+        if (!belowSafeLevelDate && total() < safeLevel) belowSafeLevelDate = date;
+    }
+    return { belowSafeLevelDate, expiringUnits: Math.round(expiringUnits * 10) / 10 };
+};
+
+// Days of supply and a below-safe-level forecast per blood type. Like the stock thresholds this counts red-cell
+// components only, and the safe level is the threshold's low level.
+const getStockForecast = async (lookbackDays = FORECAST_LOOKBACK_DAYS) => {
+    const now = new Date();
+    const [thresholds, consumption, batches] = await Promise.all([
+        getStockThresholds(),
+        getDailyConsumption(lookbackDays),
+        Inventory.find({ status: 'available', expiryDate: { $gt: now }, component: { $in: [...RED_CELL_COMPONENTS, null] } })
+            .select('bloodType units expiryDate')
+            .lean()
+    ]);
+
+    return BLOOD_TYPES.map(bloodType => {
+        const typeBatches = batches.filter(batch => batch.bloodType === bloodType);
+        const units = typeBatches.reduce((sum, batch) => sum + batch.units, 0);
+        const averageDailyUse = consumption[bloodType];
+        const safeLevel = thresholds[bloodType].low;
+        return {
+            bloodType,
+            units,
+            averageDailyUse: Math.round(averageDailyUse * 100) / 100,
+            daysOfSupply: averageDailyUse > 0 ? Math.round((units / averageDailyUse) * 10) / 10 : null, // null: no recent use
+            safeLevel,
+            ...projectStock(typeBatches, averageDailyUse, safeLevel, now)
+        };
+    });
+};
+
+// Compares current stock with the thresholds and keeps the Alert collection in step:
+// a new alert is raised whenever a blood type moves into a different low/critical level, and the previous
+// alert is cleared (and resolved by the system if staff had not already). An alert resolved by hand is
+// therefore not raised again until the level actually changes. Returns the alerts raised.
+const runStockLevelCheck = async () => {
+    const [thresholds, unitsByType] = await Promise.all([getStockThresholds(), getAvailableUnitsByType()]);
+
+    const raisedAlerts = [];
+    const now = new Date();
+    for (const bloodType of BLOOD_TYPES) {
+        const units = unitsByType[bloodType];
+        const threshold = thresholds[bloodType];
+        const level = classifyStockLevel(units, threshold);
+        const latestAlert = await Alert.findOne({ type: 'stock_level', bloodType }).sort({ createdAt: -1 });
+
+        // Still at the level last alerted on
+        if (latestAlert && !latestAlert.cleared && latestAlert.level === level) continue;
+
+        if (latestAlert && !latestAlert.cleared) {
+            const before = latestAlert.toObject();
+            latestAlert.cleared = true;
+            if (latestAlert.status !== 'resolved') {
+                latestAlert.status = 'resolved';
+                latestAlert.resolvedBy = 'System';
+                latestAlert.resolvedAt = now;
+            }
+            latestAlert.updatedAt = now;
+            await latestAlert.save();
+            await recordAudit(null, { action: 'resolve', entityType: 'Alert', entityId: latestAlert._id, before, after: latestAlert });
+            publishEvent('alert.cleared', { alertId: latestAlert._id, bloodType, level: latestAlert.level });
+        }
+
+        if (level !== 'ok') {
+            const crossed = level === 'critical' ? threshold.minimum : threshold.low;
+            const alert = await Alert.create({
+                type: 'stock_level',
+                bloodType,
+                level,
+                units,
+                threshold: crossed,
+                message: `${bloodType} stock is ${level}: ${units} unit(s) available, below the ${level === 'critical' ? 'minimum' : 'low'} level of ${crossed}.`
+            });
+            await recordAudit(null, { action: 'create', entityType: 'Alert', entityId: alert._id, after: alert });
+            raisedAlerts.push(alert);
+            publishEvent('alert.raised', { alertId: alert._id, bloodType, level, units });
+        }
+    }
+    return raisedAlerts;
+};
+
+// Serialises stock checks like processNotificationQueue, so overlapping checks never both raise an alert for the
+// same change. A check asked for while one is running runs once more afterwards, so the latest stock is evaluated.
+let stockCheckActive = false;
+let stockCheckQueued = false;
+
+const evaluateStockLevels = async () => {
+    if (stockCheckActive) {
+        stockCheckQueued = true;
+        return [];
+    }
+    stockCheckActive = true;
+    const raisedAlerts = [];
+    try {
+        do {
+            stockCheckQueued = false;
+            raisedAlerts.push(...await runStockLevelCheck());
+        } while (stockCheckQueued);
+    } finally {
+        stockCheckActive = false;
+    }
+    return raisedAlerts;
+};
+
+// Fire-and-forget wrapper used after inventory changes; a failed check must not fail the request that triggered it
+const checkStockAlerts = () => {
+    evaluateStockLevels().catch(error => console.error('Failed to evaluate stock levels:', error));
+};
+
+// --- Unit Identification and Labels ---
+// Every collection gets a DIN. Components separated from it and batches split off it keep the same DIN, so a label
+// code is the DIN followed by the component's labelCode. Barcodes are Code 128 (code set B).
+
+const DIN_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ*';
+
+// ISBT 128 check character (ISO 7064 MOD 37-2). It is printed beside the DIN so a mistyped number is caught.
+const getDinCheckCharacter = (din) => {
+    let sum = 0;
+    for (const character of din) {
+        sum = ((sum + DIN_CHARACTERS.indexOf(character)) * 2) % 37;
+    }
+    return DIN_CHARACTERS[(38 - sum) % 37];
+};
+
+// "W000026000123" -> "W0000 26 000123 K", the human-readable form printed under the barcode
+const formatDin = (din) => `${din.slice(0, 5)} ${din.slice(5, 7)} ${din.slice(7)} ${getDinCheckCharacter(din)}`;
+
+// Returns one new DIN per collection date given, each taken from the DIN sequence of the year of collection, so
+// imported and backfilled collections are numbered in the year they were collected. Pass the session when the
+// units are created in a transaction.
+const generateDins = async (collectionDates, session = null) => {
+    const years = collectionDates.map(date => String(new Date(date).getFullYear()).slice(-2));
+    const nextSeq = {};
+    for (const year of new Set(years)) {
+        const count = years.filter(item => item === year).length;
+        const counter = await Counter.findOneAndUpdate(
+            { _id: `din-${year}` },
+            { $inc: { seq: count } },
+            { upsert: true, new: true, session }
+        );
+        if (counter.seq > 999999) {
+            throw new Error(`DIN sequence for 20${year} is exhausted.`);
+        }
+        nextSeq[year] = counter.seq - count + 1;
+    }
+    return years.map(year => `${DIN_FACILITY_CODE}${year}${String(nextSeq[year]++).padStart(6, '0')}`);
+};
+
+const getUnitLabelCode = (unit) => `${unit.din}${BLOOD_COMPONENTS[unit.component || 'whole_blood'].labelCode}`;
+
+// Reads a scanned or typed label code: an optional ISBT '=' prefix, the 13-character DIN, optionally its check
+// character (when typed from the printed label) and optionally the component code. Spaces are ignored.
+// Returns { din, component } (component may be undefined), or throws a 400 ApiError.
+const parseUnitCode = (code) => {
+    const value = String(code).toUpperCase().replace(/\s+/g, '').replace(/^=/, '');
+    const din = value.slice(0, 13);
+    let rest = value.slice(13);
+    if (!/^[A-Z0-9]{5}\d{8}$/.test(din)) {
+        throw new ApiError(400, `"${code}" is not a donation identification number.`);
+    }
+    if (rest.length === 1 || rest.length === 3) {
+        if (rest[0] !== getDinCheckCharacter(din)) {
+            throw new ApiError(400, `Check character ${rest[0]} does not match DIN ${din}. Please re-enter the number.`);
+        }
+        rest = rest.slice(1);
+    }
+    if (!rest) return { din };
+
+    const component = COMPONENT_TYPES.find(type => BLOOD_COMPONENTS[type].labelCode === rest);
+    if (!component) {
+        throw new ApiError(400, `"${rest}" is not a blood component code.`);
+    }
+    return { din, component };
+};
+
+// Gives units recorded before DINs existed their own DIN, oldest first. Separated components and split batches then
+// take their source's DIN, a level at a time. Runs at startup and does nothing once every unit has a DIN.
+const assignMissingDins = async () => {
+    const collections = await Inventory.find({ din: null, parentInventoryId: null, sourceInventoryId: null }).select('_id collectionDate').sort({ createdAt: 1 });
+    if (collections.length > 0) {
+        const dins = await generateDins(collections.map(unit => unit.collectionDate));
+        await Inventory.bulkWrite(collections.map((unit, index) => ({
+            updateOne: { filter: { _id: unit._id, din: null }, update: { $set: { din: dins[index] } } }
+        })));
+    }
+
+    let assigned = collections.length;
+    for (;;) {
+        const derived = await Inventory.find({ din: null }).select('parentInventoryId sourceInventoryId');
+        const sources = await Inventory.find({ _id: { $in: derived.map(unit => unit.sourceInventoryId || unit.parentInventoryId) }, din: { $ne: null } }).select('din');
+        const dinById = new Map(sources.map(source => [String(source._id), source.din]));
+        const updates = derived
+            .map(unit => ({ unit, din: dinById.get(String(unit.sourceInventoryId || unit.parentInventoryId)) }))
+            .filter(({ din }) => din)
+            .map(({ unit, din }) => ({ updateOne: { filter: { _id: unit._id, din: null }, update: { $set: { din } } } }));
+        if (updates.length === 0) break;
+        await Inventory.bulkWrite(updates);
+        assigned += updates.length;
+    }
+    if (assigned > 0) {
+        console.log(`🏷️ Assigned donation identification numbers to ${assigned} existing blood unit(s)`);
+    }
+};
+
+// Code 128 symbols as bar/space module widths, indexed by symbol value (103-105 start codes, 106 stop)
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+// Module widths of the Code 128 barcode for printable ASCII text, alternating bar and space, starting with a bar
+const encodeCode128 = (text) => {
+    const values = [CODE128_START_B, ...Array.from(text, character => character.charCodeAt(0) - 32)];
+    const checksum = values.reduce((sum, value, index) => sum + value * Math.max(index, 1), 0) % 103;
+    return [...values, checksum, CODE128_STOP].flatMap(value => Array.from(CODE128_PATTERNS[value], Number));
+};
+
+// Bars of a barcode as { x, width } in modules, after a 10-module quiet zone; also returns the total width
+const getBarcodeBars = (text) => {
+    const bars = [];
+    let x = 10;
+    encodeCode128(text).forEach((width, index) => {
+        if (index % 2 === 0) bars.push({ x, width });
+        x += width;
+    });
+    return { bars, width: x + 10 };
+};
+
+// What a unit label shows, shared by the SVG and PDF layouts
+const getUnitLabel = (unit) => ({
+    code: getUnitLabelCode(unit),
+    din: formatDin(unit.din),
+    bloodType: unit.bloodType,
+    component: BLOOD_COMPONENTS[unit.component || 'whole_blood'].label,
+    units: `${unit.units} unit${unit.units === 1 ? '' : 's'}`,
+    collected: `Collected ${unit.collectionDate.toISOString().split('T')[0]}`,
+    expires: `Expires ${unit.expiryDate.toISOString().split('T')[0]}`
+});
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, character => `&#${character.charCodeAt(0)};`);
+
+// Unit labels are 100 x 50 mm; SVG coordinates are in millimetres
+const LABEL_WIDTH_MM = 100;
+const LABEL_HEIGHT_MM = 50;
+
+const renderUnitLabelSvg = (unit) => {
+    const label = getUnitLabel(unit);
+    const { bars, width } = getBarcodeBars(label.code);
+    const scale = (LABEL_WIDTH_MM - 8) / width;
+    const text = (x, y, size, value, extra = '') => `<text x="${x}" y="${y}" font-size="${size}" ${extra}>${escapeXml(value)}</text>`;
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${LABEL_WIDTH_MM}mm" height="${LABEL_HEIGHT_MM}mm" viewBox="0 0 ${LABEL_WIDTH_MM} ${LABEL_HEIGHT_MM}" font-family="Helvetica, Arial, sans-serif">`,
+        `<rect width="${LABEL_WIDTH_MM}" height="${LABEL_HEIGHT_MM}" fill="#fff"/>`,
+        ...bars.map(bar => `<rect x="${(4 + bar.x * scale).toFixed(3)}" y="3" width="${(bar.width * scale).toFixed(3)}" height="14" fill="#000"/>`),
+        text(50, 22, 4, `${label.din}  ${label.code.slice(13)}`, 'text-anchor="middle" font-family="Courier New, monospace" font-weight="bold"'),
+        text(4, 38, 14, label.bloodType, 'font-weight="bold"'),
+        text(40, 30, 4.5, label.component, 'font-weight="bold"'),
+        text(40, 36, 3.5, label.units),
+        text(40, 41, 3.5, label.collected),
+        text(40, 46, 3.5, label.expires, 'font-weight="bold"'),
+        '</svg>'
+    ].join('\n');
+};
+
+// Writes the label as a one-page PDF to the response; PDF units are points, 1 mm = 72 / 25.4 pt
+const sendUnitLabelPdf = (res, unit, filename) => {
+    const label = getUnitLabel(unit);
+    const { bars, width } = getBarcodeBars(label.code);
+    const mm = 72 / 25.4;
+    const scale = ((LABEL_WIDTH_MM - 8) / width) * mm;
+    const doc = new PDFDocument({ size: [LABEL_WIDTH_MM * mm, LABEL_HEIGHT_MM * mm], margin: 0 });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    doc.pipe(res);
+    bars.forEach(bar => doc.rect(4 * mm + bar.x * scale, 3 * mm, bar.width * scale, 14 * mm).fill('#000'));
+    doc.font('Courier-Bold').fontSize(4 * mm).text(`${label.din}  ${label.code.slice(13)}`, 0, 18.5 * mm, { width: LABEL_WIDTH_MM * mm, align: 'center' });
+    doc.font('Helvetica-Bold').fontSize(14 * mm).text(label.bloodType, 4 * mm, 27 * mm, { lineBreak: false });
+    doc.font('Helvetica-Bold').fontSize(4.5 * mm).text(label.component, 40 * mm, 26.5 * mm, { lineBreak: false });
+    doc.font('Helvetica').fontSize(3.5 * mm)
+        .text(label.units, 40 * mm, 33 * mm, { lineBreak: false })
+        .text(label.collected, 40 * mm, 38 * mm, { lineBreak: false });
+    doc.font('Helvetica-Bold').text(label.expires, 40 * mm, 43 * mm, { lineBreak: false });
+    doc.end();
+};
+
+// --- Notifications ---
+
+// Message templates per channel. {{name}} placeholders are filled from the variables given when queueing.
+const NOTIFICATION_TEMPLATES = {
+    donor_registered: {
+        email: {
+            subject: 'Welcome to BloodSave, {{name}}',
+            body: 'Hi {{name}},\n\nThank you for registering as a {{bloodType}} blood donor. We will let you know when your blood type is needed.\n\nBloodSave'
+        },
+        sms: { body: 'BloodSave: thank you for registering as a {{bloodType}} donor, {{name}}!' }
+    },
+    donation_thanks: {
+        email: {
+            subject: 'Thank you for donating, {{name}}',
+            body: 'Hi {{name}},\n\nThank you for your donation on {{collectionDate}}. You can donate again from {{nextEligibleDate}}.\n\nBloodSave'
+        },
+        sms: { body: 'BloodSave: thank you for donating today, {{name}}! You can give again from {{nextEligibleDate}}.' }
+    },
+    donor_eligible_again: {
+        email: {
+            subject: 'You can donate again',
+            body: 'Hi {{name}},\n\nIt has been long enough since your last donation that you can give blood again. {{bloodType}} donors are always needed.\n\nBloodSave'
+        },
+        sms: { body: 'BloodSave: hi {{name}}, you can donate blood again. {{bloodType}} donors are always needed!' }
+    },
+    request_status_changed: {
+        email: {
+            subject: 'Blood request for {{patientName}}: {{status}}',
+            body: 'The request for {{units}} unit(s) of {{bloodType}} for {{patientName}} at {{hospital}} is now {{status}}.{{reasonText}}\n\nBloodSave'
+        },
+        sms: { body: 'BloodSave: request for {{patientName}} ({{units}} x {{bloodType}}) is {{status}}.{{reasonText}}' }
+    },
+    portal_invite: {
+        email: {
+            subject: 'Set up your BloodSave donor account',
+            body: 'Hi {{name}},\n\nYou can now see your donations, check when you can give again and book donation appointments online. Choose a password to set up your account:\n\n{{link}}\n\nThis link works for {{hours}} hours.\n\nBloodSave'
+        }
+    },
+    stock_alert: {
+        email: {
+            subject: '{{level}} stock: {{bloodType}}',
+            body: '{{bloodType}} stock is at {{level}} level with {{units}} unit(s) available (threshold {{threshold}}).\n\nBloodSave'
+        }
+    }
+};
+
+const renderTemplate = (text, vars) => text.replace(/\{\{(\w+)\}\}/g, (match, key) => (vars[key] === undefined || vars[key] === null ? '' : String(vars[key])));
+
+// Transport factories by name. Each returns { send(message) }, which throws to have the message retried.
+const NOTIFICATION_TRANSPORTS = {
+    console: () => ({
+        send: async (message) => console.log(`📨 [${message.channel}] to ${message.to}: ${message.subject ? `${message.subject} | ` : ''}${message.body}`)
+    }),
+    file: () => ({
+        send: (message) => fs.promises.appendFile(NOTIFICATION_FILE, `${JSON.stringify({ channel: message.channel, to: message.to, subject: message.subject, body: message.body, sentAt: new Date() })}\n`)
+    }),
+    smtp: () => {
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+        return { send: (message) => transporter.sendMail({ from: NOTIFICATION_FROM, to: message.to, subject: message.subject, text: message.body }) };
+    },
+    // Posts { to, from, body } as JSON to an SMS gateway (SMS_GATEWAY_URL, with SMS_GATEWAY_TOKEN as a bearer token)
+    http: () => ({
+        send: async (message) => {
+            const response = await fetch(process.env.SMS_GATEWAY_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN || ''}` },
+                body: JSON.stringify({ to: message.to, from: process.env.SMS_FROM, body: message.body })
+            });
+            if (!response.ok) throw new Error(`SMS gateway responded with ${response.status}`);
+        }
+    })
+};
+
+const CHANNEL_TRANSPORT_NAMES = { email: ['console', 'file', 'smtp'], sms: ['console', 'file', 'http'] };
+
+// Picks each channel's configured transport, falling back to the console for unknown names
+const createChannelTransports = () => {
+    const configured = { email: EMAIL_TRANSPORT, sms: SMS_TRANSPORT };
+    const transports = {};
+    NOTIFICATION_CHANNELS.forEach(channel => {
+        let name = configured[channel];
+        if (!CHANNEL_TRANSPORT_NAMES[channel].includes(name)) {
+            console.warn(`Unknown ${channel} transport "${name}", using console. Choose from: ${CHANNEL_TRANSPORT_NAMES[channel].join(', ')}`);
+            name = 'console';
+        }
+        transports[channel] = NOTIFICATION_TRANSPORTS[name]();
+    });
+    return transports;
+};
+const channelTransports = createChannelTransports();
+
+// Adds a message to the queue for every channel the recipient can be reached on. Templates without a
+// version for a channel, and channels without an address, are skipped.
+const queueNotification = async (template, { email, phone, recipientType, recipientId }, vars = {}) => {
+    const addresses = { email, sms: phone };
+    const messages = NOTIFICATION_CHANNELS
+        .filter(channel => addresses[channel] && NOTIFICATION_TEMPLATES[template][channel])
+        .map(channel => {
+            const content = NOTIFICATION_TEMPLATES[template][channel];
+            return {
+                channel,
+                to: addresses[channel],
+                template,
+                subject: content.subject ? renderTemplate(content.subject, vars) : undefined,
+                body: renderTemplate(content.body, vars),
+                recipientType,
+                recipientId
+            };
+        });
+    if (messages.length === 0) return [];
+    const queued = await Notification.insertMany(messages);
+    sendNotificationsSoon();
+    return queued;
+};
+
+// Donors only receive messages on channels they have not opted out of
+const notifyDonor = (donor, template, vars = {}) => {
+    const preferences = donor.notificationPreferences || {};
+    return queueNotification(template, {
+        email: preferences.email !== false ? donor.email : null,
+        phone: preferences.sms !== false ? donor.phone : null,
+        recipientType: 'Donor',
+        recipientId: donor._id
+    }, { name: donor.name, bloodType: donor.bloodType, ...vars });
+};
+
+const notifyHospital = async (hospitalId, template, vars = {}) => {
+    const hospital = hospitalId ? await Hospital.findById(hospitalId) : null;
+    if (!hospital || !hospital.isActive) return [];
+    const contact = hospital.contact || {};
+    return queueNotification(template, { email: contact.email, phone: contact.phone, recipientType: 'Hospital', recipientId: hospital._id }, { hospital: hospital.name, ...vars });
+};
+
+// Emails every active admin and lab technician
+const notifyStaff = async (template, vars = {}) => {
+    const users = await User.find({ isActive: true, role: { $in: [ROLES.ADMIN, ROLES.LAB_TECHNICIAN] } });
+    for (const user of users) {
+        await queueNotification(template, { email: user.email, recipientType: 'User', recipientId: user._id }, vars);
+    }
+};
+
+// Sends every due message once. Each message is claimed by pushing nextAttemptAt past the send timeout, so
+// two servers never send it twice and a message claimed by a crashed process is retried later.
+const NOTIFICATION_CLAIM_MS = 5 * 60 * 1000;
+let notificationRunActive = false;
+
+const processNotificationQueue = async () => {
+    if (notificationRunActive) return 0;
+    notificationRunActive = true;
+    let sent = 0;
+    try {
+        for (;;) {
+            const now = new Date();
+            const message = await Notification.findOneAndUpdate(
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { $set: { nextAttemptAt: new Date(now.getTime() + NOTIFICATION_CLAIM_MS) }, $inc: { attempts: 1 } },
+                { new: true, sort: { nextAttemptAt: 1 } }
+            );
+            if (!message) break;
+
+            try {
+                await channelTransports[message.channel].send(message);
+                await Notification.updateOne({ _id: message._id }, { status: 'sent', sentAt: new Date(), lastError: null });
+                sent++;
+            } catch (error) {
+                const failed = message.attempts >= NOTIFICATION_MAX_ATTEMPTS;
+                await Notification.updateOne({ _id: message._id }, {
+                    status: failed ? 'failed' : 'pending',
+                    lastError: error.message,
+                    nextAttemptAt: new Date(Date.now() + NOTIFICATION_RETRY_BASE_MS * 2 ** (message.attempts - 1))
+                });
+                console.warn(`Notification ${message._id} (${message.channel} to ${message.to}) failed on attempt ${message.attempts}${failed ? ', giving up' : ''}: ${error.message}`);
+            }
+        }
+    } finally {
+        notificationRunActive = false;
+    }
+    return sent;
+};
+
+// Fire-and-forget send after queueing, so messages go out without waiting for the next scheduled run
+const sendNotificationsSoon = () => {
+    setImmediate(() => processNotificationQueue().catch(error => console.error('Failed to process notification queue:', error)));
+};
+
+// Tells donors whose waiting period has passed since their last donation that they can give again, once per donation
+const sendEligibilityReminders = async () => {
+    const donors = await Donor.find({
+        isActive: true,
+        lastDonation: { $ne: null, $lte: new Date(Date.now() - WHOLE_BLOOD_DONATION_INTERVAL_DAYS * DAY_IN_MS) },
+        $expr: { $ne: ['$eligibilityReminderFor', '$lastDonation'] }
+    });
+    let reminded = 0;
+    for (const donor of donors) {
+        if (!donor.eligibility.eligible) continue; // Still deferred; reminded once the deferral ends
+        await notifyDonor(donor, 'donor_eligible_again');
+        await Donor.updateOne({ _id: donor._id }, { eligibilityReminderFor: donor.lastDonation });
+        reminded++;
+    }
+    return reminded;
+};
+
+// Turns live update events into notifications. This runs after the publishing request has finished, so failures are only logged.
+const NOTIFIED_REQUEST_STATUSES = ['issued', 'rejected', 'cancelled'];
+
+const handleNotificationEvent = async ({ type, data }) => {
+    if (type === 'donor.changed' && data.action === 'create') {
+        const donor = await Donor.findById(data.donorId);
+        if (donor) await notifyDonor(donor, 'donor_registered');
+    } else if (type === 'inventory.added' && data.action === 'create') { // Collections only, not components made from one
+        const unit = await Inventory.findById(data.inventoryId).populate('donorId');
+        if (unit && unit.donorId) {
+            const { nextEligibleDate } = unit.donorId.eligibility;
+            await notifyDonor(unit.donorId, 'donation_thanks', {
+                collectionDate: unit.collectionDate.toDateString(),
+                nextEligibleDate: nextEligibleDate ? new Date(nextEligibleDate).toDateString() : 'your next visit'
+            });
+        }
+    } else if (type === 'request.updated' && NOTIFIED_REQUEST_STATUSES.includes(data.status)) {
+        const request = await Request.findById(data.requestId);
+        if (request) {
+            const reason = request.rejectionReason || request.cancellationReason;
+            await notifyHospital(request.hospitalId, 'request_status_changed', {
+                patientName: request.patientName,
+                units: request.units,
+                bloodType: request.bloodType,
+                status: request.status,
+                reasonText: reason ? ` Reason: ${reason}` : ''
+            });
+        }
+    } else if (type === 'alert.raised') {
+        const alert = await Alert.findById(data.alertId);
+        if (alert) {
+            await notifyStaff('stock_alert', { bloodType: alert.bloodType, level: alert.level === 'critical' ? 'Critical' : 'Low', units: alert.units, threshold: alert.threshold });
+        }
+    }
+};
+
+eventBus.on('event', (event) => {
+    handleNotificationEvent(event).catch(error => console.error(`Failed to queue notifications for ${event.type}:`, error));
+});
+
+// Runs a job now and then on a fixed interval, logging (not throwing) failures so one bad run never stops the timer
+const scheduleJob = (name, intervalMs, job) => {
+    const run = async () => {
+        try {
+            await job();
+        } catch (error) {
+            console.error(`Scheduled job "${name}" failed:`, error);
+        }
+    };
+    run();
+    return setInterval(run, intervalMs);
+};
+
+// Background jobs that keep the database current without waiting for someone to open a page
+const startScheduledJobs = () => {
+    scheduleJob('expire-blood', EXPIRY_CHECK_INTERVAL_MS, async () => {
+        const expiredCount = await checkExpiredBlood();
+        if (expiredCount > 0) {
+            console.log(`⏰ Marked ${expiredCount} blood unit batch(es) as expired`);
+            publishEvent('inventory.expired', { count: expiredCount });
+            await evaluateStockLevels();
+        }
+    });
+    scheduleJob('release-expired-holds', EXPIRY_CHECK_INTERVAL_MS, async () => {
+        const releasedCount = await releaseExpiredHolds();
+        if (releasedCount > 0) {
+            console.log(`⏰ Released ${releasedCount} request reservation(s) whose hold expired`);
+            await evaluateStockLevels();
+        }
+    });
+    scheduleJob('send-notifications', NOTIFICATION_INTERVAL_MS, processNotificationQueue);
+    scheduleJob('eligibility-reminders', ELIGIBILITY_REMINDER_INTERVAL_MS, async () => {
+        const remindedCount = await sendEligibilityReminders();
+        if (remindedCount > 0) console.log(`⏰ Reminded ${remindedCount} donor(s) that they can donate again`);
+    });
+};
+
+
+// --- API Routes ---
+
+// Root endpoint: Serves your index.html from the 'public' folder
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Health Check endpoint
+app.get('/health', (req, res) => {
+    res.status(200).json({
+        status: 'OK',
+        timestamp: new Date().toISOString(),
+        mongodb: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
+        uptime: process.uptime() // Server uptime in seconds
+    });
+});
+
+// --- Auth API ---
+app.post('/api/auth/login', authLimiter, validateLogin, handleValidationErrors, async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.body.email });
+        const passwordMatches = user ? await bcrypt.compare(req.body.password, user.passwordHash) : false;
+        if (!user || !passwordMatches || !user.isActive) {
+            return res.status(401).json({ success: false, error: 'Invalid email or password.' });
+        }
+
+        user.lastLogin = new Date();
+        await user.save();
+
+        res.status(200).json({ success: true, message: 'Logged in successfully.', data: { user, ...issueTokens(user) } });
+    } catch (error) {
+        console.error("Error logging in:", error);
+        res.status(500).json({ success: false, error: 'Failed to log in', details: error.message });
+    }
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(401).json({ success: false, error: 'Refresh token is required.' });
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
+        } catch (verifyError) {
+            return res.status(401).json({ success: false, error: 'Invalid or expired refresh token.' });
+        }
+
+        const user = await User.findById(payload.sub);
+        if (payload.type !== 'refresh' || !user || !user.isActive || user.tokenVersion !== payload.tokenVersion) {
+            return res.status(401).json({ success: false, error: 'Refresh token has been revoked.' });
+        }
+
+        res.status(200).json({ success: true, data: { user, ...issueTokens(user) } });
+    } catch (error) {
+        console.error("Error refreshing token:", error);
+        res.status(500).json({ success: false, error: 'Failed to refresh token', details: error.message });
+    }
+});
+
+app.post('/api/auth/logout', authenticate, async (req, res) => {
+    try {
+        // Bumping the version invalidates every refresh token issued so far
+        req.user.tokenVersion += 1;
+        req.user.updatedAt = new Date();
+        await req.user.save();
+        res.status(200).json({ success: true, message: 'Logged out successfully.' });
+    } catch (error) {
+        console.error("Error logging out:", error);
+        res.status(500).json({ success: false, error: 'Failed to log out', details: error.message });
+    }
+});
+
+app.get('/api/auth/me', authenticate, (req, res) => {
+    res.status(200).json({ success: true, data: req.user });
+});
+
+
+// --- Users API (admin only) ---
+app.get('/api/users', authenticate, authorize(ROLES.ADMIN), async (req, res) => {
+    try {
+        const users = await User.find().sort({ createdAt: -1 });
+        res.status(200).json({ success: true, data: users });
+    } catch (error) {
+        console.error("Error fetching users:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch users', details: error.message });
+    }
+});
+
+app.post('/api/users', authenticate, authorize(ROLES.ADMIN), validateUser, handleValidationErrors, async (req, res) => {
+    try {
+        const existingUser = await User.findOne({ email: req.body.email });
+        if (existingUser) {
+            return res.status(400).json({ success: false, error: 'A user with this email already exists.' });
+        }
+
+        const isHospitalUser = req.body.role === ROLES.HOSPITAL_REQUESTER;
+        if (isHospitalUser && !(await Hospital.exists({ _id: req.body.hospitalId, isActive: true }))) {
+            return res.status(400).json({ success: false, error: 'Hospital not found or inactive.' });
+        }
+
+        const user = new User({
+            name: req.body.name,
+            email: req.body.email,
+            passwordHash: await bcrypt.hash(req.body.password, 10),
+            role: req.body.role,
+            hospitalId: isHospitalUser ? req.body.hospitalId : undefined
+        });
+        await user.save();
+        await recordAudit(req, { action: 'create', entityType: 'User', entityId: user._id, after: user });
+        res.status(201).json({ success: true, message: 'User created successfully!', data: user });
+    } catch (error) {
+        console.error("Error creating user:", error);
+        res.status(500).json({ success: false, error: 'Failed to create user', details: error.message });
+    }
+});
+
+app.put('/api/users/:id', authenticate, authorize(ROLES.ADMIN), validateUserUpdate, handleValidationErrors, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found.' });
+        }
+
+        const before = snapshot(user);
+        const { name, password, role, isActive, hospitalId } = req.body;
+        if (name !== undefined) user.name = name;
+        if (role !== undefined) user.role = role;
+        if (isActive !== undefined) user.isActive = isActive;
+        if (user.role === ROLES.HOSPITAL_REQUESTER) {
+            if (hospitalId !== undefined) {
+                if (!(await Hospital.exists({ _id: hospitalId, isActive: true }))) {
+                    return res.status(400).json({ success: false, error: 'Hospital not found or inactive.' });
+                }
+                user.hospitalId = hospitalId;
+            }
+            if (!user.hospitalId) {
+                return res.status(400).json({ success: false, error: 'Hospital users must be linked to a hospital.' });
+            }
+        } else {
+            user.hospitalId = undefined; // Only hospital users are scoped to a hospital
+        }
+        if (password !== undefined) {
+            user.passwordHash = await bcrypt.hash(password, 10);
+            user.tokenVersion += 1; // Force re-login everywhere after a password change
+        }
+        user.updatedAt = new Date();
+        await user.save();
+        await recordAudit(req, { action: 'update', entityType: 'User', entityId: user._id, before, after: user });
+        res.status(200).json({ success: true, message: 'User updated successfully.', data: user });
+    } catch (error) {
+        console.error("Error updating user:", error);
+        res.status(500).json({ success: false, error: 'Failed to update user', details: error.message });
+    }
+});
+
+
+// --- Hospital Registry API ---
+
+// Hospital users only ever see their own hospital
+const hospitalScope = (req) => (req.user.role === ROLES.HOSPITAL_REQUESTER ? { _id: req.user.hospitalId } : {});
+
+app.get('/api/hospitals', authenticate, [
+    query('includeInactive').optional().isBoolean().withMessage('includeInactive must be true or false')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const filter = hospitalScope(req);
+        if (req.query.includeInactive !== 'true') filter.isActive = true;
+        const hospitals = await Hospital.find(filter).collation({ locale: 'en', strength: 2 }).sort({ name: 1 });
+        res.status(200).json({ success: true, data: hospitals });
+    } catch (error) {
+        console.error("Error fetching hospitals:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch hospitals', details: error.message });
+    }
+});
+
+// Units issued and turnaround (request to issue) per hospital, optionally limited to requests made ?from=&to=
+app.get('/api/hospitals/report', authenticate, [
+    query('from').optional().isISO8601().withMessage('Invalid from date format'),
+    query('to').optional().isISO8601().withMessage('Invalid to date format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const match = { hospitalId: { $ne: null } };
+        if (req.user.role === ROLES.HOSPITAL_REQUESTER) match.hospitalId = req.user.hospitalId;
+        const requestDate = buildDateRange(req.query.from, req.query.to);
+        if (requestDate) match.requestDate = requestDate;
+
+        const isIssued = { $in: ['$status', ISSUED_REQUEST_STATUSES] };
+        const groups = await Request.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$hospitalId',
+                    totalRequests: { $sum: 1 },
+                    openRequests: { $sum: { $cond: [{ $in: ['$status', OPEN_REQUEST_STATUSES] }, 1, 0] } },
+                    issuedRequests: { $sum: { $cond: [isIssued, 1, 0] } },
+                    unitsRequested: { $sum: '$units' },
+                    unitsIssued: { $sum: { $cond: [isIssued, ISSUED_UNITS, 0] } },
+                    // $avg skips the nulls, so only issued requests with a processing date count
+                    avgTurnaroundMs: { $avg: { $cond: [{ $and: [isIssued, '$processedDate'] }, { $subtract: ['$processedDate', '$requestDate'] }, null] } }
+                }
+            }
+        ]);
+
+        const hospitals = await Hospital.find({ _id: { $in: groups.map(group => group._id) } });
+        const report = groups.map(group => {
+            const hospital = hospitals.find(item => item._id.equals(group._id));
+            return {
+                hospitalId: group._id,
+                hospital: hospital ? hospital.name : 'Unknown hospital',
+                totalRequests: group.totalRequests,
+                openRequests: group.openRequests,
+                issuedRequests: group.issuedRequests,
+                unitsRequested: group.unitsRequested,
+                unitsIssued: group.unitsIssued,
+                avgTurnaroundMinutes: group.avgTurnaroundMs === null ? null : Math.round(group.avgTurnaroundMs / 60000)
+            };
+        }).sort((a, b) => b.unitsIssued - a.unitsIssued);
+
+        res.status(200).json({ success: true, data: report });
+    } catch (error) {
+        console.error("Error building hospital report:", error);
+        res.status(500).json({ success: false, error: 'Failed to build hospital report', details: error.message });
+    }
+});
+
+app.get('/api/hospitals/:id', authenticate, [
+    param('id').isMongoId().withMessage('Invalid hospital ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const hospital = await Hospital.findOne({ _id: req.params.id, ...hospitalScope(req) });
+        if (!hospital) {
+            return res.status(404).json({ success: false, error: 'Hospital not found.' });
+        }
+        res.status(200).json({ success: true, data: hospital });
+    } catch (error) {
+        console.error("Error fetching hospital:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch hospital', details: error.message });
+    }
+});
+
+app.post('/api/hospitals', authenticate, authorize(ROLES.ADMIN), validateHospital, handleValidationErrors, async (req, res) => {
+    try {
+        const { name, contact, address } = req.body;
+        const hospital = new Hospital({ name, contact, address });
+        await hospital.save();
+        await recordAudit(req, { action: 'create', entityType: 'Hospital', entityId: hospital._id, after: hospital });
+        publishEvent('hospital.changed', { hospitalId: hospital._id, action: 'create' });
+        res.status(201).json({ success: true, message: 'Hospital registered successfully!', data: hospital });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ success: false, error: 'A hospital with this name is already registered.' });
+        }
+        console.error("Error creating hospital:", error);
+        res.status(500).json({ success: false, error: 'Failed to register hospital', details: error.message });
+    }
+});
+
+app.put('/api/hospitals/:id', authenticate, authorize(ROLES.ADMIN), [
+    param('id').isMongoId().withMessage('Invalid hospital ID format'),
+    ...validateHospitalUpdate
+], handleValidationErrors, async (req, res) => {
+    try {
+        const hospital = await Hospital.findById(req.params.id);
+        if (!hospital) {
+            return res.status(404).json({ success: false, error: 'Hospital not found.' });
+        }
+
+        const before = snapshot(hospital);
+        ['name', 'contact', 'address', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) hospital[field] = req.body[field];
+        });
+        hospital.updatedAt = new Date();
+        await hospital.save();
+        await recordAudit(req, { action: 'update', entityType: 'Hospital', entityId: hospital._id, before, after: hospital });
+        publishEvent('hospital.changed', { hospitalId: hospital._id, action: 'update' });
+        res.status(200).json({ success: true, message: 'Hospital updated successfully.', data: hospital });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ success: false, error: 'A hospital with this name is already registered.' });
+        }
+        console.error("Error updating hospital:", error);
+        res.status(500).json({ success: false, error: 'Failed to update hospital', details: error.message });
+    }
+});
+
+// --- Branches and Transfers API ---
+app.get('/api/branches', authenticate, authorize(...STAFF_ROLES), [
+    query('includeInactive').optional().isBoolean().withMessage('includeInactive must be true or false')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+        const branches = await Branch.find(filter).collation({ locale: 'en', strength: 2 }).sort({ name: 1 });
+        res.status(200).json({ success: true, data: branches });
+    } catch (error) {
+        console.error("Error fetching branches:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch branches', details: error.message });
+    }
+});
+
+// Stock held at each branch: available units per blood type (red-cell components, as counted against the thresholds),
+// all available units, units reserved for requests, units on their way out and units on their way in.
+// Units recorded before branches existed are reported under branchId null.
+app.get('/api/branches/stats', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const now = new Date();
+        const [branches, unitGroups, incomingGroups] = await Promise.all([
+            Branch.find().collation({ locale: 'en', strength: 2 }).sort({ name: 1 }),
+            Inventory.aggregate([
+                {
+                    $match: {
+                        $or: [
+                            { status: 'available', expiryDate: { $gt: now } },
+                            { status: { $in: ['reserved', 'in_transit'] } }
+                        ]
+                    }
+                },
+                {
+                    $group: {
+                        _id: { branchId: '$branchId', status: '$status', bloodType: '$bloodType', component: { $ifNull: ['$component', 'whole_blood'] } },
+                        totalUnits: { $sum: '$units' }
+                    }
+                }
+            ]),
+            Transfer.aggregate([
+                { $match: { status: 'dispatched' } },
+                { $unwind: '$items' },
+                { $group: { _id: '$toBranchId', totalUnits: { $sum: '$items.units' } } }
+            ])
+        ]);
+
+        const emptyStats = (branch) => ({
+            branchId: branch ? branch._id : null,
+            name: branch ? branch.name : 'Unassigned',
+            code: branch ? branch.code : null,
+            isActive: branch ? branch.isActive : true,
+            unitsByType: Object.fromEntries(BLOOD_TYPES.map(bloodType => [bloodType, 0])),
+            availableUnits: 0,
+            reservedUnits: 0,
+            inTransitUnits: 0,
+            incomingUnits: 0
+        });
+        const statsByBranch = new Map(branches.map(branch => [String(branch._id), emptyStats(branch)]));
+        const statsFor = (branchId) => {
+            const key = String(branchId || null);
+            if (!statsByBranch.has(key)) statsByBranch.set(key, emptyStats(null));
+            return statsByBranch.get(key);
+        };
+
+        unitGroups.forEach(({ _id: group, totalUnits }) => {
+            const stats = statsFor(group.branchId);
+            if (group.status === 'available') {
+                stats.availableUnits += totalUnits;
+                if (RED_CELL_COMPONENTS.includes(group.component)) stats.unitsByType[group.bloodType] += totalUnits;
+            } else if (group.status === 'reserved') {
+                stats.reservedUnits += totalUnits;
+            } else {
+                stats.inTransitUnits += totalUnits;
+            }
+        });
+        incomingGroups.forEach(group => { statsFor(group._id).incomingUnits += group.totalUnits; });
+
+        res.status(200).json({ success: true, data: [...statsByBranch.values()] });
+    } catch (error) {
+        console.error("Error building branch stats:", error);
+        res.status(500).json({ success: false, error: 'Failed to build branch stats', details: error.message });
+    }
+});
+
+app.get('/api/branches/:id', authenticate, authorize(...STAFF_ROLES), [
+    param('id').isMongoId().withMessage('Invalid branch ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const branch = await Branch.findById(req.params.id);
+        if (!branch) {
+            return res.status(404).json({ success: false, error: 'Branch not found.' });
+        }
+        res.status(200).json({ success: true, data: branch });
+    } catch (error) {
+        console.error("Error fetching branch:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch branch', details: error.message });
+    }
+});
+
+app.post('/api/branches', authenticate, authorize(ROLES.ADMIN), validateBranch, handleValidationErrors, async (req, res) => {
+    try {
+        const { name, code, phone, address } = req.body;
+        const branch = new Branch({ name, code, phone, address });
+        await branch.save();
+        await recordAudit(req, { action: 'create', entityType: 'Branch', entityId: branch._id, after: branch });
+        publishEvent('branch.changed', { branchId: branch._id, action: 'create' });
+        res.status(201).json({ success: true, message: 'Branch added successfully!', data: branch });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ success: false, error: 'A branch with this name or code already exists.' });
+        }
+        console.error("Error creating branch:", error);
+        res.status(500).json({ success: false, error: 'Failed to add branch', details: error.message });
+    }
+});
+
+app.put('/api/branches/:id', authenticate, authorize(ROLES.ADMIN), [
+    param('id').isMongoId().withMessage('Invalid branch ID format'),
+    ...validateBranchUpdate
+], handleValidationErrors, async (req, res) => {
+    try {
+        const branch = await Branch.findById(req.params.id);
+        if (!branch) {
+            return res.status(404).json({ success: false, error: 'Branch not found.' });
+        }
+
+        const before = snapshot(branch);
+        ['name', 'code', 'phone', 'address', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) branch[field] = req.body[field];
+        });
+        branch.updatedAt = new Date();
+        await branch.save();
+        await recordAudit(req, { action: 'update', entityType: 'Branch', entityId: branch._id, before, after: branch });
+        publishEvent('branch.changed', { branchId: branch._id, action: 'update' });
+        res.status(200).json({ success: true, message: 'Branch updated successfully.', data: branch });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ success: false, error: 'A branch with this name or code already exists.' });
+        }
+        console.error("Error updating branch:", error);
+        res.status(500).json({ success: false, error: 'Failed to update branch', details: error.message });
+    }
+});
+
+const TRANSFER_POPULATE = [{ path: 'fromBranchId', select: 'name code' }, { path: 'toBranchId', select: 'name code' }];
+
+// Transfers, newest first. ?branchId= matches transfers leaving or arriving at a branch; ?inventoryId= finds the
+// transfers a unit travelled in.
+app.get('/api/transfers', authenticate, authorize(...STAFF_ROLES), [
+    ...validateListQuery,
+    query('status').optional().isIn(TRANSFER_STATUSES).withMessage('Invalid transfer status'),
+    query('branchId').optional().isMongoId().withMessage('Invalid branch ID format'),
+    query('inventoryId').optional().isMongoId().withMessage('Invalid blood unit ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const { status, branchId, inventoryId, from, to } = req.query;
+        const filter = {};
+        if (status) filter.status = status;
+        if (branchId) filter.$or = [{ fromBranchId: branchId }, { toBranchId: branchId }];
+        if (inventoryId) filter.inventoryIds = inventoryId;
+        const requestedAt = buildDateRange(from, to);
+        if (requestedAt) filter.requestedAt = requestedAt;
+
+        const { data, pagination } = await paginate(Transfer, filter, req.query, {
+            sortFields: ['requestedAt', 'dispatchedAt', 'receivedAt', 'status'],
+            defaultSort: 'requestedAt',
+            populate: [TRANSFER_POPULATE]
+        });
+        res.status(200).json({ success: true, data, pagination });
+    } catch (error) {
+        console.error("Error fetching transfers:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch transfers', details: error.message });
+    }
+});
+
+app.get('/api/transfers/:id', authenticate, authorize(...STAFF_ROLES), [
+    param('id').isMongoId().withMessage('Invalid transfer ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const transfer = await Transfer.findById(req.params.id)
+            .populate([...TRANSFER_POPULATE, { path: 'inventoryIds', select: 'bloodType component units collectionDate expiryDate status' }]);
+        if (!transfer) {
+            return res.status(404).json({ success: false, error: 'Transfer not found.' });
+        }
+        res.status(200).json({ success: true, data: transfer });
+    } catch (error) {
+        console.error("Error fetching transfer:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch transfer', details: error.message });
+    }
+});
+
+// The receiving branch asks for stock; nothing moves until the sending branch dispatches it
+app.post('/api/transfers', authenticate, authorize(ROLES.ADMIN, ROLES.LAB_TECHNICIAN), validateTransfer, handleValidationErrors, async (req, res) => {
+    try {
+        const { fromBranchId, toBranchId, items, notes } = req.body;
+        const activeBranches = await Branch.countDocuments({ _id: { $in: [fromBranchId, toBranchId] }, isActive: true });
+        if (activeBranches !== 2) {
+            return res.status(400).json({ success: false, error: 'Both branches must exist and be active.' });
+        }
+
+        const transfer = new Transfer({
+            fromBranchId,
+            toBranchId,
+            items: items.map(({ bloodType, component = 'whole_blood', units }) => ({ bloodType, component, units })),
+            notes,
+            requestedBy: req.user.name
+        });
+        await transfer.save();
+        await recordAudit(req, { action: 'create', entityType: 'Transfer', entityId: transfer._id, after: transfer });
+        publishEvent('transfer.changed', { transferId: transfer._id, action: 'create', status: transfer.status });
+        res.status(201).json({ success: true, message: 'Transfer requested.', data: transfer });
+    } catch (error) {
+        console.error("Error requesting transfer:", error);
+        res.status(500).json({ success: false, error: 'Failed to request transfer', details: error.message });
+    }
+});
+
+// Sends the units: they are picked from the sending branch and stay 'in_transit' (out of available stock) until received
+app.put('/api/transfers/:id/dispatch', authenticate, authorize(ROLES.ADMIN, ROLES.LAB_TECHNICIAN), [
+    param('id').isMongoId().withMessage('Invalid transfer ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const transfer = await transitionTransfer(req, req.params.id, {
+            from: ['requested'],
+            action: 'dispatch',
+            apply: async (requested, session) => {
+                const inventoryIds = await dispatchTransferUnits(req, requested, session);
+                return { status: 'dispatched', inventoryIds, dispatchedBy: req.user.name, dispatchedAt: new Date() };
+            }
+        });
+        checkStockAlerts();
+        res.status(200).json({ success: true, message: `Transfer dispatched with ${transfer.inventoryIds.length} batch(es).`, data: transfer });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to dispatch transfer');
+    }
+});
+
+app.put('/api/transfers/:id/receive', authenticate, authorize(ROLES.ADMIN, ROLES.LAB_TECHNICIAN), [
+    param('id').isMongoId().withMessage('Invalid transfer ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const transfer = await transitionTransfer(req, req.params.id, {
+            from: ['dispatched'],
+            action: 'receive',
+            apply: async (dispatched, session) => {
+                await unloadTransferUnits(dispatched, dispatched.toBranchId, session);
+                return { status: 'received', receivedBy: req.user.name, receivedAt: new Date() };
+            }
+        });
+        const units = await Inventory.find({ _id: { $in: transfer.inventoryIds } });
+        const allocation = await allocateNewStockSafely(req, units);
+        checkStockAlerts();
+        res.status(200).json({ success: true, message: `Transfer received.${describeAllocation(allocation)}`, data: transfer, allocation });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to receive transfer');
+    }
+});
+
+// A dispatched transfer that is cancelled (e.g. the shipment never left) puts its units back at the sending branch
+app.put('/api/transfers/:id/cancel', authenticate, authorize(ROLES.ADMIN, ROLES.LAB_TECHNICIAN), [
+    param('id').isMongoId().withMessage('Invalid transfer ID format'),
+    ...validateReason
+], handleValidationErrors, async (req, res) => {
+    try {
+        const transfer = await transitionTransfer(req, req.params.id, {
+            from: ['requested', 'dispatched'],
+            action: 'cancel',
+            apply: async (current, session) => {
+                if (current.status === 'dispatched') {
+                    await unloadTransferUnits(current, current.fromBranchId, session);
+                }
+                return { status: 'cancelled', cancellationReason: req.body.reason, cancelledBy: req.user.name, cancelledAt: new Date() };
+            }
+        });
+        if (transfer.inventoryIds.length > 0) {
+            const units = await Inventory.find({ _id: { $in: transfer.inventoryIds } });
+            await allocateNewStockSafely(req, units);
+            checkStockAlerts();
+        }
+        res.status(200).json({ success: true, message: 'Transfer cancelled.', data: transfer });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to cancel transfer');
+    }
+});
+
+// Dashboard Stats. ?branchId= limits the unit counts to one branch; donor, request and alert counts are network-wide.
+app.get('/api/stats', authenticate, authorize(...STAFF_ROLES), [
+    query('branchId').optional().isMongoId().withMessage('Invalid branch ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const branchMatch = req.query.branchId ? { branchId: new mongoose.Types.ObjectId(req.query.branchId) } : {};
+        // Units past expiry are excluded even if the scheduler has not marked them yet
+        const [totalDonors, pendingRequests, unitsByComponent, thresholds, openAlerts, reservedGroups] = await Promise.all([
+            Donor.countDocuments({ isActive: true }),
+            Request.countDocuments({ status: 'pending' }),
+            getAvailableUnitsByComponent(branchMatch),
+            getStockThresholds(),
+            Alert.countDocuments({ status: 'open' }),
+            Inventory.aggregate([ // Held for patients, so not part of the available counts above
+                { $match: { status: 'reserved', ...branchMatch } },
+                { $group: { _id: null, totalUnits: { $sum: '$units' } } }
+            ])
+        ]);
+
+        // Level of each blood type against its configured thresholds, for the overview table and critical count.
+        // units counts red-cell components only (see getAvailableUnitsByType); components has the full breakdown.
+        const bloodTypeLevels = BLOOD_TYPES.map(bloodType => {
+            const components = unitsByComponent[bloodType];
+            const units = RED_CELL_COMPONENTS.reduce((sum, component) => sum + components[component], 0);
+            return {
+                bloodType,
+                units,
+                components,
+                level: classifyStockLevel(units, thresholds[bloodType]),
+                threshold: thresholds[bloodType]
+            };
+        });
+        const totalUnits = bloodTypeLevels.reduce((sum, item) => (
+            sum + COMPONENT_TYPES.reduce((componentSum, component) => componentSum + item.components[component], 0)
+        ), 0);
+        const criticalLevels = bloodTypeLevels.filter(item => item.level === 'critical').length;
+
+        res.json({
+            success: true,
+            data: {
+                totalDonors: totalDonors,
+                totalUnits: totalUnits,
+                pendingRequests: pendingRequests,
+                criticalLevels: criticalLevels,
+                openAlerts: openAlerts,
+                reservedUnits: reservedGroups.length > 0 ? reservedGroups[0].totalUnits : 0,
+                bloodTypeLevels: bloodTypeLevels
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching dashboard stats:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch dashboard stats', details: error.message });
+    }
+});
+
+
+// --- Reports API ---
+// Aggregations over a date range (?from=&to=). Without ?from the range starts REPORT_DEFAULT_MONTHS calendar
+// months back (including the current month); without ?to it ends now. Months are UTC and labelled YYYY-MM.
+
+const REPORT_DEFAULT_MONTHS = 12;
+
+// Resolves ?from=&to= into concrete dates
+const getReportRange = ({ from, to }) => {
+    const end = to ? buildDateRange(undefined, to).$lte : new Date();
+    const start = from ? new Date(from) : new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - (REPORT_DEFAULT_MONTHS - 1), 1));
+    return { from: start, to: end };
+};
+
+// Every month label in the range, so months without activity still appear in charts
+const listReportMonths = ({ from, to }) => {
+    const months = [];
+    const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+    while (cursor <= to) {
+        months.push(cursor.toISOString().slice(0, 7));
+        cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+    return months;
+};
+
+const monthOf = (field) => ({ $dateToString: { format: '%Y-%m', date: field } });
+
+// Donations are original collections: units separated into components or split off a batch are not counted again
+const ORIGINAL_COLLECTION = { parentInventoryId: null, sourceInventoryId: null };
+
+const toMinutes = (ms) => (ms === null || ms === undefined ? null : Math.round(ms / 60000));
+
+// Donations collected per month, by blood type
+app.get('/api/reports/donations', authenticate, authorize(...STAFF_ROLES), validateReportQuery, handleValidationErrors, async (req, res) => {
+    try {
+        const range = getReportRange(req.query);
+        const groups = await Inventory.aggregate([
+            { $match: { ...ORIGINAL_COLLECTION, collectionDate: { $gte: range.from, $lte: range.to } } },
+            { $group: { _id: { month: monthOf('$collectionDate'), bloodType: '$bloodType' }, units: { $sum: '$units' }, donations: { $sum: 1 } } }
+        ]);
+
+        const emptyByType = () => Object.fromEntries(BLOOD_TYPES.map(type => [type, 0]));
+        const totals = { units: 0, donations: 0, byBloodType: emptyByType() };
+        const months = listReportMonths(range).map(month => {
+            const entry = { month, units: 0, donations: 0, byBloodType: emptyByType() };
+            groups.filter(group => group._id.month === month).forEach(group => {
+                entry.units += group.units;
+                entry.donations += group.donations;
+                entry.byBloodType[group._id.bloodType] += group.units;
+                totals.byBloodType[group._id.bloodType] += group.units;
+            });
+            totals.units += entry.units;
+            totals.donations += entry.donations;
+            return entry;
+        });
+
+        res.status(200).json({ success: true, data: { ...range, months, totals } });
+    } catch (error) {
+        console.error("Error building donations report:", error);
+        res.status(500).json({ success: false, error: 'Failed to build donations report', details: error.message });
+    }
+});
+
+// Units issued per hospital, with a monthly breakdown, for requests issued within the range. Requests are grouped
+// by registered hospital under its registry name; older requests with only a free-text hospital are grouped by that name.
+app.get('/api/reports/issued', authenticate, authorize(...STAFF_ROLES), validateReportQuery, handleValidationErrors, async (req, res) => {
+    try {
+        const range = getReportRange(req.query);
+        const groups = await Request.aggregate([
+            { $match: { status: { $in: ISSUED_REQUEST_STATUSES }, processedDate: { $gte: range.from, $lte: range.to } } },
+            {
+                $group: {
+                    _id: { hospital: { $ifNull: ['$hospitalId', '$hospital'] }, month: monthOf('$processedDate') },
+                    requests: { $sum: 1 },
+                    unitsIssued: { $sum: ISSUED_UNITS }
+                }
+            }
+        ]);
+        const registered = await Hospital.find({ _id: { $in: groups.map(group => group._id.hospital).filter(key => key instanceof mongoose.Types.ObjectId) } }).select('name');
+        const nameById = new Map(registered.map(hospital => [String(hospital._id), hospital.name]));
+
+        const months = listReportMonths(range);
+        const byHospital = new Map();
+        groups.forEach(group => {
+            const key = String(group._id.hospital);
+            const hospitalId = group._id.hospital instanceof mongoose.Types.ObjectId ? group._id.hospital : null;
+            if (!byHospital.has(key)) {
+                byHospital.set(key, {
+                    hospitalId,
+                    hospital: (hospitalId ? nameById.get(key) : group._id.hospital) || 'Unknown hospital',
+                    requests: 0,
+                    unitsIssued: 0,
+                    months: Object.fromEntries(months.map(month => [month, 0]))
+                });
+            }
+            const entry = byHospital.get(key);
+            entry.requests += group.requests;
+            entry.unitsIssued += group.unitsIssued;
+            entry.months[group._id.month] += group.unitsIssued;
+        });
+        const hospitals = [...byHospital.values()].sort((a, b) => b.unitsIssued - a.unitsIssued);
+
+        res.status(200).json({ success: true, data: { ...range, months, hospitals } });
+    } catch (error) {
+        console.error("Error building issued units report:", error);
+        res.status(500).json({ success: false, error: 'Failed to build issued units report', details: error.message });
+    }
+});
+
+// Units wasted per month against units collected that month (by collection date), with totals by discard reason and
+// blood type. Discarded units count in the month they were discarded. Expired units nobody has discarded yet count
+// as 'expired' in the month they expired and are also reported as awaiting disposal. Discards recorded before
+// reasons were coded are grouped as 'unrecorded'. Wasted components count individually, so separating blood can
+// push a month's rate above what whole units alone would show.
+app.get('/api/reports/wastage', authenticate, authorize(...STAFF_ROLES), validateReportQuery, handleValidationErrors, async (req, res) => {
+    try {
+        const range = getReportRange(req.query);
+        const inRange = { $gte: range.from, $lte: range.to };
+        const [collected, wasted] = await Promise.all([
+            Inventory.aggregate([
+                { $match: { ...ORIGINAL_COLLECTION, collectionDate: inRange } },
+                { $group: { _id: monthOf('$collectionDate'), units: { $sum: '$units' } } }
+            ]),
+            Inventory.aggregate([
+                { $match: { $or: [{ status: 'discarded', discardedAt: inRange }, { status: 'expired', expiryDate: inRange }] } },
+                {
+                    $group: {
+                        _id: {
+                            month: monthOf({ $cond: [{ $eq: ['$status', 'discarded'] }, '$discardedAt', '$expiryDate'] }),
+                            reason: { $cond: [{ $eq: ['$status', 'discarded'] }, { $ifNull: ['$discardReason', 'unrecorded'] }, 'expired'] },
+                            bloodType: '$bloodType',
+                            awaitingDisposal: { $eq: ['$status', 'expired'] }
+                        },
+                        units: { $sum: '$units' }
+                    }
+                }
+            ])
+        ]);
+
+        const emptyByType = () => Object.fromEntries(BLOOD_TYPES.map(type => [type, 0]));
+        const emptyByReason = () => Object.fromEntries(DISCARD_REASON_CODES.map(reason => [reason, 0]));
+        const rate = (wastedUnits, collectedUnits) => (collectedUnits > 0 ? Math.round((wastedUnits / collectedUnits) * 1000) / 10 : null);
+
+        const byReason = Object.fromEntries(DISCARD_REASON_CODES.map(reason => [reason, { label: DISCARD_REASONS[reason], units: 0, byBloodType: emptyByType() }]));
+        const totals = { collectedUnits: 0, wastedUnits: 0, awaitingDisposalUnits: 0, byBloodType: emptyByType(), byReason };
+        wasted.forEach(({ _id, units }) => {
+            if (!byReason[_id.reason]) {
+                byReason[_id.reason] = { label: 'Not recorded', units: 0, byBloodType: emptyByType() };
+            }
+            byReason[_id.reason].units += units;
+            byReason[_id.reason].byBloodType[_id.bloodType] += units;
+            totals.byBloodType[_id.bloodType] += units;
+            if (_id.awaitingDisposal) totals.awaitingDisposalUnits += units;
+        });
+
+        const months = listReportMonths(range).map(month => {
+            const collectedGroup = collected.find(group => group._id === month);
+            const entry = { month, collectedUnits: collectedGroup ? collectedGroup.units : 0, wastedUnits: 0, byReason: emptyByReason() };
+            wasted.filter(group => group._id.month === month).forEach(group => {
+                entry.wastedUnits += group.units;
+                entry.byReason[group._id.reason] = (entry.byReason[group._id.reason] || 0) + group.units;
+            });
+            entry.wastagePercent = rate(entry.wastedUnits, entry.collectedUnits);
+            totals.collectedUnits += entry.collectedUnits;
+            totals.wastedUnits += entry.wastedUnits;
+            return entry;
+        });
+        totals.wastagePercent = rate(totals.wastedUnits, totals.collectedUnits);
+
+        res.status(200).json({ success: true, data: { ...range, months, totals } });
+    } catch (error) {
+        console.error("Error building wastage report:", error);
+        res.status(500).json({ success: false, error: 'Failed to build wastage report', details: error.message });
+    }
+});
+
+// Average time from request to issue (requestDate → processedDate) per month and per priority
+app.get('/api/reports/turnaround', authenticate, authorize(...STAFF_ROLES), validateReportQuery, handleValidationErrors, async (req, res) => {
+    try {
+        const range = getReportRange(req.query);
+        const turnaround = { $subtract: ['$processedDate', '$requestDate'] };
+        const [result] = await Request.aggregate([
+            { $match: { status: { $in: ISSUED_REQUEST_STATUSES }, processedDate: { $gte: range.from, $lte: range.to } } },
+            {
+                $facet: {
+                    byMonth: [{ $group: { _id: monthOf('$processedDate'), requests: { $sum: 1 }, avgMs: { $avg: turnaround } } }],
+                    byPriority: [{ $group: { _id: '$priority', requests: { $sum: 1 }, avgMs: { $avg: turnaround }, maxMs: { $max: turnaround } } }],
+                    overall: [{ $group: { _id: null, requests: { $sum: 1 }, avgMs: { $avg: turnaround } } }]
+                }
+            }
+        ]);
+
+        const months = listReportMonths(range).map(month => {
+            const group = result.byMonth.find(item => item._id === month);
+            return { month, requests: group ? group.requests : 0, avgTurnaroundMinutes: group ? toMinutes(group.avgMs) : null };
+        });
+        const priorities = REQUEST_PRIORITIES.map(priority => {
+            const group = result.byPriority.find(item => item._id === priority);
+            return {
+                priority,
+                requests: group ? group.requests : 0,
+                avgTurnaroundMinutes: group ? toMinutes(group.avgMs) : null,
+                maxTurnaroundMinutes: group ? toMinutes(group.maxMs) : null
+            };
+        });
+        const overall = result.overall[0];
+
+        res.status(200).json({
+            success: true,
+            data: { ...range, months, priorities, requests: overall ? overall.requests : 0, avgTurnaroundMinutes: overall ? toMinutes(overall.avgMs) : null }
+        });
+    } catch (error) {
+        console.error("Error building turnaround report:", error);
+        res.status(500).json({ success: false, error: 'Failed to build turnaround report', details: error.message });
+    }
+});
+
+// Donor retention: of the donors who gave in the equally long period before the range, the share who gave again within it.
+// Also counts new (first donation ever in the range), returning (had given before the range) and repeat (2+ donations in the range)
+// donors, plus active and new donors per month.
+app.get('/api/reports/donor-retention', authenticate, authorize(...STAFF_ROLES), validateReportQuery, handleValidationErrors, async (req, res) => {
+    try {
+        const range = getReportRange(req.query);
+        const previousFrom = new Date(range.from.getTime() - (range.to.getTime() - range.from.getTime()));
+        const inRange = (start, end) => ({ $and: [{ $gte: ['$collectionDate', start] }, { $lte: ['$collectionDate', end] }] });
+        const donations = { ...ORIGINAL_COLLECTION, donorId: { $ne: null }, collectionDate: { $lte: range.to } };
+
+        const [[summary], activeByMonth] = await Promise.all([
+            Inventory.aggregate([
+                { $match: donations },
+                {
+                    $group: {
+                        _id: '$donorId',
+                        firstDonation: { $min: '$collectionDate' },
+                        inPeriod: { $sum: { $cond: [inRange(range.from, range.to), 1, 0] } },
+                        inPrevious: { $sum: { $cond: [{ $and: [{ $gte: ['$collectionDate', previousFrom] }, { $lt: ['$collectionDate', range.from] }] }, 1, 0] } }
+                    }
+                },
+                {
+                    $facet: {
+                        totals: [{
+                            $group: {
+                                _id: null,
+                                activeDonors: { $sum: { $cond: [{ $gt: ['$inPeriod', 0] }, 1, 0] } },
+                                newDonors: { $sum: { $cond: [{ $gte: ['$firstDonation', range.from] }, 1, 0] } },
+                                returningDonors: { $sum: { $cond: [{ $and: [{ $gt: ['$inPeriod', 0] }, { $lt: ['$firstDonation', range.from] }] }, 1, 0] } },
+                                repeatDonors: { $sum: { $cond: [{ $gte: ['$inPeriod', 2] }, 1, 0] } },
+                                previousDonors: { $sum: { $cond: [{ $gt: ['$inPrevious', 0] }, 1, 0] } },
+                                retainedDonors: { $sum: { $cond: [{ $and: [{ $gt: ['$inPrevious', 0] }, { $gt: ['$inPeriod', 0] }] }, 1, 0] } }
+                            }
+                        }],
+                        newByMonth: [
+                            { $match: { firstDonation: { $gte: range.from } } },
+                            { $group: { _id: monthOf('$firstDonation'), donors: { $sum: 1 } } }
+                        ]
+                    }
+                }
+            ]),
+            Inventory.aggregate([
+                { $match: { ...donations, collectionDate: { $gte: range.from, $lte: range.to } } },
+                { $group: { _id: { month: monthOf('$collectionDate'), donorId: '$donorId' } } },
+                { $group: { _id: '$_id.month', donors: { $sum: 1 } } }
+            ])
+        ]);
+
+        const totals = summary.totals[0] || { activeDonors: 0, newDonors: 0, returningDonors: 0, repeatDonors: 0, previousDonors: 0, retainedDonors: 0 };
+        delete totals._id;
+        const months = listReportMonths(range).map(month => {
+            const active = activeByMonth.find(group => group._id === month);
+            const fresh = summary.newByMonth.find(group => group._id === month);
+            return { month, activeDonors: active ? active.donors : 0, newDonors: fresh ? fresh.donors : 0 };
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...range,
+                previousFrom,
+                ...totals,
+                retentionPercent: totals.previousDonors > 0 ? Math.round((totals.retainedDonors / totals.previousDonors) * 1000) / 10 : null,
+                months
+            }
+        });
+    } catch (error) {
+        console.error("Error building donor retention report:", error);
+        res.status(500).json({ success: false, error: 'Failed to build donor retention report', details: error.message });
+    }
+});
+
+// --- Stock Thresholds API ---
+app.get('/api/thresholds', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const thresholds = await getStockThresholds();
+        res.status(200).json({ success: true, data: thresholds });
+    } catch (error) {
+        console.error("Error fetching thresholds:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch thresholds', details: error.message });
+    }
+});
+
+app.put('/api/thresholds/:bloodType', authenticate, authorize(ROLES.ADMIN), [
+    param('bloodType').isIn(BLOOD_TYPES).withMessage('Invalid blood type'),
+    ...validateThreshold
+], handleValidationErrors, async (req, res) => {
+    try {
+        const { minimum, low, target } = req.body;
+        const before = await Threshold.findOne({ bloodType: req.params.bloodType });
+        const threshold = await Threshold.findOneAndUpdate(
+            { bloodType: req.params.bloodType },
+            { minimum, low, target, updatedBy: req.user.name, updatedAt: new Date() },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+        await recordAudit(req, { action: before ? 'update' : 'create', entityType: 'Threshold', entityId: threshold._id, before, after: threshold });
+        publishEvent('threshold.updated', { bloodType: threshold.bloodType });
+        checkStockAlerts(); // New levels may put a blood type in or out of alert
+        res.status(200).json({ success: true, message: `Thresholds for ${threshold.bloodType} updated successfully.`, data: threshold });
+    } catch (error) {
+        console.error("Error updating threshold:", error);
+        res.status(500).json({ success: false, error: 'Failed to update threshold', details: error.message });
+    }
+});
+
+
+// --- Alerts API ---
+app.get('/api/alerts', authenticate, authorize(...STAFF_ROLES), [
+    query('status').optional().isIn(['open', 'acknowledged', 'resolved']).withMessage('Invalid alert status')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const filter = req.query.status ? { status: req.query.status } : { status: { $in: ['open', 'acknowledged'] } };
+        const alerts = await Alert.find(filter).sort({ createdAt: -1 }).limit(MAX_PAGE_SIZE);
+        res.status(200).json({ success: true, data: alerts });
+    } catch (error) {
+        console.error("Error fetching alerts:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch alerts', details: error.message });
+    }
+});
+
+app.put('/api/alerts/:id/acknowledge', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const before = await Alert.findOne({ _id: req.params.id, status: 'open' });
+        const alert = before && await Alert.findOneAndUpdate(
+            { _id: req.params.id, status: 'open' },
+            { status: 'acknowledged', acknowledgedBy: req.user.name, acknowledgedAt: new Date(), updatedAt: new Date() },
+            { new: true }
+        );
+        if (!alert) {
+            return res.status(404).json({ success: false, error: 'Open alert not found.' });
+        }
+        await recordAudit(req, { action: 'acknowledge', entityType: 'Alert', entityId: alert._id, before, after: alert });
+        publishEvent('alert.updated', { alertId: alert._id, status: alert.status });
+        res.status(200).json({ success: true, message: 'Alert acknowledged.', data: alert });
+    } catch (error) {
+        console.error("Error acknowledging alert:", error);
+        res.status(500).json({ success: false, error: 'Failed to acknowledge alert', details: error.message });
+    }
+});
+
+app.put('/api/alerts/:id/resolve', authenticate, authorize(ROLES.ADMIN, ROLES.LAB_TECHNICIAN), async (req, res) => {
+    try {
+        const before = await Alert.findOne({ _id: req.params.id, status: { $in: ['open', 'acknowledged'] } });
+        const alert = before && await Alert.findOneAndUpdate(
+            { _id: req.params.id, status: { $in: ['open', 'acknowledged'] } },
+            { status: 'resolved', resolvedBy: req.user.name, resolvedAt: new Date(), updatedAt: new Date() },
+            { new: true }
+        );
+        if (!alert) {
+            return res.status(404).json({ success: false, error: 'Active alert not found.' });
+        }
+        await recordAudit(req, { action: 'resolve', entityType: 'Alert', entityId: alert._id, before, after: alert });
+        publishEvent('alert.updated', { alertId: alert._id, status: alert.status });
+        res.status(200).json({ success: true, message: 'Alert resolved.', data: alert });
+    } catch (error) {
+        console.error("Error resolving alert:", error);
+        res.status(500).json({ success: false, error: 'Failed to resolve alert', details: error.message });
+    }
+});
+
+
+// --- Donors API ---
+// Donor list filters, shared by the list and export endpoints
+const buildDonorFilter = ({ includeInactive, bloodType, search, from, to }) => {
+    // Inactive (soft-deleted) donors are hidden unless explicitly requested
+    const filter = includeInactive === 'true' ? {} : { isActive: true };
+    if (bloodType) filter.bloodType = bloodType;
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+    const createdAt = buildDateRange(from, to);
+    if (createdAt) filter.createdAt = createdAt;
+    return filter;
+};
+const DONOR_LIST_OPTIONS = { sortFields: ['name', 'age', 'bloodType', 'lastDonation', 'createdAt'], defaultSort: 'createdAt' };
+
+app.get('/api/donors', authenticate, authorize(...STAFF_ROLES), validateListQuery, handleValidationErrors, async (req, res) => {
+    try {
+        const { data, pagination } = await paginate(Donor, buildDonorFilter(req.query), req.query, DONOR_LIST_OPTIONS);
+        res.status(200).json({ success: true, data, pagination }); // Consistent response format
+    } catch (error) {
+        console.error("Error fetching donors:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch donors', details: error.message });
+    }
+});
+
+app.get('/api/donors/export', authenticate, authorize(...STAFF_ROLES), validateListQuery, validateExportQuery, handleValidationErrors, async (req, res) => {
+    try {
+        const docs = await Donor.find(buildDonorFilter(req.query))
+            .sort(buildSort(req.query, DONOR_LIST_OPTIONS.sortFields, DONOR_LIST_OPTIONS.defaultSort))
+            .limit(EXPORT_MAX_ROWS);
+        await sendExport(res, { format: req.query.format, filename: 'donors', columns: DONOR_EXPORT_COLUMNS, docs });
+    } catch (error) {
+        console.error("Error exporting donors:", error);
+        res.status(500).json({ success: false, error: 'Failed to export donors', details: error.message });
+    }
+});
+
+// Bulk donor registration from a spreadsheet; ?dryRun=true only validates
+app.post('/api/donors/import', authenticate, authorize(ROLES.ADMIN, ROLES.FRONT_DESK), importBodyParser, validateImportQuery, handleValidationErrors, async (req, res) => {
+    try {
+        await runImport(req, res, {
+            entityType: 'Donor',
+            fields: DONOR_EDITABLE_FIELDS,
+            requiredFields: ['name', 'age', 'bloodType', 'phone', 'email'],
+            validators: validateDonor,
+            checkRow: async (data, context) => {
+                context.emails = context.emails || new Set();
+                const errors = [];
+                if (context.emails.has(data.email)) {
+                    errors.push({ field: 'email', value: data.email, msg: 'Email appears more than once in the file' });
+                } else if (await Donor.exists({ email: data.email })) {
+                    errors.push({ field: 'email', value: data.email, msg: 'A donor with this email already exists' });
+                }
+                context.emails.add(data.email);
+                return errors;
+            },
+            createRows: (rows, session) => Donor.create(rows, { session, ordered: true }),
+            afterImport: (donors) => publishEvent('donor.changed', { action: 'import', count: donors.length })
+        });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        console.error("Error importing donors:", error);
+        res.status(500).json({ success: false, error: 'Failed to import donors', details: error.message });
+    }
+});
+
+app.post('/api/donors', authenticate, authorize(ROLES.ADMIN, ROLES.FRONT_DESK), validateDonor, handleValidationErrors, async (req, res) => {
+    try {
+        // Check for duplicate email
+        const existingDonor = await Donor.findOne({ email: req.body.email });
+        if (existingDonor) {
+            return res.status(400).json({ success: false, error: 'A donor with this email already exists.' });
+        }
+
+        const donor = new Donor(req.body);
+        await donor.save();
+        await recordAudit(req, { action: 'create', entityType: 'Donor', entityId: donor._id, after: donor });
+        publishEvent('donor.changed', { donorId: donor._id, action: 'create' });
+        res.status(201).json({ success: true, message: 'Donor registered successfully!', data: donor }); // Consistent response format
+    } catch (error) {
+        console.error("Error creating donor:", error);
+        res.status(500).json({ success: false, error: 'Failed to register donor', details: error.message });
+    }
+});
+
+// Shared by PUT (full update) and PATCH (partial update)
+const updateDonor = async (req, res) => {
+    try {
+        const donor = await Donor.findById(req.params.id);
+        if (!donor) {
+            return res.status(404).json({ success: false, error: 'Donor not found.' });
+        }
+
+        if (req.body.email && req.body.email !== donor.email) {
+            const existingDonor = await Donor.findOne({ email: req.body.email, _id: { $ne: donor._id } });
+            if (existingDonor) {
+                return res.status(400).json({ success: false, error: 'A donor with this email already exists.' });
+            }
+        }
+
+        const before = snapshot(donor);
+        DONOR_EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) donor[field] = req.body[field];
+        });
+        NOTIFICATION_CHANNELS.forEach(channel => {
+            const optedIn = req.body.notificationPreferences && req.body.notificationPreferences[channel];
+            if (optedIn !== undefined) donor.notificationPreferences[channel] = optedIn;
+        });
+        donor.updatedAt = new Date();
+        await donor.save();
+        await recordAudit(req, { action: 'update', entityType: 'Donor', entityId: donor._id, before, after: donor });
+        publishEvent('donor.changed', { donorId: donor._id, action: 'update' });
+        res.status(200).json({ success: true, message: 'Donor updated successfully.', data: donor });
+    } catch (error) {
+        console.error("Error updating donor:", error);
+        res.status(500).json({ success: false, error: 'Failed to update donor', details: error.message });
+    }
+};
+
+app.put('/api/donors/:id', authenticate, authorize(ROLES.ADMIN, ROLES.FRONT_DESK), validateDonor, handleValidationErrors, updateDonor);
+app.patch('/api/donors/:id', authenticate, authorize(ROLES.ADMIN, ROLES.FRONT_DESK), validateDonorPatch, handleValidationErrors, updateDonor);
+
+app.post('/api/donors/:id/restore', authenticate, authorize(ROLES.ADMIN), [
+    param('id').isMongoId().withMessage('Invalid donor ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const before = await Donor.findById(req.params.id);
+        const donor = before && await Donor.findByIdAndUpdate(req.params.id, { isActive: true, updatedAt: new Date() }, { new: true });
+        if (!donor) {
+            return res.status(404).json({ success: false, error: 'Donor not found.' });
+        }
+        await recordAudit(req, { action: 'restore', entityType: 'Donor', entityId: donor._id, before, after: donor });
+        publishEvent('donor.changed', { donorId: donor._id, action: 'restore' });
+        res.status(200).json({ success: true, message: 'Donor restored successfully.', data: donor });
+    } catch (error) {
+        console.error("Error restoring donor:", error);
+        res.status(500).json({ success: false, error: 'Failed to restore donor', details: error.message });
+    }
+});
+
+app.delete('/api/donors/:id', authenticate, authorize(ROLES.ADMIN), [
+    param('id').isMongoId().withMessage('Invalid donor ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        // Implement soft delete by setting isActive to false
+        const before = await Donor.findById(req.params.id);
+        const donor = before && await Donor.findByIdAndUpdate(req.params.id, { isActive: false, updatedAt: new Date() }, { new: true });
+        if (!donor) {
+            return res.status(404).json({ success: false, error: 'Donor not found.' });
+        }
+        await recordAudit(req, { action: 'delete', entityType: 'Donor', entityId: donor._id, before, after: donor });
+        publishEvent('donor.changed', { donorId: donor._id, action: 'delete' });
+        res.status(200).json({ success: true, message: 'Donor marked as inactive successfully.', data: donor });
+    } catch (error) {
+        console.error("Error deleting donor (soft):", error);
+        res.status(500).json({ success: false, error: 'Failed to delete donor', details: error.message });
+    }
+});
+
+
+// Recruitment list: active donors who may donate today, longest since last donation first
+app.get('/api/donors/eligible', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { bloodType } = req.query;
+        if (bloodType && !RED_CELL_COMPATIBILITY[bloodType]) {
+            return res.status(400).json({ success: false, error: 'Invalid blood type' });
+        }
+
+        const filter = { isActive: true };
+        if (bloodType) filter.bloodType = bloodType;
+        const donors = await Donor.find(filter).sort({ lastDonation: 1 });
+        const eligibleDonors = donors.filter(donor => donor.eligibility.eligible);
+        res.status(200).json({ success: true, data: eligibleDonors });
+    } catch (error) {
+        console.error("Error fetching eligible donors:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch eligible donors', details: error.message });
+    }
+});
+
+app.post('/api/donors/:id/deferrals', authenticate, authorize(...STAFF_ROLES), validateDeferral, handleValidationErrors, async (req, res) => {
+    try {
+        const donor = await Donor.findById(req.params.id);
+        if (!donor) {
+            return res.status(404).json({ success: false, error: 'Donor not found.' });
+        }
+
+        const before = snapshot(donor);
+        donor.deferrals.push({
+            type: req.body.type,
+            reason: req.body.reason,
+            endDate: req.body.type === 'temporary' ? req.body.endDate : undefined,
+            recordedBy: req.user.name
+        });
+        donor.updatedAt = new Date();
+        await donor.save();
+        await recordAudit(req, { action: 'defer', entityType: 'Donor', entityId: donor._id, before, after: donor });
+        publishEvent('donor.changed', { donorId: donor._id, action: 'defer' });
+        res.status(201).json({ success: true, message: 'Deferral recorded successfully.', data: donor });
+    } catch (error) {
+        console.error("Error recording deferral:", error);
+        res.status(500).json({ success: false, error: 'Failed to record deferral', details: error.message });
+    }
+});
+
+app.delete('/api/donors/:id/deferrals/:deferralId', authenticate, authorize(ROLES.ADMIN), [
+    param('id').isMongoId().withMessage('Invalid donor ID format'),
+    param('deferralId').isMongoId().withMessage('Invalid deferral ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const donor = await Donor.findById(req.params.id);
+        const deferral = donor ? donor.deferrals.id(req.params.deferralId) : null;
+        if (!deferral) {
+            return res.status(404).json({ success: false, error: 'Deferral not found.' });
+        }
+
+        const before = snapshot(donor);
+        deferral.deleteOne();
+        donor.updatedAt = new Date();
+        await donor.save();
+        await recordAudit(req, { action: 'lift_deferral', entityType: 'Donor', entityId: donor._id, before, after: donor });
+        publishEvent('donor.changed', { donorId: donor._id, action: 'lift_deferral' });
+        res.status(200).json({ success: true, message: 'Deferral lifted successfully.', data: donor });
+    } catch (error) {
+        console.error("Error lifting deferral:", error);
+        res.status(500).json({ success: false, error: 'Failed to lift deferral', details: error.message });
+    }
+});
+
+// Donor profile with every collection recorded against them (active or not)
+app.get('/api/donors/:id', authenticate, authorize(...STAFF_ROLES), [
+    param('id').isMongoId().withMessage('Invalid donor ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const donor = await Donor.findById(req.params.id);
+        if (!donor) {
+            return res.status(404).json({ success: false, error: 'Donor not found.' });
+        }
+        // One entry per collection, with the components separated from it nested under it; split-off parts of a
+        // batch (sourceInventoryId) are the same donation and are left out
+        const [collections, components] = await Promise.all([
+            Inventory.find({ donorId: donor._id, ...ORIGINAL_COLLECTION }).sort({ collectionDate: -1 }),
+            Inventory.find({ donorId: donor._id, parentInventoryId: { $ne: null }, sourceInventoryId: null }).sort({ component: 1 })
+        ]);
+        const donations = collections.map(collection => ({
+            ...collection.toJSON(),
+            components: components.filter(component => String(component.parentInventoryId) === String(collection._id))
+        }));
+        res.status(200).json({ success: true, data: { donor, donations } });
+    } catch (error) {
+        console.error("Error fetching donor:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch donor', details: error.message });
+    }
+});
+
+// Donor lookback: every request (patient) that received units from this donor
+app.get('/api/donors/:id/recipients', authenticate, authorize(ROLES.ADMIN, ROLES.LAB_TECHNICIAN), [
+    param('id').isMongoId().withMessage('Invalid donor ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const donor = await Donor.findById(req.params.id);
+        if (!donor) {
+            return res.status(404).json({ success: false, error: 'Donor not found.' });
+        }
+        const allocations = await Allocation.find({ donorId: donor._id })
+            .populate('requestId', 'patientName hospital bloodType units priority status processedDate')
+            .populate('inventoryId', 'collectionDate expiryDate')
+            .sort({ issuedAt: -1 });
+        res.status(200).json({ success: true, data: allocations });
+    } catch (error) {
+        console.error("Error fetching donor recipients:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch donor recipients', details: error.message });
+    }
+});
+
+
+// Emails the donor a one-time link to set up their portal account; a new invitation replaces any earlier one
+app.post('/api/donors/:id/portal-invite', authenticate, authorize(ROLES.ADMIN, ROLES.FRONT_DESK), [
+    param('id').isMongoId().withMessage('Invalid donor ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const donor = await Donor.findOne({ _id: req.params.id, isActive: true });
+        if (!donor) {
+            return res.status(404).json({ success: false, error: 'Donor not found.' });
+        }
+        const account = await DonorAccount.findOne({ donorId: donor._id }) || new DonorAccount({ donorId: donor._id });
+        if (account.passwordHash) {
+            return res.status(400).json({ success: false, error: 'This donor already has a portal account.' });
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        account.inviteTokenHash = hashInviteToken(token);
+        account.inviteExpiresAt = new Date(Date.now() + PORTAL_INVITE_TTL_HOURS * 60 * 60 * 1000);
+        account.updatedAt = new Date();
+        await account.save();
+
+        await queueNotification('portal_invite', { email: donor.email, recipientType: 'Donor', recipientId: donor._id }, {
+            name: donor.name,
+            link: `${PORTAL_URL}#invite=${token}`,
+            hours: PORTAL_INVITE_TTL_HOURS
+        });
+        await recordAudit(req, { action: 'invite', entityType: 'Donor', entityId: donor._id });
+        res.status(201).json({ success: true, message: `Portal invitation sent to ${donor.email}.` });
+    } catch (error) {
+        console.error("Error inviting donor to the portal:", error);
+        res.status(500).json({ success: false, error: 'Failed to send portal invitation', details: error.message });
+    }
+});
+
+// --- Donation Drives and Appointments API ---
+
+// Drives overlapping ?from=&to= (default: those not yet finished), oldest first, with booked and total places
+app.get('/api/campaigns', authenticate, authorize(...STAFF_ROLES), [
+    query('from').optional().isISO8601().withMessage('Invalid from date format'),
+    query('to').optional().isISO8601().withMessage('Invalid to date format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const { from, to, includeCancelled } = req.query;
+        const filter = includeCancelled === 'true' ? {} : { status: 'scheduled' };
+        const range = buildDateRange(from, to);
+        filter.endsAt = { $gte: range && range.$gte ? range.$gte : new Date() };
+        if (range && range.$lte) filter.startsAt = { $lte: range.$lte };
+
+        const campaigns = await Campaign.find(filter).sort({ startsAt: 1 });
+        const bookings = await countBookingsBySlot(campaigns.map(campaign => campaign._id));
+        const data = campaigns.map(campaign => {
+            const slotCounts = bookings[String(campaign._id)] || {};
+            return {
+                ...campaign.toObject(),
+                booked: Object.values(slotCounts).reduce((sum, count) => sum + count, 0),
+                totalCapacity: getCampaignSlots(campaign).length * campaign.capacity
+            };
+        });
+        res.status(200).json({ success: true, data });
+    } catch (error) {
+        console.error("Error fetching donation drives:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch donation drives', details: error.message });
+    }
+});
+
+// One drive with its slots (booked and free places) and its appointments
+app.get('/api/campaigns/:id', authenticate, authorize(...STAFF_ROLES), [
+    param('id').isMongoId().withMessage('Invalid drive ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        // Bumping bookingSeq first makes this update conflict with bookings in progress, as bookAppointment does,
+        // so the capacity check below cannot be overtaken by a booking
+        const campaign = await mongoose.connection.transaction(async (session) => {
+            const current = await Campaign.findByIdAndUpdate(req.params.id, { $inc: { bookingSeq: 1 } }, { new: true, session });
+            if (!current) {
+                throw new ApiError(404, 'Donation drive not found.');
+            }
+            if (current.status === 'cancelled') {
+                throw new ApiError(400, 'Cancelled drives cannot be changed.');
+            }
+
+            const before = snapshot(current);
+            ['name', 'location', 'startsAt', 'endsAt', 'slotMinutes', 'capacity', 'targetBloodTypes', 'notes'].forEach(field => {
+                if (req.body[field] !== undefined) current[field] = req.body[field];
+            });
+            if (current.endsAt <= current.startsAt) {
+                throw new ApiError(400, 'The drive must end after it starts.');
+            }
+
+            const slotTimes = new Set(getCampaignSlots(current).map(start => start.getTime()));
+            const slotCounts = (await countBookingsBySlot([current._id], session))[String(current._id)] || {};
+            const offSchedule = Object.keys(slotCounts).filter(time => !slotTimes.has(Number(time)));
+            if (offSchedule.length > 0) {
+                throw new ApiError(400, `${offSchedule.length} booked slot(s) would no longer exist. Cancel or move those bookings first.`);
+            }
+            if (Object.values(slotCounts).some(count => count > current.capacity)) {
+                throw new ApiError(400, 'Some slots already have more bookings than the new capacity.');
+            }
+
+            current.updatedAt = new Date();
+            await current.save({ session });
+            await recordAudit(req, { action: 'update', entityType: 'Campaign', entityId: current._id, before, after: current }, session);
+            return current;
+        });
+        publishEvent('campaign.changed', { campaignId: campaign._id, action: 'update' });
+        res.status(200).json({ success: true, message: 'Donation drive updated successfully.', data: campaign });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to update donation drive');
+    }
+});
+
+// Cancels a drive (kept for the record) together with its booked appointments
+app.delete('/api/campaigns/:id', authenticate, authorize(ROLES.ADMIN, ROLES.FRONT_DESK), [
+    param('id').isMongoId().withMessage('Invalid drive ID format'),
+    ...validateReason
+], handleValidationErrors, async (req, res) => {
+    try {
+        const now = new Date();
+        const { campaign, cancelledAppointments } = await mongoose.connection.transaction(async (session) => {
+            const current = await Campaign.findById(req.params.id).session(session);
+            if (!current) {
+                throw new ApiError(404, 'Donation drive not found.');
+            }
+            const cancelled = await Campaign.findOneAndUpdate(
+                { _id: current._id, status: 'scheduled' },
+                { status: 'cancelled', cancellationReason: req.body.reason, cancelledBy: req.user.name, cancelledAt: now, updatedAt: now },
+                { new: true, session }
+            );
+            if (!cancelled) {
+                throw new ApiError(400, 'This drive is already cancelled.');
+            }
+            await recordAudit(req, { action: 'cancel', entityType: 'Campaign', entityId: cancelled._id, before: current, after: cancelled }, session);
+
+            const booked = await Appointment.find({ campaignId: current._id, status: 'booked' }).session(session);
+            const cancellation = { status: 'cancelled', cancellationReason: `Drive cancelled: ${req.body.reason}`, cancelledBy: req.user.name, cancelledAt: now, updatedAt: now };
+            await Appointment.updateMany({ _id: { $in: booked.map(item => item._id) }, status: 'booked' }, cancellation, { session });
+            for (const appointment of booked) {
+                await recordAudit(req, { action: 'cancel', entityType: 'Appointment', entityId: appointment._id, before: appointment, after: { ...snapshot(appointment), ...cancellation } }, session);
+            }
+            return { campaign: cancelled, cancelledAppointments: booked.length };
+        });
+
+        publishEvent('campaign.changed', { campaignId: campaign._id, action: 'cancel' });
+        res.status(200).json({ success: true, message: `Donation drive cancelled; ${cancelledAppointments} booking(s) cancelled.`, data: campaign });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to cancel donation drive');
+    }
+});
+
+// Books a donor into a slot. The donor must be active and eligible on the day, and hold no other booking for the drive.
+app.post('/api/campaigns/:id/appointments', authenticate, authorize(ROLES.ADMIN, ROLES.FRONT_DESK), [
+    param('id').isMongoId().withMessage('Invalid drive ID format'),
+    ...validateAppointment
+], handleValidationErrors, async (req, res) => {
+    try {
+        const appointment = await bookAppointment(req, {
+            campaignId: req.params.id,
+            donorId: req.body.donorId,
+            slotStart: new Date(req.body.slotStart),
+            bookedBy: req.user.name
+        });
+        res.status(201).json({ success: true, message: 'Appointment booked successfully!', data: appointment });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to book appointment');
+    }
+});
+
+// Appointments by slot time for the calendar; ?from=&to= default to the coming 30 days
+app.get('/api/appointments', authenticate, authorize(...STAFF_ROLES), validateAppointmentListQuery, handleValidationErrors, async (req, res) => {
+    try {
+        const { from, to, status, campaignId, donorId } = req.query;
+        const start = from ? new Date(from) : new Date(new Date().setHours(0, 0, 0, 0));
+        const end = to ? buildDateRange(undefined, to).$lte : new Date(start.getTime() + 30 * DAY_IN_MS);
+        const filter = { slotStart: { $gte: start, $lte: end } };
+        if (status) filter.status = status;
+        if (campaignId) filter.campaignId = campaignId;
+        if (donorId) filter.donorId = donorId;
+
+        const appointments = await Appointment.find(filter)
+            .populate('donorId', 'name bloodType phone')
+            .populate('campaignId', 'name location')
+            .sort({ slotStart: 1 })
+            .limit(1000); // Far more than a month of drives
+        res.status(200).json({ success: true, data: appointments });
+    } catch (error) {
+        console.error("Error fetching appointments:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch appointments', details: error.message });
+    }
+});
+
+// Checked-in appointments can be cancelled too, e.g. when the donor is deferred at screening, so that they can
+// book again later; the reason records why.
+app.put('/api/appointments/:id/cancel', authenticate, authorize(ROLES.ADMIN, ROLES.FRONT_DESK), [
+    param('id').isMongoId().withMessage('Invalid appointment ID format'),
+    ...validateReason
+], handleValidationErrors, async (req, res) => {
+    try {
+        const appointment = await transitionAppointment(req, req.params.id, {
+            from: ['booked', 'checked_in'],
+            action: 'cancel',
+            apply: async () => ({ status: 'cancelled', cancellationReason: req.body.reason, cancelledBy: req.user.name, cancelledAt: new Date() })
+        });
+        res.status(200).json({ success: true, message: 'Appointment cancelled.', data: appointment });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to cancel appointment');
+    }
+});
+
+// Checks a donor in on the day of the drive. The response includes the donor so the collection can be recorded
+// straight away with POST /api/inventory { donorId, appointmentId, ... }.
+app.put('/api/appointments/:id/check-in', authenticate, authorize(...STAFF_ROLES), [
+    param('id').isMongoId().withMessage('Invalid appointment ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const appointment = await transitionAppointment(req, req.params.id, {
+            from: ['booked'],
+            action: 'check_in',
+            apply: async (booked, session) => {
+                const now = new Date();
+                if (booked.slotStart.toDateString() !== now.toDateString()) {
+                    throw new ApiError(400, 'Donors can only be checked in on the day of their appointment.');
+                }
+                const donor = await Donor.findById(booked.donorId).session(session);
+                const eligibility = donor ? getDonorEligibility(donor, now) : null;
+                if (!donor || !eligibility.eligible) {
+                    throw new ApiError(400, donor ? `Donor is not eligible to donate: ${eligibility.reasons.join('; ')}` : 'Donor not found.');
+                }
+                return { status: 'checked_in', checkedInBy: req.user.name, checkedInAt: now };
+            }
+        });
+        await appointment.populate('donorId', 'name bloodType phone');
+        res.status(200).json({ success: true, message: 'Donor checked in. Record the collection to complete the appointment.', data: appointment });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to check in donor');
+    }
+});
+
+// --- Donor Recall API ---
+
+const DEFAULT_RECALL_LIST_SIZE = 25;
+const RECALL_MAX_DAYS_SCORED = 365; // Beyond a year since the last donation, longer gaps rank no higher
+// Score adjustment per past contact outcome: donors who pledged before are called first, those who declined or
+// could not be reached drop down the list
+const RECALL_OUTCOME_WEIGHTS = { pledged: 60, contacted: 0, declined: -30, unreachable: -15 };
+
+// Active, currently eligible donors of a blood type (optionally whose address mentions `area`), best prospects first.
+// score = days since last donation (never donated counts as the maximum) + the weights of their past contact outcomes.
+// Donors already booked into an upcoming drive are left out: they are coming in anyway.
+const rankRecallCandidates = async ({ bloodType, area, limit }) => {
+    const filter = { bloodType, isActive: true };
+    if (area) filter.address = new RegExp(escapeRegex(area), 'i');
+    const now = new Date();
+    const [donors, booked] = await Promise.all([
+        Donor.find(filter),
+        Appointment.distinct('donorId', { status: { $in: ['booked', 'checked_in'] }, slotStart: { $gte: new Date(now.getTime() - DAY_IN_MS) } })
+    ]);
+    const bookedIds = new Set(booked.map(String));
+    const eligible = donors.filter(donor => donor.eligibility.eligible && !bookedIds.has(String(donor._id)));
+
+    const history = await ContactAttempt.aggregate([
+        { $match: { donorId: { $in: eligible.map(donor => donor._id) } } },
+        { $group: { _id: { donorId: '$donorId', outcome: '$outcome' }, count: { $sum: 1 } } }
+    ]);
+    const historyByDonor = {};
+    history.forEach(group => {
+        const key = String(group._id.donorId);
+        historyByDonor[key] = historyByDonor[key] || {};
+        historyByDonor[key][group._id.outcome] = group.count;
+    });
+
+    return eligible.map(donor => {
+        const daysSinceDonation = donor.lastDonation ? Math.floor((now - donor.lastDonation) / DAY_IN_MS) : null;
+        const responses = historyByDonor[String(donor._id)] || {};
+        const score = Math.min(daysSinceDonation === null ? RECALL_MAX_DAYS_SCORED : daysSinceDonation, RECALL_MAX_DAYS_SCORED) +
+            RECALL_OUTCOMES.reduce((sum, outcome) => sum + (responses[outcome] || 0) * RECALL_OUTCOME_WEIGHTS[outcome], 0);
+        return { donor, daysSinceDonation, responses, score };
+    })
+        .sort((a, b) => b.score - a.score || String(a.donor.name).localeCompare(b.donor.name))
+        .slice(0, limit);
+};
+
+// Preview of who a recall list would contain, with each donor's past responses; nothing is saved
+app.get('/api/recalls/candidates', authenticate, authorize(ROLES.ADMIN, ROLES.FRONT_DESK), [
+    query('bloodType').isIn(BLOOD_TYPES).withMessage('Invalid blood type'),
+    query('area').optional().trim().isLength({ max: 100 }).withMessage('Area must be at most 100 characters'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200 donors')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const { bloodType, area } = req.query;
+        const limit = parseInt(req.query.limit, 10) || DEFAULT_RECALL_LIST_SIZE;
+        const candidates = await rankRecallCandidates({ bloodType, area, limit });
+        res.status(200).json({ success: true, data: candidates });
+    } catch (error) {
+        console.error("Error ranking recall candidates:", error);
+        res.status(500).json({ success: false, error: 'Failed to rank donors for recall', details: error.message });
+    }
+});
+
+// Builds and saves a ranked call list
+app.post('/api/recalls', authenticate, authorize(ROLES.ADMIN, ROLES.FRONT_DESK), validateRecallList, handleValidationErrors, async (req, res) => {
+    try {
+        const { bloodType, area } = req.body;
+        const limit = parseInt(req.body.limit, 10) || DEFAULT_RECALL_LIST_SIZE;
+        const candidates = await rankRecallCandidates({ bloodType, area, limit });
+        if (candidates.length === 0) {
+            return res.status(400).json({ success: false, error: `No eligible ${bloodType} donors${area ? ` in ${area}` : ''} to contact right now.` });
+        }
+
+        const recallList = new RecallList({
+            bloodType,
+            area: area || undefined,
+            createdBy: req.user.name,
+            entries: candidates.map((candidate, index) => ({
+                donorId: candidate.donor._id,
+                rank: index + 1,
+                score: candidate.score,
+                daysSinceDonation: candidate.daysSinceDonation
+            }))
+        });
+        await recallList.save();
+        await recordAudit(req, { action: 'create', entityType: 'RecallList', entityId: recallList._id, after: recallList });
+        publishEvent('recall.changed', { recallListId: recallList._id, action: 'create' });
+        res.status(201).json({ success: true, message: `Recall list created with ${candidates.length} donor(s).`, data: recallList });
+    } catch (error) {
+        console.error("Error creating recall list:", error);
+        res.status(500).json({ success: false, error: 'Failed to create recall list', details: error.message });
+    }
+});
+
+app.get('/api/recalls', authenticate, authorize(ROLES.ADMIN, ROLES.FRONT_DESK), [
+    ...validateListQuery,
+    query('status').optional().isIn(['open', 'closed']).withMessage('Status must be open or closed')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const { status, bloodType } = req.query;
+        const filter = {};
+        if (status) filter.status = status;
+        if (bloodType) filter.bloodType = bloodType;
+
+        const { data, pagination } = await paginate(RecallList, filter, req.query, { sortFields: ['createdAt', 'bloodType'], defaultSort: 'createdAt' });
+        res.status(200).json({ success: true, data, pagination });
+    } catch (error) {
+        console.error("Error fetching recall lists:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch recall lists', details: error.message });
+    }
+});
+
+// One list with donor contact details and the attempts made from it, newest first
+app.get('/api/recalls/:id', authenticate, authorize(ROLES.ADMIN, ROLES.FRONT_DESK), [
+    param('id').isMongoId().withMessage('Invalid recall list ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const recallList = await RecallList.findById(req.params.id).populate('entries.donorId', 'name phone email address lastDonation');
+        if (!recallList) {
+            return res.status(404).json({ success: false, error: 'Recall list not found.' });
+        }
+        const attempts = await ContactAttempt.find({ recallListId: recallList._id }).sort({ contactedAt: -1 });
+        res.status(200).json({ success: true, data: { ...recallList.toObject(), attempts } });
+    } catch (error) {
+        console.error("Error fetching recall list:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch recall list', details: error.message });
+    }
+});
+
+// Records the outcome of calling or messaging one donor on an open list
+app.post('/api/recalls/:id/contacts', authenticate, authorize(ROLES.ADMIN, ROLES.FRONT_DESK), [
+    param('id').isMongoId().withMessage('Invalid recall list ID format'),
+    ...validateContactAttempt
+], handleValidationErrors, async (req, res) => {
+    try {
+        const { donorId, outcome, notes } = req.body;
+        const attempt = await mongoose.connection.transaction(async (session) => {
+            const recallList = await RecallList.findById(req.params.id).session(session);
+            if (!recallList) {
+                throw new ApiError(404, 'Recall list not found.');
+            }
+            if (recallList.status !== 'open') {
+                throw new ApiError(400, 'This recall list is closed.');
+            }
+            const entry = recallList.entries.find(item => String(item.donorId) === String(donorId));
+            if (!entry) {
+                throw new ApiError(400, 'This donor is not on the recall list.');
+            }
+
+            const before = snapshot(recallList);
+            const [created] = await ContactAttempt.create([{ recallListId: recallList._id, donorId, outcome, notes, contactedBy: req.user.name }], { session });
+            entry.outcome = outcome;
+            entry.lastContactedAt = created.contactedAt;
+            recallList.updatedAt = new Date();
+            await recallList.save({ session });
+            await recordAudit(req, { action: 'contact', entityType: 'RecallList', entityId: recallList._id, before, after: recallList }, session);
+            return created;
+        });
+
+        publishEvent('recall.changed', { recallListId: attempt.recallListId, action: 'contact' });
+        res.status(201).json({ success: true, message: `Contact recorded: ${outcome}.`, data: attempt });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to record contact attempt');
+    }
+});
+
+app.put('/api/recalls/:id/close', authenticate, authorize(ROLES.ADMIN, ROLES.FRONT_DESK), [
+    param('id').isMongoId().withMessage('Invalid recall list ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const recallList = await RecallList.findById(req.params.id);
+        if (!recallList) {
+            return res.status(404).json({ success: false, error: 'Recall list not found.' });
+        }
+        if (recallList.status === 'closed') {
+            return res.status(400).json({ success: false, error: 'This recall list is already closed.' });
+        }
+
+        const before = snapshot(recallList);
+        recallList.status = 'closed';
+        recallList.closedBy = req.user.name;
+        recallList.closedAt = new Date();
+        recallList.updatedAt = recallList.closedAt;
+        await recallList.save();
+        await recordAudit(req, { action: 'close', entityType: 'RecallList', entityId: recallList._id, before, after: recallList });
+        publishEvent('recall.changed', { recallListId: recallList._id, action: 'close' });
+        res.status(200).json({ success: true, message: 'Recall list closed.', data: recallList });
+    } catch (error) {
+        console.error("Error closing recall list:", error);
+        res.status(500).json({ success: false, error: 'Failed to close recall list', details: error.message });
+    }
+});
+
+// --- Donor Portal API ---
+// Routes for donors themselves, authenticated with donor tokens (authenticateDonor). Every query is scoped to
+// req.donor, so a donor can only ever read or change their own record, donations and appointments.
+
+// Profile and portal session returned on register, login, activation and refresh
+const portalSession = (account, donor) => ({ donor, ...issueDonorTokens(account) });
+
+// New donors sign up here. An email that already belongs to a donor record needs a staff invitation instead,
+// so nobody can take over another donor's record by registering with their email.
+app.post('/api/portal/register', authLimiter, validatePortalRegistration, handleValidationErrors, async (req, res) => {
+    try {
+        if (await Donor.exists({ email: req.body.email })) {
+            return res.status(400).json({ success: false, error: 'This email already belongs to a registered donor. Ask our staff to send you a portal invitation.' });
+        }
+
+        const { name, age, bloodType, phone, email, address, notificationPreferences } = req.body;
+        const passwordHash = await bcrypt.hash(req.body.password, 10);
+        const { donor, account } = await mongoose.connection.transaction(async (session) => {
+            const [createdDonor] = await Donor.create([{ name, age, bloodType, phone, email, address, notificationPreferences }], { session });
+            const [createdAccount] = await DonorAccount.create([{ donorId: createdDonor._id, passwordHash, lastLogin: new Date() }], { session });
+            req.donor = createdDonor; // The donor is the actor of their own registration
+            await recordAudit(req, { action: 'create', entityType: 'Donor', entityId: createdDonor._id, after: createdDonor }, session);
+            return { donor: createdDonor, account: createdAccount };
+        });
+        publishEvent('donor.changed', { donorId: donor._id, action: 'create' });
+        res.status(201).json({ success: true, message: 'Your donor account has been created.', data: portalSession(account, donor) });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ success: false, error: 'This email already belongs to a registered donor.' });
+        }
+        console.error("Error registering donor account:", error);
+        res.status(500).json({ success: false, error: 'Failed to create donor account', details: error.message });
+    }
+});
+
+// Sets the password of an invited donor's account; the invitation link can only be used once
+app.post('/api/portal/activate', authLimiter, validatePortalActivation, handleValidationErrors, async (req, res) => {
+    try {
+        const account = await DonorAccount.findOne({ inviteTokenHash: hashInviteToken(req.body.token), inviteExpiresAt: { $gt: new Date() }, isActive: true });
+        const donor = account ? await Donor.findOne({ _id: account.donorId, isActive: true }) : null;
+        if (!donor) {
+            return res.status(400).json({ success: false, error: 'This invitation link is invalid or has expired. Ask our staff for a new one.' });
+        }
+
+        account.passwordHash = await bcrypt.hash(req.body.password, 10);
+        account.inviteTokenHash = undefined;
+        account.inviteExpiresAt = undefined;
+        account.lastLogin = new Date();
+        account.updatedAt = new Date();
+        await account.save();
+        res.status(200).json({ success: true, message: 'Your donor account is ready.', data: portalSession(account, donor) });
+    } catch (error) {
+        console.error("Error activating donor account:", error);
+        res.status(500).json({ success: false, error: 'Failed to activate donor account', details: error.message });
+    }
+});
+
+app.post('/api/portal/login', authLimiter, validateLogin, handleValidationErrors, async (req, res) => {
+    try {
+        const donor = await Donor.findOne({ email: req.body.email, isActive: true });
+        const account = donor ? await DonorAccount.findOne({ donorId: donor._id }) : null;
+        const passwordMatches = account && account.passwordHash ? await bcrypt.compare(req.body.password, account.passwordHash) : false;
+        if (!passwordMatches || !account.isActive) {
+            return res.status(401).json({ success: false, error: 'Invalid email or password.' });
+        }
+
+        account.lastLogin = new Date();
+        await account.save();
+        res.status(200).json({ success: true, message: 'Logged in successfully.', data: portalSession(account, donor) });
+    } catch (error) {
+        console.error("Error logging in donor:", error);
+        res.status(500).json({ success: false, error: 'Failed to log in', details: error.message });
+    }
+});
+
+app.post('/api/portal/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(401).json({ success: false, error: 'Refresh token is required.' });
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
+        } catch (verifyError) {
+            return res.status(401).json({ success: false, error: 'Invalid or expired refresh token.' });
+        }
+
+        const account = payload.type === 'donor_refresh' ? await DonorAccount.findById(payload.sub) : null;
+        const donor = account ? await Donor.findOne({ _id: account.donorId, isActive: true }) : null;
+        if (!donor || !account.isActive || account.tokenVersion !== payload.tokenVersion) {
+            return res.status(401).json({ success: false, error: 'Refresh token has been revoked.' });
+        }
+
+        res.status(200).json({ success: true, data: portalSession(account, donor) });
+    } catch (error) {
+        console.error("Error refreshing donor token:", error);
+        res.status(500).json({ success: false, error: 'Failed to refresh token', details: error.message });
+    }
+});
+
+app.post('/api/portal/logout', authenticateDonor, async (req, res) => {
+    try {
+        req.donorAccount.tokenVersion += 1;
+        req.donorAccount.updatedAt = new Date();
+        await req.donorAccount.save();
+        res.status(200).json({ success: true, message: 'Logged out successfully.' });
+    } catch (error) {
+        console.error("Error logging out donor:", error);
+        res.status(500).json({ success: false, error: 'Failed to log out', details: error.message });
+    }
+});
+
+// The donor's own record, including eligibility and the next date they can donate
+app.get('/api/portal/me', authenticateDonor, (req, res) => {
+    res.status(200).json({ success: true, data: req.donor });
+});
+
+app.put('/api/portal/me', authenticateDonor, validatePortalProfile, handleValidationErrors, async (req, res) => {
+    try {
+        const donor = req.donor;
+        if (req.body.email && req.body.email !== donor.email && await Donor.exists({ email: req.body.email, _id: { $ne: donor._id } })) {
+            return res.status(400).json({ success: false, error: 'This email already belongs to another donor.' });
+        }
+        if (req.body.newPassword && !(await bcrypt.compare(req.body.currentPassword, req.donorAccount.passwordHash))) {
+            return res.status(400).json({ success: false, error: 'Current password is incorrect.' });
+        }
+
+        const before = snapshot(donor);
+        PORTAL_EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) donor[field] = req.body[field];
+        });
+        NOTIFICATION_CHANNELS.forEach(channel => {
+            const optedIn = req.body.notificationPreferences && req.body.notificationPreferences[channel];
+            if (optedIn !== undefined) donor.notificationPreferences[channel] = optedIn;
+        });
+        donor.updatedAt = new Date();
+        await donor.save();
+        await recordAudit(req, { action: 'update', entityType: 'Donor', entityId: donor._id, before, after: donor });
+        publishEvent('donor.changed', { donorId: donor._id, action: 'update' });
+
+        // A new password signs the donor out everywhere else; the response carries fresh tokens for this browser
+        let tokens = {};
+        if (req.body.newPassword) {
+            req.donorAccount.passwordHash = await bcrypt.hash(req.body.newPassword, 10);
+            req.donorAccount.tokenVersion += 1;
+            req.donorAccount.updatedAt = new Date();
+            await req.donorAccount.save();
+            tokens = issueDonorTokens(req.donorAccount);
+        }
+        res.status(200).json({ success: true, message: 'Your details have been updated.', data: { donor, ...tokens } });
+    } catch (error) {
+        console.error("Error updating donor profile:", error);
+        res.status(500).json({ success: false, error: 'Failed to update your details', details: error.message });
+    }
+});
+
+// Collections the donor gave (not the components or batches later made from them), newest first
+app.get('/api/portal/donations', authenticateDonor, async (req, res) => {
+    try {
+        const donations = await Inventory.find({ donorId: req.donor._id, ...ORIGINAL_COLLECTION })
+            .select('bloodType component units collectionDate')
+            .sort({ collectionDate: -1 });
+        res.status(200).json({ success: true, data: donations });
+    } catch (error) {
+        console.error("Error fetching donor's donations:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch your donations', details: error.message });
+    }
+});
+
+// Upcoming drives with the slots that still have room. Other donors' bookings are only ever counted, never listed.
+app.get('/api/portal/campaigns', authenticateDonor, async (req, res) => {
+    try {
+        const now = new Date();
+        const campaigns = await Campaign.find({ status: 'scheduled', endsAt: { $gt: now } }).sort({ startsAt: 1 });
+        const bookings = await countBookingsBySlot(campaigns.map(campaign => campaign._id));
+        const data = campaigns.map(campaign => {
+            const slotCounts = bookings[String(campaign._id)] || {};
+            const slots = getCampaignSlots(campaign)
+                .filter(start => start > now)
+                .map(start => ({ start, available: Math.max(campaign.capacity - (slotCounts[start.getTime()] || 0), 0) }))
+                .filter(slot => slot.available > 0);
+            const { _id, name, location, startsAt, endsAt, targetBloodTypes } = campaign;
+            return { _id, name, location, startsAt, endsAt, targetBloodTypes, slots };
+        }).filter(campaign => campaign.slots.length > 0);
+        res.status(200).json({ success: true, data });
+    } catch (error) {
+        console.error("Error fetching drives for donor:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch donation drives', details: error.message });
+    }
+});
+
+app.get('/api/portal/appointments', authenticateDonor, async (req, res) => {
+    try {
+        const appointments = await Appointment.find({ donorId: req.donor._id })
+            .select('campaignId slotStart status createdAt')
+            .populate('campaignId', 'name location')
+            .sort({ slotStart: -1 })
+            .limit(50);
+        res.status(200).json({ success: true, data: appointments });
+    } catch (error) {
+        console.error("Error fetching donor's appointments:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch your appointments', details: error.message });
+    }
+});
+
+app.post('/api/portal/appointments', authenticateDonor, [
+    body('campaignId').isMongoId().withMessage('Invalid drive ID format'),
+    body('slotStart').isISO8601().withMessage('Invalid slot time format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const appointment = await bookAppointment(req, {
+            campaignId: req.body.campaignId,
+            donorId: req.donor._id,
+            slotStart: new Date(req.body.slotStart),
+            bookedBy: `${req.donor.name} (donor portal)`
         });
+        res.status(201).json({ success: true, message: 'Your appointment is booked.', data: appointment });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to book appointment');
+    }
+});
+
+app.put('/api/portal/appointments/:id/cancel', authenticateDonor, [
+    param('id').isMongoId().withMessage('Invalid appointment ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        // Ownership is checked before transitionAppointment looks at the status, so another donor's appointment
+        // gets the same answer as a missing one and IDs cannot be probed
+        if (!(await Appointment.exists({ _id: req.params.id, donorId: req.donor._id }))) {
+            throw new ApiError(404, 'Appointment not found.');
+        }
+        const appointment = await transitionAppointment(req, req.params.id, {
+            from: ['booked'],
+            action: 'cancel',
+            apply: async () => ({ status: 'cancelled', cancellationReason: 'Cancelled by the donor', cancelledBy: `${req.donor.name} (donor portal)`, cancelledAt: new Date() })
+        });
+        res.status(200).json({ success: true, message: 'Your appointment has been cancelled.', data: appointment });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to cancel appointment');
+    }
+});
+
+// --- Inventory API ---
+// Inventory list filters, shared by the list and export endpoints
+const buildInventoryFilter = ({ bloodType, component, status, discardReason, donorId, branchId, from, to, search }) => {
+    const filter = {};
+    if (discardReason) filter.discardReason = discardReason;
+    if (search) filter.din = new RegExp(`^${escapeRegex(search.toUpperCase().replace(/[\s=]/g, ''))}`); // DIN, typed or scanned
+    if (bloodType) filter.bloodType = bloodType;
+    if (component) filter.component = componentCondition(component);
+    if (status) filter.status = status;
+    if (donorId) filter.donorId = donorId;
+    if (branchId) filter.branchId = branchId;
+    const collectionDate = buildDateRange(from, to);
+    if (collectionDate) filter.collectionDate = collectionDate;
+    return filter;
+};
+const INVENTORY_LIST_OPTIONS = {
+    sortFields: ['din', 'bloodType', 'component', 'units', 'collectionDate', 'expiryDate', 'status', 'createdAt'],
+    defaultSort: 'createdAt'
+};
+
+app.get('/api/inventory', authenticate, authorize(...STAFF_ROLES), validateInventoryListQuery, handleValidationErrors, async (req, res) => {
+    try {
+        const { data, pagination } = await paginate(Inventory, buildInventoryFilter(req.query), req.query, {
+            ...INVENTORY_LIST_OPTIONS,
+            populate: [[{ path: 'donorId', select: 'name bloodType' }, { path: 'branchId', select: 'name code' }]] // Donor and branch names
+        });
+        res.status(200).json({ success: true, data, pagination }); // Consistent response format
+    } catch (error) {
+        console.error("Error fetching inventory:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch inventory', details: error.message });
+    }
+});
+
+app.get('/api/inventory/export', authenticate, authorize(...STAFF_ROLES), validateInventoryListQuery, validateExportQuery, handleValidationErrors, async (req, res) => {
+    try {
+        const docs = await Inventory.find(buildInventoryFilter(req.query))
+            .sort(buildSort(req.query, INVENTORY_LIST_OPTIONS.sortFields, INVENTORY_LIST_OPTIONS.defaultSort))
+            .limit(EXPORT_MAX_ROWS)
+            .populate('donorId', 'name email')
+            .populate('branchId', 'code');
+        await sendExport(res, { format: req.query.format, filename: 'inventory', columns: INVENTORY_EXPORT_COLUMNS, docs });
+    } catch (error) {
+        console.error("Error exporting inventory:", error);
+        res.status(500).json({ success: false, error: 'Failed to export inventory', details: error.message });
+    }
+});
+
+// Bulk blood unit entry from a spreadsheet; ?dryRun=true only validates. Rows name their donor by donorId or donorEmail,
+// and the donor must have been eligible on the collection date, as for POST /api/inventory.
+app.post('/api/inventory/import', authenticate, authorize(ROLES.ADMIN, ROLES.LAB_TECHNICIAN), importBodyParser, validateImportQuery, handleValidationErrors, async (req, res) => {
+    try {
+        await runImport(req, res, {
+            entityType: 'Inventory',
+            fields: ['bloodType', 'component', 'units', 'donorId', 'donorEmail', 'collectionDate', 'expiryDate', 'branchCode'],
+            requiredFields: ['bloodType', 'units', 'collectionDate'],
+            validators: [...validateInventory, body('donorEmail').optional().isEmail().normalizeEmail().withMessage('Invalid donor email address')],
+            checkRow: async (data, context) => {
+                context.collections = context.collections || new Map(); // Collection dates per donor seen earlier in the file
+                if (data.branchCode) {
+                    const branch = await Branch.findOne({ code: data.branchCode.toUpperCase(), isActive: true });
+                    if (!branch) {
+                        return [{ field: 'branchCode', value: data.branchCode, msg: 'No active branch with this code' }];
+                    }
+                    data.branchId = branch._id;
+                }
+                if (!data.donorId && !data.donorEmail) return [];
+                const donor = data.donorId ? await Donor.findById(data.donorId) : await Donor.findOne({ email: data.donorEmail });
+                const field = data.donorId ? 'donorId' : 'donorEmail';
+                if (!donor) {
+                    return [{ field, value: data[field], msg: 'Donor not found' }];
+                }
+                const eligibility = getDonorEligibility(donor, new Date(data.collectionDate));
+                if (!eligibility.eligible) {
+                    return [{ field, value: data[field], msg: `Donor is not eligible to donate: ${eligibility.reasons.join('; ')}` }];
+                }
+                const collectionDate = new Date(data.collectionDate);
+                const earlierDates = context.collections.get(String(donor._id)) || [];
+                if (earlierDates.some(date => Math.abs(collectionDate - date) < WHOLE_BLOOD_DONATION_INTERVAL_DAYS * DAY_IN_MS)) {
+                    return [{ field, value: data[field], msg: `Another row collects from this donor within ${WHOLE_BLOOD_DONATION_INTERVAL_DAYS} days` }];
+                }
+                context.collections.set(String(donor._id), [...earlierDates, collectionDate]);
+                data.donorId = donor._id;
+                return [];
+            },
+            createRows: async (rows, session) => {
+                const dins = await generateDins(rows.map(row => row.collectionDate), session);
+                const importedUnits = await Inventory.create(rows.map((row, index) => {
+                    const component = row.component || 'whole_blood';
+                    return {
+                        bloodType: row.bloodType,
+                        component,
+                        din: dins[index],
+                        units: parseInt(row.units, 10),
+                        donorId: row.donorId || null,
+                        branchId: row.branchId || null,
+                        collectionDate: row.collectionDate,
+                        expiryDate: row.expiryDate ? new Date(row.expiryDate) : getComponentExpiryDate(row.collectionDate, component)
+                    };
+                }), { session, ordered: true });
+
+                // Keep each donor's last donation date current, as a single POST would
+                for (const unit of importedUnits.filter(item => item.donorId)) {
+                    await Donor.updateOne(
+                        { _id: unit.donorId, $or: [{ lastDonation: null }, { lastDonation: { $lt: unit.collectionDate } }] },
+                        { lastDonation: unit.collectionDate, updatedAt: new Date() },
+                        { session }
+                    );
+                }
+                return importedUnits;
+            },
+            afterImport: async (units, report) => {
+                publishEvent('inventory.added', { count: units.length });
+                const allocation = await allocateNewStockSafely(req, units);
+                checkStockAlerts();
+                report.allocation = allocation;
+                return describeAllocation(allocation);
+            }
+        });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        console.error("Error importing inventory:", error);
+        res.status(500).json({ success: false, error: 'Failed to import inventory', details: error.message });
+    }
+});
+
+// Average daily use, days of supply and the projected date each blood type drops below its safe (low) level.
+// ?lookbackDays= sets how much issue history the averages use.
+app.get('/api/inventory/forecast', authenticate, authorize(...STAFF_ROLES), [
+    query('lookbackDays').optional().isInt({ min: 1, max: 365 }).withMessage('lookbackDays must be between 1 and 365')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const lookbackDays = parseInt(req.query.lookbackDays, 10) || FORECAST_LOOKBACK_DAYS;
+        const forecast = await getStockForecast(lookbackDays);
+        res.status(200).json({ success: true, data: forecast, lookbackDays, horizonDays: FORECAST_HORIZON_DAYS });
+    } catch (error) {
+        console.error("Error building stock forecast:", error);
+        res.status(500).json({ success: false, error: 'Failed to build stock forecast', details: error.message });
+    }
+});
+
+// Available units that will expire within ?days= (default 7), soonest first, so staff can use them first
+app.get('/api/inventory/expiring', authenticate, authorize(...STAFF_ROLES), [
+    query('days').optional().isInt({ min: 1, max: 60 }).withMessage('Days must be between 1 and 60')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const days = parseInt(req.query.days, 10) || DEFAULT_NEAR_EXPIRY_DAYS;
+        const now = new Date();
+        const windowEnd = new Date(now.getTime() + days * DAY_IN_MS);
+
+        const units = await Inventory.find({ status: 'available', expiryDate: { $gt: now, $lte: windowEnd } })
+            .populate('donorId', 'name bloodType')
+            .sort({ expiryDate: 1 });
+        res.status(200).json({ success: true, data: units, days });
+    } catch (error) {
+        console.error("Error fetching expiring inventory:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch expiring inventory', details: error.message });
+    }
+});
+
+app.post('/api/inventory', authenticate, authorize(ROLES.ADMIN, ROLES.LAB_TECHNICIAN), validateInventory, handleValidationErrors, async (req, res) => {
+    try {
+        const { bloodType, component = 'whole_blood', collectionDate, units, expiryDate, appointmentId, branchId } = req.body;
+        let { donorId } = req.body;
+
+        if (branchId && !(await Branch.exists({ _id: branchId, isActive: true }))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: [{ type: 'field', value: branchId, msg: 'Branch not found or inactive', path: 'branchId', location: 'body' }]
+            });
+        }
+
+        // A collection at a drive completes the donor's checked-in appointment; the donor comes from the appointment
+        const appointment = appointmentId ? await Appointment.findById(appointmentId) : null;
+        if (appointmentId) {
+            let msg = null;
+            if (!appointment) msg = 'Appointment not found';
+            else if (appointment.status !== 'checked_in') msg = `Appointment is ${appointment.status.replace('_', ' ')}; only checked-in donors can give a collection`;
+            else if (donorId && String(donorId) !== String(appointment.donorId)) msg = 'Donor does not match the appointment';
+            if (msg) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: [{ type: 'field', value: appointmentId, msg, path: 'appointmentId', location: 'body' }]
+                });
+            }
+            donorId = appointment.donorId;
+        }
+
+        // Collections can only be recorded for donors who were eligible on the collection date
+        if (donorId) {
+            const donor = await Donor.findById(donorId);
+            const eligibility = donor ? getDonorEligibility(donor, new Date(collectionDate)) : null;
+            if (!donor || !eligibility.eligible) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: [{
+                        type: 'field',
+                        value: donorId,
+                        msg: donor ? `Donor is not eligible to donate: ${eligibility.reasons.join('; ')}` : 'Donor not found',
+                        path: 'donorId',
+                        location: 'body'
+                    }]
+                });
+            }
+        }
         
-        await bloodUnit.save();
-        
+        // If expiryDate is provided by frontend, use it. Otherwise, use the component's shelf life from collection
+        const finalExpiryDate = expiryDate ? new Date(expiryDate) : getComponentExpiryDate(collectionDate, component);
+
+        // The unit and the appointment's completion commit together, so a unit is never recorded against an
+        // appointment that someone else completed or cancelled in the meantime
+        let completed = null;
+        const bloodUnit = await mongoose.connection.transaction(async (session) => {
+            const [din] = await generateDins([collectionDate], session);
+            const unit = new Inventory({
+                bloodType,
+                component,
+                din,
+                units, // Include units from req.body
+                donorId: donorId || null, // Allow donorId to be optional in schema
+                appointmentId: appointment ? appointment._id : undefined,
+                branchId: branchId || null,
+                collectionDate,
+                expiryDate: finalExpiryDate
+            });
+            await unit.save({ session });
+            await recordAudit(req, { action: 'create', entityType: 'Inventory', entityId: unit._id, after: unit }, session);
+
+            if (appointment) {
+                completed = await Appointment.findOneAndUpdate(
+                    { _id: appointment._id, status: 'checked_in' },
+                    { status: 'completed', inventoryId: unit._id, updatedAt: new Date() },
+                    { new: true, session }
+                );
+                if (!completed) throw new ApiError(409, 'Appointment is no longer checked in');
+                await recordAudit(req, { action: 'complete', entityType: 'Appointment', entityId: completed._id, before: appointment, after: completed }, session);
+            }
+            return unit;
+        });
+        if (completed) {
+            publishEvent('appointment.changed', { appointmentId: completed._id, campaignId: completed.campaignId, action: 'complete' });
+        }
+
         // Attempt to update donor's last donation date if donorId is present
         if (donorId) {
             try {
                 const donor = await Donor.findById(donorId);
                 if (donor && new Date(collectionDate) > (donor.lastDonation || 0)) { // Only update if newer
+                    const before = donor.toObject();
                     donor.lastDonation = collectionDate;
                     donor.updatedAt = new Date();
                     await donor.save();
+                    await recordAudit(req, { action: 'update', entityType: 'Donor', entityId: donor._id, before, after: donor });
                 }
             } catch (donorUpdateError) {
                 console.warn(`Could not update lastDonation for donor ${donorId}:`, donorUpdateError.message);
                 // Continue execution even if donor update fails, as blood unit is saved
             }
         }
+        // Published once lastDonation is saved, so the donor's thank-you shows the right next eligible date
+        publishEvent('inventory.added', { inventoryId: bloodUnit._id, bloodType, component, units: bloodUnit.units, action: 'create' });
         
-        res.status(201).json({ success: true, message: 'Blood unit added successfully!', data: bloodUnit }); // Consistent response format
+        const allocation = await allocateNewStockSafely(req, [bloodUnit]);
+        checkStockAlerts();
+        res.status(201).json({ success: true, message: `Blood unit added successfully!${describeAllocation(allocation)}`, data: bloodUnit, allocation }); // Consistent response format
     } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
         console.error("Error adding inventory item:", error);
         res.status(500).json({ success: false, error: 'Failed to add blood unit', details: error.message });
     }
 });
 
-app.delete('/api/inventory/:id', async (req, res) => {
+// Separates an available whole-blood unit into components. The parent is marked 'processed'; each component
+// keeps its blood type, units, donor and collection date and gets its own shelf life from the collection date.
+app.post('/api/inventory/:id/process', authenticate, authorize(ROLES.ADMIN, ROLES.LAB_TECHNICIAN), [
+    param('id').isMongoId().withMessage('Invalid blood unit ID format'),
+    body('components').optional().isArray({ min: 1 }).withMessage('Components must be a non-empty list'),
+    body('components.*').isIn(SEPARABLE_COMPONENTS).withMessage(`Components must be from: ${SEPARABLE_COMPONENTS.join(', ')}`)
+], handleValidationErrors, async (req, res) => {
+    try {
+        const components = [...new Set(req.body.components || SEPARABLE_COMPONENTS)];
+
+        const createdUnits = await mongoose.connection.transaction(async (session) => {
+            const unit = await Inventory.findById(req.params.id).session(session);
+            if (!unit) {
+                throw new ApiError(404, 'Blood unit not found.');
+            }
+            if ((unit.component || 'whole_blood') !== 'whole_blood') {
+                throw new ApiError(400, 'Only whole-blood units can be processed into components.');
+            }
+            if (unit.status !== 'available') {
+                throw new ApiError(400, `Blood unit is ${unit.status} and cannot be processed.`);
+            }
+
+            const now = new Date();
+            const lapsed = components.filter(component => getComponentExpiryDate(unit.collectionDate, component) <= now);
+            if (lapsed.length > 0) {
+                throw new ApiError(400, `Shelf life has already ended for: ${lapsed.map(component => BLOOD_COMPONENTS[component].label).join(', ')}.`);
+            }
+
+            const before = snapshot(unit);
+            const result = await Inventory.updateOne(
+                { _id: unit._id, status: 'available', units: unit.units },
+                { $set: { status: 'processed', updatedAt: now } },
+                { session }
+            );
+            if (result.modifiedCount !== 1) {
+                throw new ApiError(409, 'Blood unit changed while it was being processed. Please try again.');
+            }
+
+            const children = await Inventory.create(components.map(component => ({
+                bloodType: unit.bloodType,
+                component,
+                din: unit.din,
+                parentInventoryId: unit._id,
+                units: unit.units,
+                donorId: unit.donorId,
+                branchId: unit.branchId,
+                collectionDate: unit.collectionDate,
+                expiryDate: getComponentExpiryDate(unit.collectionDate, component)
+            })), { session, ordered: true });
+
+            await recordAudit(req, { action: 'process', entityType: 'Inventory', entityId: unit._id, before, after: { ...before, status: 'processed', updatedAt: now } }, session);
+            for (const child of children) {
+                await recordAudit(req, { action: 'create', entityType: 'Inventory', entityId: child._id, after: child }, session);
+            }
+            return children;
+        });
+
+        publishEvent('inventory.added', { inventoryId: req.params.id, bloodType: createdUnits[0].bloodType, components: createdUnits.map(unit => unit.component), action: 'process' });
+        const allocation = await allocateNewStockSafely(req, createdUnits);
+        checkStockAlerts();
+        res.status(201).json({ success: true, message: `Blood unit processed into ${createdUnits.length} component(s).${describeAllocation(allocation)}`, data: createdUnits, allocation });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        console.error("Error processing blood unit:", error);
+        res.status(500).json({ success: false, error: 'Failed to process blood unit', details: error.message });
+    }
+});
+
+// Statuses a unit can be discarded from. Issued ('used') units can also be discarded as returned unused.
+const DISCARDABLE_STATUSES = ['available', 'expired'];
+
+// Takes a unit out of stock with req.body.reason (a DISCARD_REASONS code) and optional req.body.notes; used by the
+// discard action and by scan-to-discard
+const discardInventoryUnit = async (req, unit) => {
+    const reason = req.body.reason;
+    if (unit.status === 'used' && reason !== 'returned_unused') {
+        throw new ApiError(400, 'Blood unit has been issued. Issued units can only be discarded as returned unused.');
+    }
+    if (reason === 'returned_unused' && unit.status !== 'used') {
+        throw new ApiError(400, 'Only issued units can be discarded as returned unused.');
+    }
+    if (reason === 'expired' && unit.expiryDate > new Date()) {
+        throw new ApiError(400, `Blood unit does not expire until ${unit.expiryDate.toISOString().split('T')[0]}. Choose another reason.`);
+    }
+    if (['discarded', 'processed', 'merged'].includes(unit.status)) {
+        throw new ApiError(400, `Blood unit is already ${unit.status} and cannot be discarded.`);
+    }
+    if (unit.status === 'reserved') {
+        throw new ApiError(400, 'Blood unit is reserved for a request. Release the reservation before discarding it.');
+    }
+    if (unit.status === 'in_transit') {
+        throw new ApiError(400, 'Blood unit is being transferred. Receive or cancel the transfer before discarding it.');
+    }
+
+    const before = snapshot(unit);
+    unit.status = 'discarded';
+    unit.discardReason = reason;
+    unit.discardNotes = req.body.notes || undefined;
+    unit.discardedBy = req.user.name;
+    unit.discardedAt = new Date();
+    unit.updatedAt = new Date();
+    await unit.save();
+    await recordAudit(req, { action: 'discard', entityType: 'Inventory', entityId: unit._id, before, after: unit });
+    publishEvent('inventory.discarded', { inventoryId: unit._id, bloodType: unit.bloodType, units: unit.units });
+    checkStockAlerts();
+    return unit;
+};
+
+// Units are never removed from the database; "deleting" discards them with a reason so the record is kept
+app.delete('/api/inventory/:id', authenticate, authorize(ROLES.ADMIN, ROLES.LAB_TECHNICIAN), validateDiscard, handleValidationErrors, async (req, res) => {
+    try {
+        const unit = await Inventory.findById(req.params.id);
+        if (!unit) {
+            return res.status(404).json({ success: false, error: 'Blood unit not found.' });
+        }
+        await discardInventoryUnit(req, unit);
+        res.status(200).json({ success: true, message: 'Blood unit discarded successfully.', data: unit });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        console.error("Error discarding inventory item:", error);
+        res.status(500).json({ success: false, error: 'Failed to discard blood unit', details: error.message });
+    }
+});
+
+// --- Unit labels and scanning ---
+// Scans send the label code as read by a barcode scanner (or typed from the printed label); see parseUnitCode.
+
+const validateScanCode = [
+    body('code').trim().notEmpty().withMessage('A label code is required').isLength({ max: 30 }).withMessage('Label code must be at most 30 characters')
+];
+
+// Units carrying the scanned code, oldest first. With no component code this is every unit from the collection.
+const findScannedUnits = async (code) => {
+    const { din, component } = parseUnitCode(code);
+    const filter = { din };
+    if (component) filter.component = componentCondition(component);
+    const units = await Inventory.find(filter)
+        .populate('donorId', 'name bloodType')
+        .populate('branchId', 'name code')
+        .populate('reservedFor', 'patientName hospital status')
+        .sort({ createdAt: 1 });
+    if (units.length === 0) {
+        throw new ApiError(404, `No blood unit has DIN ${formatDin(din)}${component ? ` and component ${BLOOD_COMPONENTS[component].label}` : ''}.`);
+    }
+    return { din, component, units };
+};
+
+// Scan-to-lookup: GET /api/inventory/scan?code=W000026000123RC
+app.get('/api/inventory/scan', authenticate, authorize(...STAFF_ROLES), [
+    query('code').trim().notEmpty().withMessage('A label code is required').isLength({ max: 30 }).withMessage('Label code must be at most 30 characters')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const { din, component, units } = await findScannedUnits(req.query.code);
+        res.status(200).json({ success: true, data: units, din, component: component || null });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        console.error("Error looking up scanned unit:", error);
+        res.status(500).json({ success: false, error: 'Failed to look up blood unit', details: error.message });
+    }
+});
+
+// Scan-to-issue: records the scanned unit against the crossmatched request it is held for, and issues the request
+// once every held unit has been scanned. Passing requestId checks the unit against the patient's request first.
+app.post('/api/inventory/scan/issue', authenticate, authorize(ROLES.ADMIN, ROLES.LAB_TECHNICIAN), [
+    ...validateScanCode,
+    body('requestId').optional().isMongoId().withMessage('Invalid request ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const { units } = await findScannedUnits(req.body.code);
+        const requestIds = [...new Set(units
+            .filter(unit => unit.status === 'reserved' && unit.reservedFor)
+            .map(unit => String(unit.reservedFor._id)))];
+
+        let requestId = req.body.requestId;
+        if (requestId && !requestIds.includes(requestId)) {
+            throw new ApiError(409, 'This unit is not held for that request. Do not issue it.');
+        }
+        if (!requestId) {
+            if (requestIds.length === 0) {
+                throw new ApiError(409, 'This unit is not held for any request. Reserve and crossmatch it first.');
+            }
+            if (requestIds.length > 1) {
+                throw new ApiError(409, 'Units with this label are held for more than one request. Choose the request to issue.');
+            }
+            requestId = requestIds[0];
+        }
+
+        const scannedIds = units
+            .filter(unit => unit.status === 'reserved' && unit.reservedFor && String(unit.reservedFor._id) === requestId)
+            .map(unit => unit._id);
+        // Recording the scan is an issue step of its own, so it is audited with the request like a transition
+        const { request, heldUnits, scannedCount } = await mongoose.connection.transaction(async (session) => {
+            const crossmatchedRequest = await Request.findOne({ _id: requestId, status: 'crossmatched' }).session(session);
+            if (!crossmatchedRequest) {
+                throw new ApiError(409, 'The request must be crossmatched before its units can be issued.');
+            }
+            const updatedRequest = await Request.findOneAndUpdate(
+                { _id: requestId, status: 'crossmatched' },
+                { $addToSet: { scannedInventoryIds: { $each: scannedIds } }, $set: { updatedAt: new Date() } },
+                { new: true, session }
+            );
+            await recordAudit(req, { action: 'update', entityType: 'Request', entityId: updatedRequest._id, before: crossmatchedRequest, after: updatedRequest }, session);
+
+            const held = await Inventory.find({ reservedFor: updatedRequest._id, status: 'reserved' }).select('_id').session(session);
+            const scanned = new Set(updatedRequest.scannedInventoryIds.map(String));
+            return { request: updatedRequest, heldUnits: held, scannedCount: held.filter(unit => scanned.has(String(unit._id))).length };
+        });
+        if (scannedCount < heldUnits.length) {
+            return res.status(200).json({
+                success: true,
+                message: `Unit checked for ${request.patientName}. ${scannedCount} of ${heldUnits.length} held units scanned; scan the rest to issue. ` +
+                    `Still to scan: ${await describeHeldUnitBranches(request._id, { _id: { $nin: request.scannedInventoryIds } })}.`,
+                data: { issued: false, scannedUnits: scannedCount, heldUnits: heldUnits.length, request }
+            });
+        }
+
+        const issuedRequest = await issueCrossmatchedRequest(req, requestId);
+        res.status(200).json({ success: true, message: `All held units scanned. Units issued to ${issuedRequest.patientName}.`, data: issuedRequest });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to issue units');
+    }
+});
+
+// Scan-to-discard, e.g. when a returned unit is scanned back in. A label normally identifies one unit; when it
+// matches several that could be discarded (e.g. a batch that was split), inventoryId picks the one in hand.
+app.post('/api/inventory/scan/discard', authenticate, authorize(ROLES.ADMIN, ROLES.LAB_TECHNICIAN), [
+    ...validateScanCode,
+    ...validateDiscard,
+    body('inventoryId').optional().isMongoId().withMessage('Invalid blood unit ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const { units } = await findScannedUnits(req.body.code);
+        let unit;
+        if (req.body.inventoryId) {
+            unit = units.find(candidate => String(candidate._id) === req.body.inventoryId);
+            if (!unit) {
+                throw new ApiError(404, 'That blood unit does not carry this label.');
+            }
+        } else {
+            const statuses = req.body.reason === 'returned_unused' ? ['used'] : DISCARDABLE_STATUSES;
+            const discardable = units.filter(candidate => statuses.includes(candidate.status));
+            if (discardable.length > 1) {
+                return res.status(409).json({ success: false, error: `This label matches ${discardable.length} units that could be discarded. Choose the unit to discard.`, data: discardable });
+            }
+            unit = discardable[0] || units[0]; // With nothing discardable, report why the unit cannot be discarded
+        }
+
+        const discarded = await discardInventoryUnit(req, await Inventory.findById(unit._id)); // Unpopulated, for the audit snapshot
+        res.status(200).json({ success: true, message: 'Blood unit discarded successfully.', data: discarded });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        console.error("Error discarding scanned unit:", error);
+        res.status(500).json({ success: false, error: 'Failed to discard blood unit', details: error.message });
+    }
+});
+
+// Printable label for a unit: ?format=svg (default) or pdf
+app.get('/api/inventory/:id/label', authenticate, authorize(...STAFF_ROLES), [
+    param('id').isMongoId().withMessage('Invalid blood unit ID format'),
+    query('format').optional().isIn(['svg', 'pdf']).withMessage('Format must be svg or pdf')
+], handleValidationErrors, async (req, res) => {
     try {
-        // You might want to update status to 'used' or 'disposed' rather than delete from database
-        const deletedUnit = await Inventory.findByIdAndDelete(req.params.id);
-        if (!deletedUnit) {
+        const unit = await Inventory.findById(req.params.id);
+        if (!unit) {
             return res.status(404).json({ success: false, error: 'Blood unit not found.' });
         }
-        res.status(200).json({ success: true, message: 'Blood unit deleted successfully.' });
+        if (!unit.din) {
+            return res.status(409).json({ success: false, error: 'This unit has no DIN yet. It is assigned when the server next starts.' });
+        }
+
+        const filename = `label-${getUnitLabelCode(unit)}.${req.query.format || 'svg'}`;
+        if (req.query.format === 'pdf') {
+            return sendUnitLabelPdf(res, unit, filename);
+        }
+        res.setHeader('Content-Type', 'image/svg+xml');
+        res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+        res.status(200).send(renderUnitLabelSvg(unit));
     } catch (error) {
-        console.error("Error deleting inventory item:", error);
-        res.status(500).json({ success: false, error: 'Failed to delete blood unit', details: error.message });
+        console.error("Error creating unit label:", error);
+        res.status(500).json({ success: false, error: 'Failed to create label', details: error.message });
     }
 });
 
 
 // --- Requests API ---
-app.get('/api/requests', async (req, res) => {
+// Pending requests in serving order (priority, then age), with SLA flags for Critical requests
+app.get('/api/requests/queue', authenticate, authorize(...STAFF_ROLES), [
+    query('bloodType').optional().isIn(BLOOD_TYPES).withMessage('Invalid blood type'),
+    query('component').optional().isIn(COMPONENT_TYPES).withMessage('Invalid blood component')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.bloodType) filter.bloodType = req.query.bloodType;
+        if (req.query.component) filter.component = componentCondition(req.query.component);
+
+        const queue = await getRequestQueue(filter);
+        res.status(200).json({
+            success: true,
+            data: queue,
+            slaMinutes: CRITICAL_REQUEST_SLA_MINUTES,
+            slaBreaches: queue.filter(request => request.slaBreached).length
+        });
+    } catch (error) {
+        console.error("Error fetching request queue:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch request queue', details: error.message });
+    }
+});
+
+// Request list filters, shared by the list and export endpoints
+const buildRequestFilter = ({ bloodType, component, status, priority, hospital, hospitalId, search, from, to }, user) => {
+    const filter = {};
+    if (bloodType) filter.bloodType = bloodType;
+    if (component) filter.component = componentCondition(component);
+    if (status) filter.status = status;
+    if (priority) filter.priority = priority;
+    if (hospital) filter.hospital = new RegExp(escapeRegex(hospital), 'i');
+    if (hospitalId) filter.hospitalId = hospitalId;
+    if (user.role === ROLES.HOSPITAL_REQUESTER) filter.hospitalId = user.hospitalId; // Hospitals only see their own requests
+    if (search) filter.patientName = new RegExp(escapeRegex(search), 'i');
+    const requestDate = buildDateRange(from, to);
+    if (requestDate) filter.requestDate = requestDate;
+    return filter;
+};
+const REQUEST_LIST_OPTIONS = {
+    sortFields: ['requestDate', 'patientName', 'bloodType', 'units', 'hospital', 'status', 'processedDate'],
+    defaultSort: 'requestDate'
+};
+
+app.get('/api/requests', authenticate, validateRequestListQuery, handleValidationErrors, async (req, res) => {
     try {
-        const requests = await Request.find().sort({ requestDate: -1 });
-        res.status(200).json({ success: true, data: requests }); // Consistent response format
+        const { data, pagination } = await paginate(Request, buildRequestFilter(req.query, req.user), req.query, REQUEST_LIST_OPTIONS);
+        res.status(200).json({ success: true, data, pagination }); // Consistent response format
     } catch (error) {
         console.error("Error fetching requests:", error);
         res.status(500).json({ success: false, error: 'Failed to fetch requests', details: error.message });
     }
 });
 
-app.post('/api/requests', validateRequest, handleValidationErrors, async (req, res) => {
+app.get('/api/requests/export', authenticate, validateRequestListQuery, validateExportQuery, handleValidationErrors, async (req, res) => {
+    try {
+        const docs = await Request.find(buildRequestFilter(req.query, req.user))
+            .sort(buildSort(req.query, REQUEST_LIST_OPTIONS.sortFields, REQUEST_LIST_OPTIONS.defaultSort))
+            .limit(EXPORT_MAX_ROWS);
+        await sendExport(res, { format: req.query.format, filename: 'requests', columns: REQUEST_EXPORT_COLUMNS, docs });
+    } catch (error) {
+        console.error("Error exporting requests:", error);
+        res.status(500).json({ success: false, error: 'Failed to export requests', details: error.message });
+    }
+});
+
+app.post('/api/requests', authenticate, authorize(ROLES.ADMIN, ROLES.FRONT_DESK, ROLES.HOSPITAL_REQUESTER), validateRequest, handleValidationErrors, async (req, res) => {
     try {
-        const request = new Request(req.body);
+        // Hospital users always request for their own hospital; staff pick one from the registry
+        const hospitalId = req.user.role === ROLES.HOSPITAL_REQUESTER ? req.user.hospitalId : req.body.hospitalId;
+        const hospital = hospitalId ? await Hospital.findOne({ _id: hospitalId, isActive: true }) : null;
+        if (!hospital) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: [{ type: 'field', value: hospitalId, msg: 'Select an active hospital from the registry', path: 'hospitalId', location: 'body' }]
+            });
+        }
+
+        const { patientName, bloodType, component, units, priority } = req.body;
+        const request = new Request({ patientName, bloodType, component, units, priority, hospitalId: hospital._id, hospital: hospital.name });
         await request.save();
+        await recordAudit(req, { action: 'create', entityType: 'Request', entityId: request._id, after: request });
+        publishEvent('request.created', { requestId: request._id, priority: request.priority, bloodType: request.bloodType, hospitalId: request.hospitalId });
         res.status(201).json({ success: true, message: 'Blood request submitted successfully!', data: request }); // Consistent response format
     } catch (error) {
         console.error("Error creating request:", error);
@@ -356,112 +5290,284 @@ app.post('/api/requests', validateRequest, handleValidationErrors, async (req, r
     }
 });
 
-// Custom endpoint for fulfilling/approving requests (used by frontend)
-app.put('/api/requests/:id/approve', async (req, res) => {
+// --- Request lifecycle: pending → reserved → crossmatched → issued, or released back to pending ---
+
+// Responds to a failed lifecycle transition, mapping ApiErrors to their status
+const sendTransitionError = (res, error, failureMessage) => {
+    if (error instanceof ApiError) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error(`${failureMessage}:`, error);
+    res.status(500).json({ success: false, error: failureMessage, details: error.message });
+};
+
+// Holds specific compatible units for the patient until the hold expires
+// Reserves compatible units; branchId in the body limits them to one branch's stock. The message says where the
+// held units are, so any held elsewhere can be transferred to the issuing site.
+app.put('/api/requests/:id/reserve', authenticate, authorize(ROLES.ADMIN, ROLES.LAB_TECHNICIAN), [
+    param('id').isMongoId().withMessage('Invalid request ID format'),
+    body('holdHours').optional().isInt({ min: 1, max: 72 }).withMessage('Hold must be between 1 and 72 hours'),
+    body('branchId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid branch ID format')
+], handleValidationErrors, async (req, res) => {
     try {
-        const request = await Request.findById(req.params.id);
-        if (!request) {
-            return res.status(404).json({ success: false, error: 'Request not found.' });
-        }
-        if (request.status !== 'pending') {
-            return res.status(400).json({ success: false, error: `Request status is ${request.status}. Only pending requests can be approved.` });
+        const holdHours = parseInt(req.body.holdHours, 10) || DEFAULT_HOLD_HOURS;
+        const branchId = req.body.branchId || null;
+        if (branchId && !(await Branch.exists({ _id: branchId, isActive: true }))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: [{ type: 'field', value: branchId, msg: 'Branch not found or inactive', path: 'branchId', location: 'body' }]
+            });
         }
+        const request = await reserveRequest(req, req.params.id, { holdHours, reservedBy: req.user.name, branchId });
 
-        // Check if enough blood is available (simplified, could be more complex with specific units)
-        const availableBloodUnits = await Inventory.aggregate([
-            { $match: { bloodType: request.bloodType, status: 'available', expiryDate: { $gt: new Date() } } },
-            { $group: { _id: null, totalUnits: { $sum: '$units' } } }
-        ]);
-        const totalAvailable = availableBloodUnits.length > 0 ? availableBloodUnits[0].totalUnits : 0;
+        checkStockAlerts();
+        const heldAt = await describeHeldUnitBranches(request._id);
+        res.status(200).json({ success: true, message: `Units reserved until ${request.holdExpiresAt.toISOString()}. Held: ${heldAt}.`, data: request });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to reserve units');
+    }
+});
 
-        if (totalAvailable < request.units) {
-            return res.status(400).json({ success: false, error: `Insufficient ${request.bloodType} blood. Available: ${totalAvailable}, Required: ${request.units}.` });
-        }
+// Records the crossmatch result. An incompatible crossmatch releases the held units and returns the request to pending.
+app.put('/api/requests/:id/crossmatch', authenticate, authorize(ROLES.ADMIN, ROLES.LAB_TECHNICIAN), [
+    param('id').isMongoId().withMessage('Invalid request ID format'),
+    body('compatible').isBoolean().withMessage('compatible must be true or false'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const compatible = req.body.compatible === true || req.body.compatible === 'true';
+        const crossmatch = { result: compatible ? 'compatible' : 'incompatible', performedBy: req.user.name, performedAt: new Date(), notes: req.body.notes };
+        const request = await transitionRequest(req, req.params.id, {
+            from: ['reserved'],
+            action: compatible ? 'crossmatch' : 'crossmatch_failed',
+            apply: async (reservedRequest, session) => {
+                if (compatible) {
+                    return { status: 'crossmatched', crossmatch };
+                }
+                await releaseReservedInventory(req, reservedRequest, session);
+                return { status: 'pending', crossmatch, ...CLEARED_RESERVATION, releaseReason: 'Crossmatch incompatible' };
+            }
+        });
 
-        // Deduct units from inventory (prioritize by earliest expiry)
-        let unitsToDeduct = request.units;
-        const inventoryItemsToUpdate = await Inventory.find({
-            bloodType: request.bloodType,
-            status: 'available',
-            expiryDate: { $gt: new Date() }
-        }).sort({ expiryDate: 1 }); // Use FIFO based on expiry
-
-        for (const item of inventoryItemsToUpdate) {
-            if (unitsToDeduct <= 0) break;
-
-            if (item.units <= unitsToDeduct) {
-                // Use the entire batch
-                item.status = 'used'; // Mark as used
-                unitsToDeduct -= item.units;
-                item.updatedAt = new Date();
-                await item.save();
-            } else {
-                // Split the batch: part used, part remains available
-                const newUsedBatch = new Inventory({
-                    bloodType: item.bloodType,
-                    units: unitsToDeduct,
-                    donorId: item.donorId,
-                    collectionDate: item.collectionDate,
-                    expiryDate: item.expiryDate,
-                    status: 'used',
-                    createdAt: item.createdAt // Keep original creation date for the split
-                });
-                await newUsedBatch.save();
+        if (!compatible) checkStockAlerts();
+        res.status(200).json({
+            success: true,
+            message: compatible ? 'Crossmatch recorded as compatible.' : 'Crossmatch incompatible; reserved units were released.',
+            data: request
+        });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to record crossmatch');
+    }
+});
+
+// Issues the crossmatched units to the patient
+app.put('/api/requests/:id/issue', authenticate, authorize(ROLES.ADMIN, ROLES.LAB_TECHNICIAN), [
+    param('id').isMongoId().withMessage('Invalid request ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const request = await issueCrossmatchedRequest(req, req.params.id);
+        res.status(200).json({ success: true, message: 'Units issued to the patient.', data: request });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to issue units');
+    }
+});
 
-                item.units -= unitsToDeduct; // Remaining units in the original batch
-                item.updatedAt = new Date();
-                await item.save();
-                unitsToDeduct = 0;
+// Returns held units to stock and puts the request back in the pending queue
+app.put('/api/requests/:id/release', authenticate, authorize(ROLES.ADMIN, ROLES.LAB_TECHNICIAN), [
+    param('id').isMongoId().withMessage('Invalid request ID format'),
+    body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason must be at most 200 characters')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const request = await transitionRequest(req, req.params.id, {
+            from: ['reserved', 'crossmatched'],
+            action: 'release',
+            apply: async (heldRequest, session) => {
+                await releaseReservedInventory(req, heldRequest, session);
+                return { status: 'pending', ...CLEARED_RESERVATION, releaseReason: req.body.reason || 'Released by staff' };
             }
-        }
+        });
 
-        // Update request status to fulfilled
-        request.status = 'fulfilled';
-        request.processedBy = 'System'; // Or authenticated user
-        request.processedDate = new Date();
-        request.updatedAt = new Date();
-        await request.save();
+        checkStockAlerts();
+        res.status(200).json({ success: true, message: 'Reserved units released back to stock.', data: request });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to release reservation');
+    }
+});
 
-        res.status(200).json({ success: true, message: 'Request fulfilled successfully and inventory updated.', data: request });
+// Declines a pending request, e.g. when it is not clinically justified
+app.put('/api/requests/:id/reject', authenticate, authorize(ROLES.ADMIN), [
+    param('id').isMongoId().withMessage('Invalid request ID format'),
+    ...validateReason
+], handleValidationErrors, async (req, res) => {
+    try {
+        const request = await transitionRequest(req, req.params.id, {
+            from: ['pending'],
+            action: 'reject',
+            apply: async () => ({ status: 'rejected', rejectionReason: req.body.reason, processedBy: req.user.name, processedDate: new Date() })
+        });
+        res.status(200).json({ success: true, message: 'Request rejected.', data: request });
     } catch (error) {
-        console.error("Error fulfilling request:", error);
-        res.status(500).json({ success: false, error: 'Failed to fulfill request', details: error.message });
+        sendTransitionError(res, error, 'Failed to reject request');
     }
 });
 
-// A generic PUT route for requests (could be used for 'cancel' etc. if body specifies status)
-app.put('/api/requests/:id', async (req, res) => {
+// Traceability: which inventory batches and donors supplied a request
+app.get('/api/requests/:id/allocations', authenticate, authorize(...STAFF_ROLES), [
+    param('id').isMongoId().withMessage('Invalid request ID format')
+], handleValidationErrors, async (req, res) => {
     try {
-        const { status } = req.body; // Expecting status to be passed in body
-        const request = await Request.findByIdAndUpdate(
-            req.params.id,
-            { status: status, updatedAt: new Date() }, // Only update status for simplicity
-            { new: true, runValidators: true } // Return updated doc, run schema validators
-        );
+        const request = await Request.findById(req.params.id);
         if (!request) {
             return res.status(404).json({ success: false, error: 'Request not found.' });
         }
-        res.status(200).json({ success: true, message: 'Request updated successfully.', data: request });
+        const allocations = await Allocation.find({ requestId: request._id })
+            .populate('donorId', 'name bloodType phone email')
+            .populate('inventoryId', 'bloodType units collectionDate expiryDate status')
+            .sort({ issuedAt: 1 });
+        res.status(200).json({ success: true, data: allocations });
     } catch (error) {
-        console.error("Error updating request:", error);
-        res.status(500).json({ success: false, error: 'Failed to update request', details: error.message });
+        console.error("Error fetching request allocations:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch request allocations', details: error.message });
     }
 });
 
-app.delete('/api/requests/:id', async (req, res) => {
+// Requests are never removed from the database; "deleting" cancels them with a reason so the record is kept.
+// Any units held for the request go back to stock.
+app.delete('/api/requests/:id', authenticate, authorize(ROLES.ADMIN), validateReason, handleValidationErrors, async (req, res) => {
     try {
-        // You might want to update status to 'cancelled' rather than delete from database
-        const deletedRequest = await Request.findByIdAndDelete(req.params.id);
-        if (!deletedRequest) {
-            return res.status(404).json({ success: false, error: 'Request not found.' });
+        const request = await transitionRequest(req, req.params.id, {
+            from: ['pending', 'reserved', 'crossmatched'],
+            action: 'cancel',
+            apply: async (openRequest, session) => {
+                await releaseReservedInventory(req, openRequest, session);
+                return { status: 'cancelled', ...CLEARED_RESERVATION, cancellationReason: req.body.reason, cancelledBy: req.user.name, cancelledAt: new Date() };
+            }
+        });
+
+        checkStockAlerts();
+        res.status(200).json({ success: true, message: 'Request cancelled successfully.', data: request });
+    } catch (error) {
+        sendTransitionError(res, error, 'Failed to cancel request');
+    }
+});
+
+
+// --- Notifications API (admin only) ---
+app.get('/api/notifications', authenticate, authorize(ROLES.ADMIN), [
+    ...validateListQuery,
+    query('status').optional().isIn(['pending', 'sent', 'failed']).withMessage('Status must be pending, sent or failed'),
+    query('channel').optional().isIn(NOTIFICATION_CHANNELS).withMessage('Channel must be email or sms')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const { status, channel, search } = req.query;
+        const filter = {};
+        if (status) filter.status = status;
+        if (channel) filter.channel = channel;
+        if (search) filter.to = new RegExp(escapeRegex(search), 'i');
+
+        const { data, pagination } = await paginate(Notification, filter, req.query, { sortFields: ['createdAt', 'sentAt', 'status'], defaultSort: 'createdAt' });
+        res.status(200).json({ success: true, data, pagination });
+    } catch (error) {
+        console.error("Error fetching notifications:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch notifications', details: error.message });
+    }
+});
+
+// Puts a failed message back in the queue with a fresh set of attempts
+app.post('/api/notifications/:id/retry', authenticate, authorize(ROLES.ADMIN), [
+    param('id').isMongoId().withMessage('Invalid notification ID format')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.id, status: 'failed' },
+            { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+            { new: true }
+        );
+        if (!notification) {
+            return res.status(404).json({ success: false, error: 'No failed notification with this ID.' });
         }
-        res.status(200).json({ success: true, message: 'Request deleted successfully.' });
+        sendNotificationsSoon();
+        res.status(200).json({ success: true, message: 'Notification queued for another attempt.', data: notification });
     } catch (error) {
-        console.error("Error deleting request:", error);
-        res.status(500).json({ success: false, error: 'Failed to delete request', details: error.message });
+        console.error("Error retrying notification:", error);
+        res.status(500).json({ success: false, error: 'Failed to retry notification', details: error.message });
     }
 });
 
+// --- Audit Log API ---
+app.get('/api/audit', authenticate, authorize(ROLES.ADMIN), validateAuditQuery, handleValidationErrors, async (req, res) => {
+    try {
+        const { entityType, entityId, actorId, action, search, from, to } = req.query;
+        const filter = {};
+        if (entityType) filter.entityType = entityType;
+        if (entityId) filter.entityId = entityId;
+        if (actorId) filter['actor.userId'] = actorId;
+        if (action) filter.action = action;
+        if (search) filter['actor.name'] = new RegExp(escapeRegex(search), 'i');
+        const timestamp = buildDateRange(from, to);
+        if (timestamp) filter.timestamp = timestamp;
+
+        const { data, pagination } = await paginate(AuditLog, filter, req.query, {
+            sortFields: ['timestamp', 'action', 'entityType'],
+            defaultSort: 'timestamp'
+        });
+        res.status(200).json({ success: true, data, pagination });
+    } catch (error) {
+        console.error("Error fetching audit log:", error);
+        res.status(500).json({ success: false, error: 'Failed to fetch audit log', details: error.message });
+    }
+});
+
+
+// --- Live Updates API ---
+// Server-Sent Events stream of everything published with publishEvent. Hospital users only receive
+// events about their own hospital's requests; staff receive everything. The stream ends when the access token
+// expires, or at the next heartbeat once the user is disabled or logs out, so the browser must reconnect with a
+// current token.
+app.get('/api/events', tokenFromQuery, authenticate, (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n'); // Browser reconnect delay
+
+    const isHospitalUser = req.user.role === ROLES.HOSPITAL_REQUESTER;
+    const send = (event) => {
+        if (isHospitalUser && !(event.type.startsWith('request.') && String(event.data.hospitalId) === String(req.user.hospitalId))) {
+            return;
+        }
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
+    };
+    const heartbeat = setInterval(async () => {
+        try {
+            const user = await User.findById(req.user._id);
+            if (!user || !user.isActive || user.tokenVersion !== req.user.tokenVersion) return res.end();
+        } catch (error) {
+            console.error("Error checking live update session:", error);
+        }
+        res.write(': heartbeat\n\n');
+    }, EVENT_HEARTBEAT_MS);
+    // Tokens can outlive the longest timer delay, so the expiry is re-armed in chunks until it is reached
+    let expiryTimer;
+    const scheduleExpiry = () => {
+        const remaining = req.accessTokenExpiresAt.getTime() - Date.now();
+        if (remaining <= 0) return res.end();
+        expiryTimer = setTimeout(scheduleExpiry, Math.min(remaining, MAX_TIMER_DELAY_MS));
+    };
+    scheduleExpiry();
+
+    eventBus.on('event', send);
+    res.on('close', () => { // Fires when the client disconnects and when the stream is ended here
+        clearInterval(heartbeat);
+        clearTimeout(expiryTimer);
+        eventBus.off('event', send);
+    });
+});
+
 
 // --- Error Handling Middleware ---
 // This handles any errors thrown by route handlers or middleware.